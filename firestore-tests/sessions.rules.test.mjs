@@ -0,0 +1,426 @@
+// Runs firestore.rules against the local Firestore emulator: `npm run test:rules`
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, collection, query, where, documentId, writeBatch, setDoc, updateDoc, deleteDoc, deleteField, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+const SESSIONS = '/artifacts/default-app-id/public/data/sessions';
+const CODE = 'ABC234';
+
+const openSession = (overrides = {}) => ({
+    title: 'Dinner',
+    method: 'irv',
+    options: ['Mexican', 'Thai', 'Pizza'],
+    votes: {},
+    ballotUpdatedAt: {},
+    participants: {},
+    host: 'host',
+    isLocked: false,
+    isVotingClosed: false,
+    winner: null,
+    winners: [],
+    ...overrides,
+});
+
+const VOTERS = { voter: { name: 'Vera' }, other: { name: 'Otto' } };
+
+let testEnv;
+
+// Firestore for a signed-in user, or for an unauthenticated visitor when `uid` is null
+const firestoreFor = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+const sessionAs = (uid) => doc(firestoreFor(uid), SESSIONS, CODE);
+
+const seed = (data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), SESSIONS, CODE), data));
+const seedInvite = (token, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), SESSIONS, CODE, 'invites', token), data));
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-rankvote',
+        firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+    });
+});
+
+beforeEach(() => testEnv.clearFirestore());
+
+after(() => testEnv.cleanup());
+
+describe('creating and reading sessions', () => {
+    test('a signed-in user can create a session they host', async () => {
+        await assertSucceeds(setDoc(sessionAs('host'), openSession()));
+    });
+
+    test('new sessions need a code from the unambiguous alphabet', async () => {
+        const db = firestoreFor('host');
+        await assertFails(setDoc(doc(db, SESSIONS, 'ABC1O0'), openSession()));
+        await assertFails(setDoc(doc(db, SESSIONS, 'AB2'), openSession()));
+        await assertSucceeds(setDoc(doc(db, SESSIONS, 'XK4P9QRT'), openSession()));
+    });
+
+    test('a session cannot be created on behalf of someone else', async () => {
+        await assertFails(setDoc(sessionAs('intruder'), openSession()));
+    });
+
+    test('a session cannot start with more than ten options', async () => {
+        const options = Array.from({ length: 11 }, (_, i) => `Option ${i + 1}`);
+        await assertFails(setDoc(sessionAs('host'), openSession({ options })));
+    });
+
+    test('hosts can raise the option cap up to the limit', async () => {
+        const options = Array.from({ length: 50 }, (_, i) => `Talk ${i + 1}`);
+        await assertSucceeds(setDoc(sessionAs('host'), openSession({ options, maxOptions: 50 })));
+        await assertFails(setDoc(sessionAs('host'), openSession({ options, maxOptions: 40 })));
+        await assertFails(setDoc(sessionAs('host'), openSession({ maxOptions: 101 })));
+    });
+
+    test('only signed-in users can read sessions', async () => {
+        await seed(openSession());
+        await assertSucceeds(getDoc(sessionAs('voter')));
+        await assertFails(getDoc(sessionAs(null)));
+    });
+
+    test('invite-only sessions can only be fetched by the host and participants', async () => {
+        await seed(openSession({ access: 'invite', participants: { voter: { name: 'Vera', invite: 'token-1' } } }));
+        await assertSucceeds(getDoc(sessionAs('host')));
+        await assertSucceeds(getDoc(sessionAs('voter')));
+        await assertFails(getDoc(sessionAs('stranger')));
+        // Free codes can still be checked
+        await assertSucceeds(getDoc(doc(firestoreFor('stranger'), SESSIONS, 'XK4P9Q')));
+    });
+
+    test('sessions can only be listed by host or participant', async () => {
+        await seed(openSession({ participants: VOTERS }));
+        const sessions = collection(firestoreFor('voter'), SESSIONS);
+        await assertSucceeds(getDocs(query(collection(firestoreFor('host'), SESSIONS), where('host', '==', 'host'))));
+        await assertSucceeds(getDocs(query(sessions, where('participants.voter', '!=', null))));
+        await assertFails(getDocs(sessions));
+        await assertFails(getDocs(query(sessions, where('host', '==', 'host'))));
+        await assertFails(getDocs(query(sessions, where('participants.other', '!=', null))));
+        await assertFails(getDocs(query(sessions, where(documentId(), 'in', [CODE]))));
+    });
+});
+
+describe('ballots', () => {
+    beforeEach(() => seed(openSession({ participants: VOTERS, votes: { other: ['Thai', 'Pizza', 'Mexican'] } })));
+
+    test('a voter can cast, change and withdraw their own ballot', async () => {
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'votes.voter': ['Mexican', 'Thai', 'Pizza'] }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'votes.voter': ['Pizza'] }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'votes.voter': deleteField() }));
+    });
+
+    test("a voter cannot write or remove someone else's ballot", async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.other': ['Mexican'] }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.other': deleteField() }));
+    });
+
+    test("the host can remove someone else's ballot but not write one for them", async () => {
+        await assertFails(updateDoc(sessionAs('host'), { 'votes.other': ['Mexican'] }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { 'votes.other': deleteField() }));
+    });
+
+    test('a voter cannot touch anything besides their ballot', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'], winner: 'Thai' }));
+    });
+
+    test('ballots must be a list of at most as many choices as there are options', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': 'Thai' }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': { Thai: 5 } }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai', 'Thai', 'Thai', 'Thai'] }));
+
+        await seed(openSession({ method: 'score', participants: VOTERS }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'] }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'votes.voter': { Thai: 5, Pizza: 2 } }));
+    });
+
+    test('only people who joined, and the host, can vote', async () => {
+        await assertFails(updateDoc(sessionAs('stranger'), { 'votes.stranger': ['Thai'] }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { 'votes.host': ['Thai'] }));
+    });
+});
+
+describe('secret ballots', () => {
+    beforeEach(() => seed(openSession({ secretBallot: true, voted: {}, participants: VOTERS })));
+
+    const ballotAs = (uid, ballotId) => doc(firestoreFor(uid), SESSIONS, CODE, 'ballots', ballotId);
+
+    // Only the castSecretBallot Cloud Function writes ballots and voted flags, so the session never says
+    // which ballot is whose
+    test('clients can neither write nor read secret ballots', async () => {
+        await assertFails(setDoc(ballotAs('voter', 'ballot-1'), { ballot: ['Thai'] }));
+        await assertFails(getDoc(ballotAs('voter', 'ballot-1')));
+        await assertFails(getDoc(ballotAs('host', 'ballot-1')));
+        await assertFails(getDocs(collection(firestoreFor('host'), SESSIONS, CODE, 'ballots')));
+    });
+
+    test('clients cannot set voted flags, even their own', async () => {
+        const db = firestoreFor('voter');
+        const batch = writeBatch(db);
+        batch.set(doc(db, SESSIONS, CODE, 'ballots', 'ballot-1'), { ballot: ['Thai'] });
+        batch.update(doc(db, SESSIONS, CODE), { 'voted.voter': true });
+        await assertFails(batch.commit());
+
+        await assertFails(updateDoc(sessionAs('voter'), { 'voted.voter': true }));
+        await assertFails(updateDoc(sessionAs('host'), { 'voted.other': true }));
+    });
+
+    test('ballots cannot go into the session document', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'] }));
+        await assertFails(updateDoc(sessionAs('host'), { secretBallot: false }));
+    });
+});
+
+describe('voting windows', () => {
+    const hoursFromNow = (hours) => Timestamp.fromMillis(Date.now() + hours * 3600 * 1000);
+
+    test('ballots are only accepted between the opening time and the deadline', async () => {
+        await seed(openSession({ participants: VOTERS, opensAt: hoursFromNow(1) }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'] }));
+
+        await seed(openSession({ participants: VOTERS, opensAt: hoursFromNow(-2), closesAt: hoursFromNow(-1) }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'] }));
+
+        await seed(openSession({ participants: VOTERS, opensAt: hoursFromNow(-1), closesAt: hoursFromNow(1) }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'] }));
+    });
+
+    test('anyone can request the close once the deadline has passed', async () => {
+        await seed(openSession({ participants: VOTERS, closesAt: hoursFromNow(1) }));
+        await assertFails(updateDoc(sessionAs('voter'), { closeRequestedAt: serverTimestamp() }));
+
+        await seed(openSession({ participants: VOTERS, closesAt: hoursFromNow(-1) }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { closeRequestedAt: serverTimestamp() }));
+    });
+
+    test('the deadline must come after the opening time', async () => {
+        await assertFails(setDoc(sessionAs('host'), openSession({ opensAt: hoursFromNow(2), closesAt: hoursFromNow(1) })));
+        await assertFails(setDoc(sessionAs('host'), openSession({ closeAfterBallots: 0 })));
+        await assertSucceeds(setDoc(sessionAs('host'), openSession({ opensAt: hoursFromNow(1), closesAt: hoursFromNow(2), closeAfterBallots: 5 })));
+    });
+});
+
+describe('closing voting', () => {
+    beforeEach(() => seed(openSession({ votes: { voter: ['Thai'] } })));
+
+    test('only the host can request the close', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { closeRequestedAt: serverTimestamp() }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { closeRequestedAt: serverTimestamp(), tieBreakDecisions: [] }));
+    });
+
+    test('nobody can write results from the client, not even the host', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { isVotingClosed: true, winner: 'Thai' }));
+        await assertFails(updateDoc(sessionAs('host'), { isVotingClosed: true, winner: 'Thai', winners: ['Thai'] }));
+        await assertFails(updateDoc(sessionAs('host'), { pendingTie: { round: 1, tied: ['Thai', 'Pizza'] } }));
+    });
+
+    test('results and ballots are immutable once closed', async () => {
+        await seed(openSession({ votes: { voter: ['Thai'] }, isVotingClosed: true, winner: 'Thai', winners: ['Thai'] }));
+
+        await assertFails(updateDoc(sessionAs('host'), { winner: 'Pizza' }));
+        await assertFails(updateDoc(sessionAs('host'), { 'votes.voter': deleteField() }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Pizza'] }));
+    });
+
+    test('the host can reopen a closed vote', async () => {
+        await seed(openSession({ votes: { voter: ['Thai'] }, isVotingClosed: true, winner: 'Thai', winners: ['Thai'] }));
+
+        await assertFails(updateDoc(sessionAs('voter'), { isVotingClosed: false, winner: null }));
+        await assertFails(updateDoc(sessionAs('host'), { isVotingClosed: false, winner: null, winners: [], phase: 'collecting' }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { isVotingClosed: false, winner: null, winners: [], phase: 'voting' }));
+    });
+
+    test('reopening clears the result rather than planting one', async () => {
+        await seed(openSession({ votes: { voter: ['Thai'] }, isVotingClosed: true, winner: 'Thai', winners: ['Thai'], rounds: [{ round: 1 }] }));
+
+        await assertFails(updateDoc(sessionAs('host'), { isVotingClosed: false, winner: 'Pizza', winners: ['Pizza'], rounds: deleteField(), phase: 'voting' }));
+        await assertFails(updateDoc(sessionAs('host'), { isVotingClosed: false, winner: null, winners: [], phase: 'voting', tally: { scores: { Pizza: 9 } } }));
+        await assertFails(updateDoc(sessionAs('host'), { isVotingClosed: false, winner: null, winners: [], phase: 'voting' }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { isVotingClosed: false, winner: null, winners: [], rounds: deleteField(), phase: 'voting' }));
+    });
+});
+
+describe('suggestions', () => {
+    beforeEach(() => seed(openSession({ phase: 'collecting', participants: VOTERS })));
+
+    const suggestion = (id, name, fields = {}) => ({ id, name, status: 'pending', suggestedAt: serverTimestamp(), ...fields });
+
+    test('participants add suggestions of their own while the host collects them', async () => {
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': suggestion('voter-1', 'Sushi') }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-2': suggestion('voter-2', 'Tacos', { tags: ['spicy'], link: 'https://example.com' }) }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.other.other-1': suggestion('other-1', 'Ramen') }));
+        await assertFails(updateDoc(sessionAs('stranger'), { 'suggestions.stranger.stranger-1': suggestion('stranger-1', 'Ramen') }));
+    });
+
+    test('each write adds exactly the next pending suggestion, with an option\'s fields', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-2': suggestion('voter-2', 'Sushi') }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.Thai': suggestion('Thai', 'Sushi') }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': suggestion('voter-1', 'Sushi', { status: 'approved' }) }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': suggestion('voter-1', 'Sushi', { extra: true }) }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': suggestion('voter-1', 'x'.repeat(81)) }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': suggestion('voter-1', 'Sushi', { description: 'x'.repeat(501) }) }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': suggestion('voter-1', 'Sushi', { imageUrl: 'data:image/png;base64,AAAA' }) }));
+        await assertFails(updateDoc(sessionAs('voter'), {
+            'suggestions.voter.voter-1': suggestion('voter-1', 'Sushi'),
+            'suggestions.voter.voter-2': suggestion('voter-2', 'Tacos'),
+        }));
+    });
+
+    test('participants cannot change the host\'s decisions or go past the limit', async () => {
+        await seed(openSession({ phase: 'collecting', participants: VOTERS, suggestions: { voter: { 'voter-1': { id: 'voter-1', name: 'Sushi', status: 'rejected' } } } }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1.status': 'pending' }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': deleteField() }));
+
+        const own = Object.fromEntries([1, 2, 3, 4, 5].map(n => [`voter-${n}`, { id: `voter-${n}`, name: `Idea ${n}`, status: 'pending' }]));
+        await seed(openSession({ phase: 'collecting', participants: VOTERS, suggestions: { voter: own } }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-6': suggestion('voter-6', 'One too many') }));
+    });
+
+    test('nobody votes while suggestions are collected, and nobody suggests once voting starts', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'] }));
+
+        await seed(openSession({ phase: 'voting', participants: VOTERS }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'suggestions.voter.voter-1': suggestion('voter-1', 'Sushi') }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'votes.voter': ['Thai'] }));
+    });
+
+    test('the host moves between collecting and voting but never closes the session directly', async () => {
+        await assertFails(updateDoc(sessionAs('voter'), { phase: 'voting' }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { phase: 'voting' }));
+        await assertFails(updateDoc(sessionAs('host'), { phase: 'closed' }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { phase: 'collecting' }));
+
+        await seed(openSession({ phase: 'voting', votes: { voter: ['Thai'] } }));
+        await assertFails(updateDoc(sessionAs('host'), { phase: 'collecting' }));
+    });
+
+    test('the host approves a suggestion by adding it as a choice', async () => {
+        await seed(openSession({ phase: 'collecting', participants: VOTERS, suggestions: { voter: { 'voter-1': { id: 'voter-1', name: 'Sushi', status: 'pending' } } } }));
+        await assertSucceeds(updateDoc(sessionAs('host'), {
+            options: ['Mexican', 'Thai', 'Pizza', { id: '3f9a0c1b2d4e', name: 'Sushi' }],
+            'suggestions.voter.voter-1.status': 'approved',
+        }));
+    });
+});
+
+describe('joining', () => {
+    test('participants join under a display name', async () => {
+        await seed(openSession());
+        await assertFails(updateDoc(sessionAs('voter'), { 'participants.voter': { joinedAt: serverTimestamp() } }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'participants.voter': { name: '' } }));
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'participants.voter': { name: 'Vera', joinedAt: serverTimestamp() } }));
+    });
+
+    test('nobody can join once the session is full', async () => {
+        await seed(openSession({ maxParticipants: 2, participants: VOTERS }));
+        await assertFails(updateDoc(sessionAs('third'), { 'participants.third': { name: 'Thea' } }));
+
+        await seed(openSession({ maxParticipants: 3, participants: VOTERS }));
+        await assertSucceeds(updateDoc(sessionAs('third'), { 'participants.third': { name: 'Thea' } }));
+    });
+
+    test('the participant cap must be within limits', async () => {
+        await assertFails(setDoc(sessionAs('host'), openSession({ maxParticipants: 0 })));
+        await assertFails(setDoc(sessionAs('host'), openSession({ maxParticipants: 101 })));
+        await assertSucceeds(setDoc(sessionAs('host'), openSession({ maxParticipants: 25 })));
+    });
+
+    describe('invite-only sessions', () => {
+        beforeEach(async () => {
+            await seed(openSession({ access: 'invite' }));
+            await seedInvite('token-1', { name: 'Vera', claimedBy: null });
+        });
+
+        // Joins and claims the invite in one batch, as handleJoinSession does
+        const joinWithInvite = (uid, token) => {
+            const db = firestoreFor(uid);
+            const batch = writeBatch(db);
+            batch.update(doc(db, SESSIONS, CODE), { [`participants.${uid}`]: { name: 'Vera', invite: token } });
+            batch.update(doc(db, SESSIONS, CODE, 'invites', token), { claimedBy: uid });
+            return batch.commit();
+        };
+
+        test('joining needs an unclaimed invite', async () => {
+            await assertFails(updateDoc(sessionAs('voter'), { 'participants.voter': { name: 'Vera' } }));
+            await assertFails(joinWithInvite('voter', 'made-up'));
+            await assertSucceeds(joinWithInvite('voter', 'token-1'));
+            await assertFails(joinWithInvite('other', 'token-1'));
+        });
+
+        test('invitees can fetch their invite but only the host can list or create them', async () => {
+            await assertSucceeds(getDoc(doc(firestoreFor('voter'), SESSIONS, CODE, 'invites', 'token-1')));
+            await assertFails(getDocs(collection(firestoreFor('voter'), SESSIONS, CODE, 'invites')));
+            await assertSucceeds(getDocs(collection(firestoreFor('host'), SESSIONS, CODE, 'invites')));
+
+            await assertFails(setDoc(doc(firestoreFor('voter'), SESSIONS, CODE, 'invites', 'token-2'), { name: 'Me', claimedBy: null }));
+            await assertSucceeds(setDoc(doc(firestoreFor('host'), SESSIONS, CODE, 'invites', 'token-2'), { name: 'Otto', claimedBy: null }));
+        });
+    });
+});
+
+describe('host administration', () => {
+    test('choices can change until the first ballot is cast', async () => {
+        await seed(openSession());
+        await assertSucceeds(updateDoc(sessionAs('host'), { options: ['Mexican', 'Sushi'] }));
+        await assertFails(updateDoc(sessionAs('voter'), { options: ['Mexican', 'Burgers'] }));
+
+        await seed(openSession({ votes: { voter: ['Thai'] } }));
+        await assertFails(updateDoc(sessionAs('host'), { options: ['Mexican', 'Sushi'] }));
+    });
+
+    test('choices can be edited in place after voting starts', async () => {
+        await seed(openSession({ votes: { voter: ['Thai'] } }));
+        const renamed = [{ id: 'Mexican', name: 'Mexican' }, { id: 'Thai', name: 'Thai Garden', link: 'https://example.com' }, { id: 'Pizza', name: 'Pizza' }];
+        await assertSucceeds(updateDoc(sessionAs('host'), { options: renamed }));
+        await assertFails(updateDoc(sessionAs('host'), { options: [...renamed, { id: 'x1', name: 'Sushi' }] }));
+    });
+
+    test('choices keep their ids and order after voting starts', async () => {
+        await seed(openSession({ votes: { voter: ['Thai'] } }));
+        await assertFails(updateDoc(sessionAs('host'), { options: [{ id: 'Mexican', name: 'Mexican' }, { id: 'Pizza', name: 'Thai' }, { id: 'Thai', name: 'Pizza' }] }));
+        await assertFails(updateDoc(sessionAs('host'), { options: ['Mexican', 'Pizza', 'Thai'] }));
+        await assertFails(updateDoc(sessionAs('host'), { options: ['Mexican', 'Thai', 'Sushi'] }));
+
+        const options = Array.from({ length: 25 }, (_, i) => ({ id: `o${i}`, name: `Talk ${i + 1}` }));
+        await seed(openSession({ options, maxOptions: 25, votes: { voter: ['o24'] } }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { options: options.map(option => ({ ...option, name: `${option.name}!` })) }));
+        await assertFails(updateDoc(sessionAs('host'), { options: [...options.slice(0, 24), { id: 'o25', name: 'Talk 25' }] }));
+    });
+
+    test('the counting settings are frozen once anyone has voted', async () => {
+        await seed(openSession({ tieBreak: 'random', tieBreakSeed: 'seed-1' }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { tieBreakSeed: 'seed-2', method: 'borda' }));
+
+        await seed(openSession({ tieBreak: 'random', tieBreakSeed: 'seed-1', votes: { voter: ['Thai'] } }));
+        await assertFails(updateDoc(sessionAs('host'), { tieBreakSeed: 'seed-2' }));
+        await assertFails(updateDoc(sessionAs('host'), { tieBreak: 'host' }));
+        await assertFails(updateDoc(sessionAs('host'), { method: 'score' }));
+
+        await seed(openSession({ secretBallot: true, voted: { voter: false } }));
+        await assertFails(updateDoc(sessionAs('host'), { method: 'borda' }));
+    });
+
+    test('the option limit applies to updates', async () => {
+        await seed(openSession());
+        const options = Array.from({ length: 11 }, (_, i) => `Option ${i + 1}`);
+        await assertFails(updateDoc(sessionAs('host'), { options }));
+
+        await seed(openSession({ maxOptions: 20 }));
+        await assertSucceeds(updateDoc(sessionAs('host'), { options }));
+    });
+
+    test('participants cannot join a locked session', async () => {
+        await seed(openSession());
+        await assertSucceeds(updateDoc(sessionAs('voter'), { 'participants.voter': { name: 'Vera' } }));
+
+        await seed(openSession({ isLocked: true }));
+        await assertFails(updateDoc(sessionAs('voter'), { 'participants.voter': { name: 'Vera' } }));
+    });
+
+    test('only the host can transfer host rights or delete the session', async () => {
+        await seed(openSession());
+        await assertFails(updateDoc(sessionAs('voter'), { host: 'voter' }));
+        await assertFails(deleteDoc(sessionAs('voter')));
+
+        await assertSucceeds(updateDoc(sessionAs('host'), { host: 'voter' }));
+        await assertSucceeds(deleteDoc(sessionAs('voter')));
+    });
+});
@@ -0,0 +1,81 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { onDocumentDeleted, onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import { closingUpdate, isNewCloseRequest, shouldAutoClose } from './tally.js';
+import { isValidPathSegment, secretBallotId, whySecretBallotIsRejected } from './secretBallots.js';
+
+initializeApp();
+
+// Key for the ids of secret ballots (see functions/secretBallots.js). Set it once with
+// `firebase functions:secrets:set SECRET_BALLOT_KEY`; the emulator reads it from functions/.secret.local.
+const secretBallotKey = defineSecret('SECRET_BALLOT_KEY');
+
+// Invites to an invite-only session that nobody has claimed yet. Only closing once everyone has voted
+// depends on them.
+const countPendingInvites = async (transaction, sessionRef, session) => {
+    if (session.access !== 'invite' || !session.closeWhenAllVoted) return 0;
+    return (await transaction.get(sessionRef.collection('invites').where('claimedBy', '==', null))).size;
+};
+
+// Tallies the session inside a transaction so concurrent triggers close it at most once
+const closeSession = (sessionRef, shouldClose) => getFirestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(sessionRef);
+    const session = snapshot.data();
+    if (!session || session.isVotingClosed) return;
+    if (!shouldClose(session, { pendingInvites: await countPendingInvites(transaction, sessionRef, session) })) return;
+    const secretBallots = session.secretBallot
+        ? (await transaction.get(sessionRef.collection('ballots'))).docs.map(ballot => ballot.data().ballot)
+        : undefined;
+    transaction.update(sessionRef, closingUpdate(session, secretBallots));
+});
+
+// Tallies a session when its host (or anyone, once the deadline has passed) requests the close, or when a
+// ballot or join meets its automatic close condition. Clients cannot write results themselves (see
+// firestore.rules), so whatever this function computes is the authoritative outcome.
+export const closeVotingOnRequest = onDocumentUpdated('artifacts/{appId}/public/data/sessions/{sessionCode}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (isNewCloseRequest(before, after)) {
+        await closeSession(event.data.after.ref, () => true);
+    } else if (shouldAutoClose(after)) {
+        // Invites are only counted inside the transaction, as the session alone cannot say whether any are pending
+        await closeSession(event.data.after.ref, (session, invites) => shouldAutoClose(session, Date.now(), invites));
+    }
+});
+
+// Closes sessions whose deadline passed while nobody had the voting page open, with no winner if nobody voted
+export const closeExpiredSessions = onSchedule('every 1 minutes', async () => {
+    const expired = await getFirestore().collectionGroup('sessions')
+        .where('isVotingClosed', '==', false)
+        .where('closesAt', '<=', Timestamp.now())
+        .get();
+    await Promise.all(expired.docs.map(snapshot => closeSession(snapshot.ref, (session, invites) => shouldAutoClose(session, Date.now(), invites))));
+});
+
+// Casts, changes or (with a null ballot) withdraws the caller's secret ballot. Clients cannot write the
+// `ballots` subcollection or the `voted` flags themselves, so this is the only way a secret ballot is cast.
+export const castSecretBallot = onCall({ secrets: [secretBallotKey] }, async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) throw new HttpsError('unauthenticated', 'Sign in before voting.');
+    const { appId, sessionCode, ballot = null } = request.data ?? {};
+    if (!isValidPathSegment(appId) || !isValidPathSegment(sessionCode)) {
+        throw new HttpsError('invalid-argument', 'Session code is invalid.');
+    }
+    const sessionRef = getFirestore().doc(`artifacts/${appId}/public/data/sessions/${sessionCode}`);
+    await getFirestore().runTransaction(async (transaction) => {
+        const session = (await transaction.get(sessionRef)).data();
+        const problem = whySecretBallotIsRejected(session, uid, ballot);
+        if (problem) throw new HttpsError('failed-precondition', problem);
+        transaction.set(sessionRef.collection('ballots').doc(secretBallotId(secretBallotKey.value(), appId, sessionCode, uid)), { ballot });
+        transaction.update(sessionRef, { [`voted.${uid}`]: ballot !== null });
+    });
+});
+
+// Deleting a session from the client only removes the document. Its invites and secret ballots live in
+// subcollections the client cannot (or, for ballots, may not) list, so they are cleaned up here.
+export const deleteSessionSubcollections = onDocumentDeleted('artifacts/{appId}/public/data/sessions/{sessionCode}', async (event) => {
+    await getFirestore().recursiveDelete(event.data.ref);
+});
@@ -0,0 +1,12 @@
+// Copies the web app's tabulation modules into this package so the backend counts votes
+// with exactly the same code as the browser. Runs before tests, the emulators and deploys.
+import { copyFileSync, mkdirSync, readdirSync, rmSync } from 'node:fs';
+
+const source = new URL('../../src/tabulation/', import.meta.url);
+const target = new URL('../tabulation/', import.meta.url);
+
+rmSync(target, { recursive: true, force: true });
+mkdirSync(target);
+readdirSync(source)
+    .filter(file => file.endsWith('.js') && !file.endsWith('.test.js'))
+    .forEach(file => copyFileSync(new URL(file, source), new URL(file, target)));
@@ -0,0 +1,31 @@
+import { createHmac } from 'node:crypto';
+import { getMethod, isWellFormedBallot } from './tabulation/index.js';
+
+// Secret ballots are stored without any uid, under an id only this function can compute: a keyed hash of
+// the voter's uid. Voting again (or withdrawing) overwrites the same document, so each voter has at most
+// one ballot, yet neither the session document, the ballots nor anyone reading Firestore can tell whose a
+// ballot is without the key, which lives in Secret Manager and is bound to castSecretBallot alone.
+export const secretBallotId = (key, appId, sessionCode, uid) =>
+    createHmac('sha256', key).update(`${appId}/${sessionCode}/${uid}`).digest('hex');
+
+// Session codes and app ids end up in a document path, so they may not contain a slash (or be "." or "..")
+export const isValidPathSegment = (value) => typeof value === 'string' && /^[\w-]{1,64}$/.test(value);
+
+// Why `uid` may not cast `ballot` (null withdraws) in `session` right now, or null if they may. The same
+// conditions as the rules for ordinary ballots in firestore.rules.
+export const whySecretBallotIsRejected = (session, uid, ballot, now = Date.now()) => {
+    if (!session) return 'Session not found.';
+    if (!session.secretBallot) return 'This session does not use secret ballots.';
+    if (session.isVotingClosed) return 'Voting has already closed.';
+    if ((session.phase ?? 'voting') === 'collecting') return 'Voting has not started yet.';
+    if (!(uid in (session.participants || {})) && session.host !== uid) return 'Join the session before voting.';
+    if (session.opensAt && now < session.opensAt.toMillis()) return 'Voting has not opened yet.';
+    if (session.closesAt && now >= session.closesAt.toMillis()) return 'Voting has already closed.';
+    if (ballot !== null) {
+        const size = Array.isArray(ballot) ? ballot.length : Object.keys(ballot ?? {}).length;
+        if (!isWellFormedBallot(getMethod(session.method).ballot, ballot) || size > (session.options || []).length) {
+            return 'This ballot does not match the session.';
+        }
+    }
+    return null;
+};
@@ -0,0 +1,8 @@
+// Closing a session is shared with the app's local backend, so it lives with the tabulation code
+export { closingUpdate, shouldAutoClose } from './tabulation/closing.js';
+
+// Whether an update to a session is a new close request from the host
+export const isNewCloseRequest = (before, after) => {
+    if (!after || after.isVotingClosed || !after.closeRequestedAt) return false;
+    return !before?.closeRequestedAt || !before.closeRequestedAt.isEqual(after.closeRequestedAt);
+};
@@ -0,0 +1,72 @@
+// Runs against the Functions and Firestore emulators: `npm run test:functions` from the repository root
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+
+// Skipped unless FIRESTORE_EMULATOR_HOST is set, as `npm run test:functions` does
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+const SESSIONS = 'artifacts/default-app-id/public/data/sessions';
+
+// Polls the session until `predicate` holds, since the trigger runs asynchronously
+const waitFor = async (ref, predicate, timeout = 10000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const data = (await ref.get()).data();
+        if (predicate(data)) return data;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error('Timed out waiting for the session to update.');
+};
+
+describeWithEmulator('closeVotingOnRequest', () => {
+    let db;
+
+    before(() => {
+        db = getFirestore(initializeApp({ projectId: 'demo-rankvote' }));
+    });
+
+    test('tallies the ballots when the host requests the close', async () => {
+        const ref = db.collection(SESSIONS).doc('FUNC01');
+        await ref.set({
+            title: 'Dinner',
+            method: 'irv',
+            options: ['Mexican', 'Thai', 'Pizza'],
+            votes: { a: ['Thai', 'Pizza'], b: ['Pizza', 'Thai'], c: ['Mexican', 'Thai'] },
+            host: 'a',
+            tieBreak: 'backwards',
+            tieBreakSeed: 'seed',
+            isVotingClosed: false,
+        });
+
+        await ref.update({ closeRequestedAt: FieldValue.serverTimestamp() });
+        const closed = await waitFor(ref, data => data.isVotingClosed);
+
+        assert.equal(closed.winner, 'Thai');
+        assert.equal(closed.rounds.length, 2);
+        assert.equal(closed.closeRequestedAt, null);
+    });
+
+    test('publishes a tie for the host instead of closing', async () => {
+        const ref = db.collection(SESSIONS).doc('FUNC02');
+        await ref.set({
+            title: 'Movie',
+            method: 'irv',
+            options: ['Alien', 'Brazil'],
+            votes: { a: ['Alien'], b: ['Brazil'] },
+            host: 'a',
+            tieBreak: 'host',
+            tieBreakSeed: 'seed',
+            isVotingClosed: false,
+        });
+
+        await ref.update({ closeRequestedAt: FieldValue.serverTimestamp() });
+        const paused = await waitFor(ref, data => data.pendingTie);
+        assert.equal(paused.isVotingClosed, false);
+        assert.deepEqual(paused.pendingTie.tied, ['Alien', 'Brazil']);
+
+        await ref.update({ tieBreakDecisions: ['Brazil'], closeRequestedAt: FieldValue.serverTimestamp() });
+        const closed = await waitFor(ref, data => data.isVotingClosed);
+        assert.equal(closed.winner, 'Alien');
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidPathSegment, secretBallotId, whySecretBallotIsRejected } from '../secretBallots.js';
+
+// Stand-in for a Firestore Timestamp
+const timestamp = (millis) => ({ toMillis: () => millis });
+
+const session = (overrides = {}) => ({
+    method: 'irv',
+    options: ['A', 'B', 'C'],
+    secretBallot: true,
+    participants: { u1: { name: 'Vera' } },
+    host: 'h',
+    isVotingClosed: false,
+    ...overrides,
+});
+
+describe('secretBallotId', () => {
+    test('gives each voter one id that cannot be worked out without the key', () => {
+        const id = secretBallotId('key', 'app', 'ABC234', 'u1');
+
+        assert.equal(secretBallotId('key', 'app', 'ABC234', 'u1'), id);
+        assert.notEqual(secretBallotId('key', 'app', 'ABC234', 'u2'), id);
+        assert.notEqual(secretBallotId('key', 'app', 'XYZ789', 'u1'), id);
+        assert.notEqual(secretBallotId('other key', 'app', 'ABC234', 'u1'), id);
+        assert.doesNotMatch(id, /u1|ABC234/);
+    });
+});
+
+describe('isValidPathSegment', () => {
+    test('only accepts plain ids', () => {
+        assert.equal(isValidPathSegment('ABC234'), true);
+        assert.equal(isValidPathSegment('default-app-id'), true);
+        for (const value of ['', '..', 'a/b', 42, undefined]) {
+            assert.equal(isValidPathSegment(value), false);
+        }
+    });
+});
+
+describe('whySecretBallotIsRejected', () => {
+    test('accepts ballots and withdrawals from participants and the host while voting is open', () => {
+        assert.equal(whySecretBallotIsRejected(session(), 'u1', ['B', 'A']), null);
+        assert.equal(whySecretBallotIsRejected(session(), 'h', ['C']), null);
+        assert.equal(whySecretBallotIsRejected(session(), 'u1', null), null);
+        assert.equal(whySecretBallotIsRejected(session({ method: 'score' }), 'u1', { A: 3 }), null);
+    });
+
+    test('rejects voters and sessions that cannot take the ballot', () => {
+        assert.match(whySecretBallotIsRejected(undefined, 'u1', ['A']), /not found/);
+        assert.match(whySecretBallotIsRejected(session({ secretBallot: false }), 'u1', ['A']), /secret/);
+        assert.match(whySecretBallotIsRejected(session(), 'stranger', ['A']), /Join/);
+        assert.match(whySecretBallotIsRejected(session({ isVotingClosed: true }), 'u1', ['A']), /closed/);
+        assert.match(whySecretBallotIsRejected(session({ phase: 'collecting' }), 'u1', ['A']), /not started/);
+    });
+
+    test('only accepts ballots inside the voting window', () => {
+        assert.match(whySecretBallotIsRejected(session({ opensAt: timestamp(2000) }), 'u1', ['A'], 1000), /not opened/);
+        assert.match(whySecretBallotIsRejected(session({ closesAt: timestamp(2000) }), 'u1', ['A'], 2000), /closed/);
+        assert.equal(whySecretBallotIsRejected(session({ opensAt: timestamp(1000), closesAt: timestamp(2000) }), 'u1', ['A'], 1500), null);
+    });
+
+    test('rejects ballots of the wrong shape or with more entries than choices', () => {
+        assert.match(whySecretBallotIsRejected(session(), 'u1', { A: 1 }), /does not match/);
+        assert.match(whySecretBallotIsRejected(session({ method: 'score' }), 'u1', ['A']), /does not match/);
+        assert.match(whySecretBallotIsRejected(session(), 'u1', ['A', 'B', 'C', 'D']), /does not match/);
+        assert.match(whySecretBallotIsRejected(session(), 'u1', 'A'), /does not match/);
+    });
+});
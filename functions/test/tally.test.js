@@ -0,0 +1,137 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closingUpdate, isNewCloseRequest, shouldAutoClose } from '../tally.js';
+
+// Stand-in for a Firestore Timestamp
+const timestamp = (millis) => ({ millis, isEqual: (other) => other.millis === millis, toMillis: () => millis });
+
+const session = (overrides = {}) => ({
+    method: 'irv',
+    options: ['A', 'B', 'C'],
+    votes: { u1: ['A', 'B'], u2: ['A', 'C'], u3: ['B', 'A'] },
+    tieBreak: 'backwards',
+    tieBreakSeed: 'seed',
+    isVotingClosed: false,
+    ...overrides,
+});
+
+describe('closingUpdate', () => {
+    test('closes the session with the tabulated result', () => {
+        const update = closingUpdate(session());
+
+        assert.equal(update.isVotingClosed, true);
+        assert.equal(update.phase, 'closed');
+        assert.equal(update.winner, 'A');
+        assert.deepEqual(update.winners, ['A']);
+        assert.equal(update.rounds.length, 1);
+        assert.equal(update.pendingTie, null);
+    });
+
+    test('counts ballots against option ids', () => {
+        const options = [{ id: 'a1', name: 'Tacos' }, { id: 'b2', name: 'Tacos' }];
+        const update = closingUpdate(session({ options, votes: { u1: ['b2'], u2: ['b2', 'a1'], u3: ['a1'] } }));
+
+        assert.deepEqual(update.winners, ['b2']);
+        assert.deepEqual(update.rounds[0].counts, { a1: 1, b2: 2 });
+    });
+
+    test('uses the session method and seats', () => {
+        const update = closingUpdate(session({ method: 'stv', seats: 2 }));
+
+        assert.equal(update.winners.length, 2);
+        assert.equal(update.tally.quota, 2);
+    });
+
+    test('keeps voting open and publishes the tie when the host has to decide', () => {
+        const update = closingUpdate(session({ tieBreak: 'host', votes: { u1: ['A'], u2: ['B'] } }));
+
+        assert.equal(update.isVotingClosed, undefined);
+        assert.deepEqual(update.pendingTie, { round: 2, tied: ['A', 'B'], eliminate: true });
+    });
+
+    test('counts secret ballots passed in, skipping withdrawn ones', () => {
+        const update = closingUpdate(session({ secretBallot: true, votes: {} }), [['B', 'A'], ['B'], null, ['A']]);
+
+        assert.equal(update.winner, 'B');
+        assert.equal(update.rounds[0].counts.B, 2);
+    });
+
+    test('leaves out malformed ballots instead of failing the count', () => {
+        const update = closingUpdate(session({ votes: { u1: ['B', 'A'], u2: 'A', u3: { A: 5 }, u4: 7, u5: ['A'], u6: ['B'] } }));
+
+        assert.equal(update.winner, 'B');
+        assert.equal(update.rounds[0].counts.B, 2);
+
+        const scored = closingUpdate(session({ method: 'score', votes: { u1: { B: 5 }, u2: ['A', 'A'], u3: null } }));
+        assert.equal(scored.winner, 'B');
+    });
+
+    test('refuses to close without ballots', () => {
+        const update = closingUpdate(session({ votes: {} }));
+
+        assert.equal(update.isVotingClosed, undefined);
+        assert.match(update.closeError, /no votes/);
+    });
+
+    test('closes a session whose deadline passed without ballots, with no winner', () => {
+        const update = closingUpdate(session({ votes: {}, closesAt: timestamp(1000) }), undefined, 1000);
+
+        assert.equal(update.isVotingClosed, true);
+        assert.equal(update.winner, null);
+        assert.deepEqual(update.winners, []);
+        assert.deepEqual(update.rounds, []);
+        assert.equal(update.closeError, null);
+    });
+});
+
+describe('isNewCloseRequest', () => {
+    test('only reacts to a changed close request on an open session', () => {
+        assert.equal(isNewCloseRequest({}, { closeRequestedAt: timestamp(1) }), true);
+        assert.equal(isNewCloseRequest({ closeRequestedAt: timestamp(1) }, { closeRequestedAt: timestamp(2) }), true);
+        assert.equal(isNewCloseRequest({ closeRequestedAt: timestamp(1) }, { closeRequestedAt: timestamp(1) }), false);
+        assert.equal(isNewCloseRequest({ closeRequestedAt: timestamp(1) }, { closeRequestedAt: null }), false);
+        assert.equal(isNewCloseRequest({}, { closeRequestedAt: timestamp(1), isVotingClosed: true }), false);
+    });
+});
+
+describe('shouldAutoClose', () => {
+    test('closes once the deadline has passed', () => {
+        assert.equal(shouldAutoClose(session({ closesAt: timestamp(1000) }), 999), false);
+        assert.equal(shouldAutoClose(session({ closesAt: timestamp(1000) }), 1000), true);
+    });
+
+    test('closes when enough ballots are in', () => {
+        assert.equal(shouldAutoClose(session({ closeAfterBallots: 4 })), false);
+        assert.equal(shouldAutoClose(session({ closeAfterBallots: 3 })), true);
+    });
+
+    test('closes when everyone who joined has voted', () => {
+        const participants = { u1: {}, u2: {}, u3: {}, u4: {} };
+        assert.equal(shouldAutoClose(session({ closeWhenAllVoted: true, participants })), false);
+        assert.equal(shouldAutoClose(session({ closeWhenAllVoted: true, participants: { u1: {}, u2: {} } })), true);
+        assert.equal(shouldAutoClose(session({ closeWhenAllVoted: true, participants: {} })), false);
+    });
+
+    test('waits for invitees who have not joined yet', () => {
+        const invited = session({ access: 'invite', closeWhenAllVoted: true, participants: { u1: {}, u2: {} } });
+        assert.equal(shouldAutoClose(invited, Date.now(), { pendingInvites: 1 }), false);
+        assert.equal(shouldAutoClose(invited, Date.now(), { pendingInvites: 0 }), true);
+    });
+
+    test('counts secret-ballot voters from their voted flags', () => {
+        const secret = { secretBallot: true, votes: {}, closeAfterBallots: 2 };
+        assert.equal(shouldAutoClose(session({ ...secret, voted: { u1: true, u2: false } })), false);
+        assert.equal(shouldAutoClose(session({ ...secret, voted: { u1: true, u2: true } })), true);
+    });
+
+    test('closes sessions without ballots only at their deadline', () => {
+        assert.equal(shouldAutoClose(session({ closesAt: timestamp(0), votes: {} })), true);
+        assert.equal(shouldAutoClose(session({ closeAfterBallots: 1, closeWhenAllVoted: true, participants: { u1: {} }, votes: {} })), false);
+    });
+
+    test('leaves sessions with a pending tie or already closed alone', () => {
+        assert.equal(shouldAutoClose(session({ closesAt: timestamp(0), pendingTie: { round: 1 } })), false);
+        assert.equal(shouldAutoClose(session({ closesAt: timestamp(0), isVotingClosed: true })), false);
+        assert.equal(shouldAutoClose(session()), false);
+    });
+});
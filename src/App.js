@@ -1,50 +1,244 @@
 /* eslint-disable no-undef */
 /* eslint-disable no-loop-func */
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc, onSnapshot, updateDoc, arrayUnion } from 'firebase/firestore';
-import { LucidePlus, LucideCopy, LucideArrowRight, LucideTrophy, LucideUsers, LucideCheck, LucideLoader2, LucideArrowUp, LucideArrowDown, LucideScale, LucideStar, LucideChevronLeft } from 'lucide-react';
+import { getAuth, connectAuthEmulator, signInWithCustomToken, signInAnonymously, onAuthStateChanged, signOut, GoogleAuthProvider, EmailAuthProvider, signInWithPopup, linkWithPopup, signInWithCredential, linkWithCredential, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
+import { LucidePlus, LucideCopy, LucideArrowRight, LucideTrophy, LucideUsers, LucideCheck, LucideLoader2, LucideArrowUp, LucideArrowDown, LucideScale, LucideStar, LucideChevronLeft, LucideAlertTriangle, LucideX, LucideGripVertical, LucidePencil, LucideTrash2, LucideSettings, LucideLock, LucideUnlock, LucideRotateCcw, LucideCrown, LucideLink, LucideShare2, LucideClock, LucideMail, LucideDownload, LucideUpload, LucideCloudOff, LucideWifiOff, LucideMonitor, LucideMaximize, LucideMinimize, LucideEye, LucideEyeOff, LucidePlay, LucideHistory, LucideUserCircle, LucideLogIn, LucideLogOut, LucideExternalLink, LucideImage, LucideTag, LucideClipboardList, LucideChevronsUp, LucideChevronsDown, LucideSearch, LucideUndo2 } from 'lucide-react';
+import QRCode from 'qrcode';
+import { TABULATION_METHODS, DEFAULT_METHOD, MAX_SCORE, TIE_BREAK_POLICIES, DEFAULT_TIE_BREAK, getMethod, generateTieBreakSeed, tabulate, currentStandings, optionIds, wellFormedBallots } from './tabulation';
+import { toBlt, toCsv, buildResultsDocument, parseBallotFile, parseOptionList, BallotFileError } from './formats';
+import { parseRoute, buildPath, buildInviteLink } from './routing';
+import { buildSessionHistory } from './sessionHistory';
+import { startPairwiseSort, nextComparison, answerComparison, isPairwiseSortDone, remainingComparisons } from './pairwiseSort';
+import { createFirestoreRepository, createLocalRepository, normalizeOptions, findOption, createNameFor, parseTags, isWebUrl, validateOption, createOption, updateOption, exceedsImageBudget, findDuplicateOption, optionTags, matchesOptionFilter, maxOptionsOf, DEFAULT_MAX_OPTIONS, MAX_OPTIONS_LIMIT, MAX_IMAGE_DATA_URL_LENGTH, SESSION_PHASES, sessionPhase, canReturnToCollecting, MAX_SUGGESTIONS_PER_PARTICIPANT, SUGGESTION_STATUSES, listSuggestions, pendingSuggestions, validateSuggestion, nextSuggestionId, createSuggestion } from './sessions';
+import { DEFAULT_CODE_LENGTH, MIN_CODE_LENGTH, MAX_CODE_LENGTH, generateSessionCode, normalizeSessionCode, isValidSessionCode, similarSessionCodes } from './sessionCodes';
 
 // Firebase configuration from the environment.
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
-// Initialize Firebase and Firestore
-let app, db, auth;
-if (firebaseConfig && Object.keys(firebaseConfig).length > 0) {
+// Initialize Firebase and Firestore, unless there is no Firebase project or REACT_APP_BACKEND=local asks
+// for the browser-only backend
+let app, db, auth, functions;
+if (firebaseConfig && Object.keys(firebaseConfig).length > 0 && process.env.REACT_APP_BACKEND !== 'local') {
     app = initializeApp(firebaseConfig);
-    db = getFirestore(app);
+    // Cache data in IndexedDB so sessions open offline, and so writes made offline are queued (across
+    // reloads too) and sent once the connection returns
+    db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
     auth = getAuth(app);
+    functions = getFunctions(app);
+    // Talk to the local emulators started with `npm run emulators`
+    if (process.env.REACT_APP_USE_EMULATORS === 'true') {
+        connectFirestoreEmulator(db, 'localhost', 8080);
+        connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+        connectFunctionsEmulator(functions, 'localhost', 5001);
+    }
 }
 
-// Function to generate a random 6-character session code
-const generateSessionCode = () => {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+// Where sessions are read and written. Without Firestore they stay in this browser's localStorage, which
+// is enough for demos and keeps working with no network at all.
+const repository = db ? createFirestoreRepository(db, appId, functions) : createLocalRepository({ storage: window.localStorage });
+
+// Length of new session codes; REACT_APP_SESSION_CODE_LENGTH can raise it for deployments with many sessions
+const SESSION_CODE_LENGTH = Math.min(Math.max(Number(process.env.REACT_APP_SESSION_CODE_LENGTH) || DEFAULT_CODE_LENGTH, MIN_CODE_LENGTH), MAX_CODE_LENGTH);
+// Fresh codes to try when the ones drawn are already taken
+const MAX_CODE_ATTEMPTS = 5;
+
+// The session behind a code, before joining it. Invite-only sessions cannot be read until their invite is
+// claimed (see firestore.rules), so for those the join goes ahead on the invite alone and the rules check
+// the lock and the participant cap when it is written.
+const getSessionToJoin = async (code) => {
+    try {
+        return await repository.getSession(code);
+    } catch (e) {
+        if (e.code !== 'permission-denied') throw e;
+        return { access: 'invite', participants: {} };
+    }
+};
+
+// Which codes one typo away from `code` belong to existing sessions, for "did you mean" suggestions
+const findSimilarSessionCodes = async (code) => {
+    try {
+        return await repository.findExistingCodes(similarSessionCodes(code));
+    } catch (e) {
+        console.error("Error looking up similar session codes: ", e);
+        return [];
+    }
+};
+
+// Per-voter invite tokens are the only credential for invite-only sessions, so they come from the CSPRNG
+const generateInviteToken = () => Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Without Firebase Auth every tab is a participant of its own, so a demo can have several voters side by side
+const LOCAL_USER_ID_KEY = 'rankvote:localUserId';
+const getLocalUserId = () => {
+    let localUserId = sessionStorage.getItem(LOCAL_USER_ID_KEY);
+    if (!localUserId) {
+        localUserId = `local-${generateInviteToken().slice(0, 12)}`;
+        sessionStorage.setItem(LOCAL_USER_ID_KEY, localUserId);
+    }
+    return localUserId;
+};
+
+// Participant caps; firestore.rules enforces the same numbers
+const DEFAULT_MAX_PARTICIPANTS = 10;
+const MAX_PARTICIPANTS_LIMIT = 100;
+const MAX_NAME_LENGTH = 40;
+
+// Remembers the last display name so it can be suggested when joining the next session
+const DISPLAY_NAME_KEY = 'rankvote:displayName';
+
+const getParticipantName = (sessionData, uid) =>
+    sessionData.participants?.[uid]?.name || (uid === sessionData.host ? 'Host' : 'Anonymous voter');
+
+// In-progress ballots are kept in this browser so a reload or a dropped connection does not lose them
+const ballotDraftKey = (sessionCode, userId) => `rankvote:draft:${appId}:${sessionCode}:${userId}`;
+const saveBallotDraft = (sessionCode, userId, draft) => localStorage.setItem(ballotDraftKey(sessionCode, userId), JSON.stringify(draft));
+const clearBallotDraft = (sessionCode, userId) => localStorage.removeItem(ballotDraftKey(sessionCode, userId));
+const loadBallotDraft = (sessionCode, userId, sessionOptions) => {
+    const draft = JSON.parse(localStorage.getItem(ballotDraftKey(sessionCode, userId)) || 'null');
+    if (!draft) return null;
+    // Drafts made before the host changed the choices no longer fit the ballot
+    const drafted = [...draft.options, ...draft.unranked];
+    if (drafted.length !== sessionOptions.length || !sessionOptions.every(option => drafted.includes(option))) return null;
+    return draft;
+};
+
+// Whether the browser thinks it has a network connection
+const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    useEffect(() => {
+        const handleChange = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', handleChange);
+        window.addEventListener('offline', handleChange);
+        return () => {
+            window.removeEventListener('online', handleChange);
+            window.removeEventListener('offline', handleChange);
+        };
+    }, []);
+    return isOnline;
+};
+
+// Uids with a ballot in. Secret-ballot sessions only publish a `voted` flag per participant.
+const getVoterIds = (sessionData) => sessionData.secretBallot
+    ? Object.keys(sessionData.voted || {}).filter(uid => sessionData.voted[uid])
+    : Object.keys(sessionData.votes || {});
+
+// Nobody can read a secret ballot back, its voter included, so this browser keeps a copy for editing
+const secretBallotKey = (sessionCode, userId) => `rankvote:secretBallot:${appId}:${sessionCode}:${userId}`;
+const loadSecretBallot = (sessionCode, userId) => JSON.parse(localStorage.getItem(secretBallotKey(sessionCode, userId)) || 'null');
+const saveSecretBallot = (sessionCode, userId, entry) => localStorage.setItem(secretBallotKey(sessionCode, userId), JSON.stringify(entry));
+
+// Remembers the address a sign-in link was sent to, which Firebase needs again when the link is opened
+const EMAIL_FOR_SIGN_IN_KEY = 'rankvote:emailForSignIn';
+
+// What the header shows for the signed-in user
+const describeAccount = (user) => ({
+    isAnonymous: user.isAnonymous,
+    name: user.displayName || user.providerData.find(profile => profile.displayName)?.displayName || user.email || (user.isAnonymous ? 'Guest' : 'Signed in'),
+    email: user.email,
+});
+
+// Signs in with Google. A guest (anonymous) account is upgraded in place, keeping its uid and with it the
+// sessions it hosts and the ballots it cast. Resolves to the signed-in user, or null if the user backs out.
+const signInWithGoogle = async () => {
+    const provider = new GoogleAuthProvider();
+    if (!auth.currentUser?.isAnonymous) return (await signInWithPopup(auth, provider)).user;
+    try {
+        return (await linkWithPopup(auth.currentUser, provider)).user;
+    } catch (e) {
+        if (e.code !== 'auth/credential-already-in-use') throw e;
+        // The Google account already has a uid of its own, which cannot absorb this guest's sessions
+        if (!window.confirm('This Google account is already registered. Switch to it? Sessions from this guest visit stay with the guest account.')) return null;
+        return (await signInWithCredential(auth, GoogleAuthProvider.credentialFromError(e))).user;
+    }
+};
+
+// Emails a one-time sign-in link that leads back to this app
+const sendEmailSignInLink = async (email) => {
+    await sendSignInLinkToEmail(auth, email, { url: `${window.location.origin}${window.location.pathname}`, handleCodeInApp: true });
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+// Finishes signing in from an emailed link, upgrading a guest account the same way as Google sign-in does
+const completeEmailLinkSignIn = async () => {
+    const link = window.location.href;
+    const email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt('Which email address was the sign-in link sent to?');
+    // The link's one-time code is in the query string; drop it so a reload does not try to use it again
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`);
+    if (!email) return;
+    try {
+        if (auth.currentUser?.isAnonymous) {
+            try {
+                await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, link));
+                return;
+            } catch (e) {
+                if (e.code !== 'auth/email-already-in-use' && e.code !== 'auth/credential-already-in-use') throw e;
+            }
+        }
+        await signInWithEmailLink(auth, email, link);
+    } finally {
+        localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    }
 };
 
 // Main App Component
 const App = () => {
-    const [page, setPage] = useState('home');
+    const [page, setPage] = useState(() => parseRoute(window.location.hash).page);
+    // The page as the session listener sees it, so changing pages does not resubscribe to the session
+    const pageRef = useRef(page);
+    pageRef.current = page;
     const [sessionCode, setSessionCode] = useState('');
+    // A session route opened from a link (or back/forward) that still has to be joined
+    const [linkedRoute, setLinkedRoute] = useState(() => {
+        const route = parseRoute(window.location.hash);
+        return route.sessionCode ? route : null;
+    });
     const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null);
+    const [isSignInOpen, setIsSignInOpen] = useState(false);
     const [sessionData, setSessionData] = useState(null);
+    // Whether this device has session writes (such as a ballot) that have not reached the server yet
+    const [hasPendingWrites, setHasPendingWrites] = useState(false);
+    const isOnline = useOnlineStatus();
     const [isAuthReady, setIsAuthReady] = useState(false);
     const [error, setError] = useState('');
     const [message, setMessage] = useState('');
+    // Session (and invite) the join form should complete when a link needs a display name first
+    const [joinDraft, setJoinDraft] = useState(null);
+    // Existing session codes close to a code that was not found
+    const [codeSuggestions, setCodeSuggestions] = useState([]);
+    // Title and choices copied from a past session into the create form
+    const [sessionTemplate, setSessionTemplate] = useState(null);
 
     useEffect(() => {
         const initializeAuth = async () => {
             if (!auth) {
-                console.error("Firebase Auth not initialized.");
+                setUserId(getLocalUserId());
+                setAccount({ isAnonymous: false, name: 'Local demo (this browser only)', email: null });
                 setIsAuthReady(true);
                 return;
             }
             try {
                 if (initialAuthToken) {
                     await signInWithCustomToken(auth, initialAuthToken);
-                } else {
+                    return;
+                }
+                // Keep whoever is already signed in: signing in anonymously again would drop an account sign-in
+                await auth.authStateReady();
+                if (isSignInWithEmailLink(auth, window.location.href)) {
+                    try {
+                        await completeEmailLinkSignIn();
+                        if (auth.currentUser) setAccount(describeAccount(auth.currentUser));
+                    } catch (e) {
+                        console.error("Error completing email sign-in: ", e);
+                        setError('That sign-in link has expired or was already used. Please request a new one.');
+                    }
+                }
+                if (!auth.currentUser) {
                     await signInAnonymously(auth);
                 }
             } catch (e) {
@@ -55,8 +249,10 @@ const App = () => {
         const authStateUnsubscribe = auth ? onAuthStateChanged(auth, (user) => {
             if (user) {
                 setUserId(user.uid);
+                setAccount(describeAccount(user));
             } else {
                 setUserId(null);
+                setAccount(null);
             }
             setIsAuthReady(true);
         }) : () => {};
@@ -68,15 +264,15 @@ const App = () => {
 
     // Effect to listen for real-time changes in the session data
     useEffect(() => {
-        if (!db || !sessionCode || !isAuthReady) return;
-        const sessionRef = doc(db, `/artifacts/${appId}/public/data/sessions`, sessionCode);
-        const unsubscribe = onSnapshot(sessionRef, (docSnap) => {
-            if (docSnap.exists()) {
-                setSessionData(docSnap.data());
+        if (!sessionCode || !isAuthReady) return;
+        const unsubscribe = repository.subscribeSession(sessionCode, (session, { hasPendingWrites }) => {
+            setHasPendingWrites(hasPendingWrites);
+            if (session) {
+                setSessionData({ ...session, options: normalizeOptions(session.options) });
                 setError('');
             } else {
                 setSessionData(null);
-                if (page !== 'home') {
+                if (pageRef.current !== 'home') {
                     setError('Session not found.');
                 }
             }
@@ -86,26 +282,53 @@ const App = () => {
         });
 
         return () => unsubscribe();
-    }, [sessionCode, isAuthReady, page]);
+    }, [sessionCode, isAuthReady]);
 
-    const handleCreateSession = async (title) => {
-        if (!db || !userId) {
+    const handleCreateSession = async (title, settings) => {
+        if (!userId) {
             setError('Authentication not complete. Please wait.');
             return;
         }
-        const newCode = generateSessionCode();
-        const sessionRef = doc(db, `/artifacts/${appId}/public/data/sessions`, newCode);
         const newSessionData = {
             title: title,
-            options: [],
+            method: settings.method,
+            seats: settings.seats,
+            tieBreak: settings.tieBreak,
+            tieBreakSeed: generateTieBreakSeed(),
+            opensAt: settings.opensAt,
+            closesAt: settings.closesAt,
+            closeAfterBallots: settings.closeAfterBallots,
+            closeWhenAllVoted: settings.closeWhenAllVoted,
+            access: settings.access,
+            maxParticipants: settings.maxParticipants,
+            maxOptions: settings.maxOptions,
+            secretBallot: settings.secretBallot,
+            phase: settings.collectSuggestions ? 'collecting' : 'voting',
+            voted: {},
+            options: settings.options || [],
             votes: {},
+            ballotUpdatedAt: {},
+            participants: {},
             host: userId,
+            isLocked: false,
             isVotingClosed: false,
-            winner: null
+            winner: null,
+            winners: []
         };
 
         try {
-            await setDoc(sessionRef, newSessionData);
+            // Claim a code in a transaction that only creates the session while the code is still free, so a
+            // collision can never overwrite someone else's session
+            let newCode = null;
+            for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS && !newCode; attempt++) {
+                const candidate = generateSessionCode(SESSION_CODE_LENGTH);
+                if (await repository.createSession(candidate, newSessionData)) newCode = candidate;
+            }
+            if (!newCode) {
+                setError('Could not find a free session code. Please try again.');
+                return;
+            }
+            setSessionTemplate(null);
             setSessionCode(newCode);
             setPage('create-options');
         } catch (e) {
@@ -114,23 +337,126 @@ const App = () => {
         }
     };
 
-    const handleJoinSession = async (code) => {
-        if (!db || !userId) {
+    // Joins a session and opens one of its pages; resolves to whether the join succeeded. Newcomers need
+    // a display name, and invite-only sessions also need an unused invite token, which joining claims.
+    const handleJoinSession = useCallback(async (code, nextPage = 'vote', { name, invite } = {}) => {
+        if (!userId) {
             setError('Authentication not complete. Please wait.');
-            return;
+            return false;
         }
-        const sessionRef = doc(db, `/artifacts/${appId}/public/data/sessions`, code);
         try {
-            const docSnap = await getDoc(sessionRef);
-            if (docSnap.exists()) {
-                setSessionCode(code);
-                setPage('vote');
-            } else {
+            const session = await getSessionToJoin(code);
+            if (!session) {
+                setCodeSuggestions(await findSimilarSessionCodes(code));
                 setError('Session code is invalid.');
+                return false;
+            }
+            const isKnown = session.host === userId || !!session.participants?.[userId];
+            if (!isKnown) {
+                if (session.isLocked) {
+                    setError('This session is locked and is not accepting new participants.');
+                    return false;
+                }
+                if (Object.keys(session.participants || {}).length >= (session.maxParticipants || DEFAULT_MAX_PARTICIPANTS)) {
+                    setError('This session is full.');
+                    return false;
+                }
+                const isInviteOnly = session.access === 'invite';
+                if (isInviteOnly && !invite) {
+                    setError('This session is invite-only. Open the personal invite link you were sent.');
+                    return false;
+                }
+                const inviteData = isInviteOnly ? await repository.getInvite(code, invite) : null;
+                if (isInviteOnly && (!inviteData || inviteData.claimedBy)) {
+                    setError(inviteData ? 'This invite link has already been used.' : 'This invite link is not valid.');
+                    return false;
+                }
+                if (!name) {
+                    setError('');
+                    setJoinDraft({ code, invite, name: inviteData?.name });
+                    return false;
+                }
+
+                await repository.joinSession(code, userId, { name, invite: isInviteOnly ? invite : undefined });
+                localStorage.setItem(DISPLAY_NAME_KEY, name);
             }
+            setError('');
+            setJoinDraft(null);
+            setCodeSuggestions([]);
+            setSessionCode(code);
+            setPage(nextPage);
+            return true;
         } catch (e) {
             console.error("Error joining session: ", e);
-            setError("Failed to join session. Please try again.");
+            // The rules turn away joins to invite-only sessions that are locked or full, which could not be checked beforehand
+            setError(e.code === 'permission-denied' ? 'This session is not accepting new participants.' : "Failed to join session. Please try again.");
+            return false;
+        }
+    }, [userId]);
+
+    // Auto-join sessions opened from a shared link; failures land on the join form with the error
+    useEffect(() => {
+        if (!isAuthReady || !linkedRoute) return;
+        handleJoinSession(linkedRoute.sessionCode, linkedRoute.page, { invite: linkedRoute.invite }).then(joined => {
+            if (!joined) setPage('join-session-form');
+            setLinkedRoute(null);
+        });
+    }, [isAuthReady, linkedRoute, handleJoinSession]);
+
+    // Mirror the current page in the URL so reloads and shared links land in the same place
+    useEffect(() => {
+        if (linkedRoute) return;
+        const path = buildPath(page, sessionCode);
+        if ((window.location.hash || '#/') !== path) {
+            window.location.hash = path;
+        }
+    }, [page, sessionCode, linkedRoute]);
+
+    // Follow back/forward and hand-edited URLs
+    useEffect(() => {
+        const handleHashChange = () => {
+            const route = parseRoute(window.location.hash);
+            if (route.sessionCode && route.sessionCode !== sessionCode) {
+                setLinkedRoute(route);
+            } else {
+                setPage(route.page);
+            }
+        };
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, [sessionCode]);
+
+    const handleOpenSession = async ({ sessionCode: code, isClosed }) => {
+        const joined = await handleJoinSession(code, isClosed ? 'results' : 'vote');
+        if (!joined) setPage('join-session-form');
+    };
+
+    const handleStartNewSession = () => {
+        setSessionTemplate(null);
+        setPage('create-session-form');
+    };
+
+    const handleDuplicateSession = ({ title, options }) => {
+        setSessionTemplate({ title, options });
+        setPage('create-session-form');
+    };
+
+    // Leaves the current session, e.g. after the host deletes it
+    const handleLeaveSession = () => {
+        setSessionCode('');
+        setSessionData(null);
+        setPage('home');
+    };
+
+    // Signing out starts a fresh guest account, since every page needs a uid
+    const handleSignOut = async () => {
+        handleLeaveSession();
+        try {
+            await signOut(auth);
+            await signInAnonymously(auth);
+        } catch (e) {
+            console.error("Error signing out: ", e);
+            setError('Failed to sign out. Please try again.');
         }
     };
 
@@ -143,41 +469,186 @@ const App = () => {
                 </div>
             );
         }
+        if (linkedRoute) return <LoadingScreen message="Joining session..." />;
+
+        // While the host collects suggestions participants get the suggestion page; the ballot takes its
+        // place for everyone once voting starts
+        const renderSessionPage = () => (sessionPhase(sessionData) === 'collecting'
+            ? <SuggestionsPage sessionCode={sessionCode} sessionData={sessionData} repository={repository} userId={userId} setPage={setPage} />
+            : <VotingPage sessionCode={sessionCode} sessionData={sessionData} repository={repository} userId={userId} setPage={setPage} hasPendingWrites={hasPendingWrites} />);
 
         switch (page) {
             case 'home':
-                return <HomePage handleCreateSession={() => setPage('create-session-form')} handleJoinSession={() => setPage('join-session-form')} userId={userId} error={error} />;
+                return <HomePage handleCreateSession={handleStartNewSession} handleJoinSession={() => setPage('join-session-form')} handleRecount={() => setPage('recount')} handleMySessions={() => setPage('my-sessions')} error={error} />;
             case 'create-session-form':
-                return <CreateSessionForm handleCreateSession={handleCreateSession} setPage={setPage} />;
+                return <CreateSessionForm handleCreateSession={handleCreateSession} template={sessionTemplate} setPage={setPage} />;
             case 'join-session-form':
-                return <JoinSessionForm handleJoinSession={handleJoinSession} setPage={setPage} error={error} />;
+                return <JoinSessionForm handleJoinSession={handleJoinSession} joinDraft={joinDraft} codeSuggestions={codeSuggestions} setPage={setPage} error={error} />;
+            case 'recount':
+                return <RecountPage setPage={setPage} />;
+            case 'my-sessions':
+                return <MySessionsPage repository={repository} userId={userId} setPage={setPage} handleOpenSession={handleOpenSession} handleDuplicateSession={handleDuplicateSession} />;
             case 'create-options':
                 if (!sessionData) return <LoadingScreen message="Creating your session..." />;
-                return <CreateOptionsPage sessionCode={sessionCode} sessionData={sessionData} db={db} userId={userId} setPage={setPage} setMessage={setMessage} />;
+                return <CreateOptionsPage sessionCode={sessionCode} sessionData={sessionData} repository={repository} userId={userId} setPage={setPage} setMessage={setMessage} />;
             case 'vote':
                 if (!sessionData) return <LoadingScreen message="Joining session..." />;
                 if (sessionData.isVotingClosed) {
-                    return <ResultsPage sessionData={sessionData} sessionCode={sessionCode} setPage={setPage} />;
+                    return <ResultsPage sessionData={sessionData} sessionCode={sessionCode} userId={userId} setPage={setPage} />;
                 }
-                return <VotingPage sessionCode={sessionCode} sessionData={sessionData} db={db} userId={userId} setPage={setPage} />;
+                return renderSessionPage();
             case 'results':
                 if (!sessionData) return <LoadingScreen message="Loading results..." />;
-                return <ResultsPage sessionData={sessionData} sessionCode={sessionCode} setPage={setPage} />;
+                // There are no results to show until the session closes
+                if (!sessionData.isVotingClosed) return renderSessionPage();
+                return <ResultsPage sessionData={sessionData} sessionCode={sessionCode} userId={userId} setPage={setPage} />;
+            case 'host':
+                if (!sessionData) return <LoadingScreen message="Loading session..." />;
+                if (sessionData.host !== userId) {
+                    return renderSessionPage();
+                }
+                return <HostDashboard sessionCode={sessionCode} sessionData={sessionData} repository={repository} userId={userId} setPage={setPage} setMessage={setMessage} handleLeaveSession={handleLeaveSession} />;
+            case 'present':
+                if (!sessionData) return <LoadingScreen message="Loading session..." />;
+                if (sessionData.host !== userId) {
+                    return renderSessionPage();
+                }
+                return <PresenterView sessionCode={sessionCode} sessionData={sessionData} setPage={setPage} />;
             default:
-                return <HomePage handleCreateSession={() => setPage('create-session-form')} handleJoinSession={() => setPage('join-session-form')} userId={userId} error={error} />;
+                return <HomePage handleCreateSession={handleStartNewSession} handleJoinSession={() => setPage('join-session-form')} handleRecount={() => setPage('recount')} handleMySessions={() => setPage('my-sessions')} error={error} />;
         }
     };
 
     return (
         <div className="min-h-screen bg-gray-100 font-sans text-gray-800 flex flex-col">
+            {page !== 'present' && (
+                <AccountBar
+                    account={account}
+                    canChangeAccount={!!auth && !initialAuthToken}
+                    handleSignIn={() => setIsSignInOpen(true)}
+                    handleSignOut={handleSignOut}
+                />
+            )}
+            {!isOnline && db && (
+                <div className="flex items-center justify-center p-2 bg-yellow-400 text-yellow-900 text-sm font-semibold" role="status">
+                    <LucideWifiOff className="h-4 w-4 mr-2" /> You are offline. Ballots you submit are saved and will sync when you reconnect.
+                </div>
+            )}
             <div className="flex-grow">
                 {renderPage()}
             </div>
+            {isSignInOpen && <SignInDialog setAccount={setAccount} setMessage={setMessage} onClose={() => setIsSignInOpen(false)} />}
             {message && <MessageModal message={message} setMessage={setMessage} />}
         </div>
     );
 };
 
+// Header with the signed-in identity. Guests are nudged to sign in, since an anonymous account only
+// lives in this browser.
+const AccountBar = ({ account, canChangeAccount, handleSignIn, handleSignOut }) => (
+    <div className="flex items-center justify-between px-4 py-2 bg-white shadow-sm text-sm">
+        <span className="font-extrabold text-indigo-700">RankVote</span>
+        <div className="flex items-center space-x-3">
+            {account && (
+                <span className="flex items-center text-gray-700 truncate" title={account.email || undefined}>
+                    <LucideUserCircle className="h-4 w-4 mr-1 flex-shrink-0" />
+                    {account.name}
+                    {account.isAnonymous && <span className="ml-1 text-gray-500">(only on this device)</span>}
+                </span>
+            )}
+            {canChangeAccount && (account?.isAnonymous ? (
+                <button onClick={handleSignIn} className="flex items-center py-1 px-3 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700">
+                    <LucideLogIn className="h-4 w-4 mr-1" /> Sign In
+                </button>
+            ) : account && (
+                <button onClick={handleSignOut} className="flex items-center py-1 px-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200">
+                    <LucideLogOut className="h-4 w-4 mr-1" /> Sign Out
+                </button>
+            ))}
+        </div>
+    </div>
+);
+
+// Sign-in choices for a guest. Either way the guest's uid is kept, so nothing they host or voted on is lost.
+const SignInDialog = ({ setAccount, setMessage, onClose }) => {
+    const [email, setEmail] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleGoogle = async () => {
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const user = await signInWithGoogle();
+            if (!user) return;
+            setAccount(describeAccount(user));
+            setMessage('Signed in.');
+            onClose();
+        } catch (e) {
+            console.error("Error signing in with Google: ", e);
+            setError('Google sign-in failed. Please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleEmail = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await sendEmailSignInLink(email.trim());
+            setMessage(`Sign-in link sent to ${email.trim()}.`);
+            onClose();
+        } catch (e) {
+            console.error("Error sending sign-in link: ", e);
+            setError('Failed to send the sign-in link. Check the address and try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 flex items-center justify-center p-4 bg-black/50 z-40" role="dialog" aria-modal="true" aria-labelledby="sign-in-title">
+            <div className="w-full max-w-md bg-white p-8 rounded-2xl shadow-xl">
+                <div className="flex items-center justify-between mb-2">
+                    <h2 id="sign-in-title" className="text-2xl font-bold text-indigo-700">Sign In</h2>
+                    <button onClick={onClose} aria-label="Close" className="p-1 rounded-full hover:bg-gray-100">
+                        <LucideX className="h-5 w-5 text-gray-500" />
+                    </button>
+                </div>
+                <p className="text-gray-600 mb-6">Keep the sessions you host and the ballots you cast when you clear this browser or switch devices.</p>
+                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+                <button
+                    onClick={handleGoogle}
+                    disabled={isSubmitting}
+                    className="w-full py-3 mb-6 flex items-center justify-center bg-white border-2 border-gray-300 text-gray-700 font-semibold rounded-xl hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                    Continue with Google
+                </button>
+                <form onSubmit={handleEmail}>
+                    <label htmlFor="sign-in-email" className="block text-lg font-semibold text-gray-700 mb-2">Or get a sign-in link by email</label>
+                    <input
+                        id="sign-in-email"
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="you@example.com"
+                        className="w-full p-3 mb-4 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                    />
+                    <button
+                        type="submit"
+                        disabled={isSubmitting || email.trim() === ''}
+                        className="w-full py-3 flex items-center justify-center bg-indigo-600 text-white font-semibold rounded-xl hover:bg-indigo-700 transition-colors disabled:bg-indigo-300"
+                    >
+                        <LucideMail className="h-4 w-4 mr-2" /> Email Me a Link
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
 // Message Modal Component
 const MessageModal = ({ message, setMessage }) => {
     useEffect(() => {
@@ -196,7 +667,7 @@ const MessageModal = ({ message, setMessage }) => {
 
 
 // Home Page Component
-const HomePage = ({ handleCreateSession, handleJoinSession, userId, error }) => {
+const HomePage = ({ handleCreateSession, handleJoinSession, handleRecount, handleMySessions, error }) => {
     return (
         <div className="flex flex-col items-center min-h-screen p-4 bg-gradient-to-br from-indigo-500 to-purple-600">
             <header className="text-center text-white mt-12 mb-12">
@@ -234,6 +705,15 @@ const HomePage = ({ handleCreateSession, handleJoinSession, userId, error }) =>
                 </div>
             </div>
 
+            <div className="mt-8 flex flex-col sm:flex-row items-center space-y-3 sm:space-y-0 sm:space-x-8">
+                <button onClick={handleMySessions} className="flex items-center text-white font-semibold hover:underline">
+                    <LucideHistory className="h-4 w-4 mr-2" /> My sessions
+                </button>
+                <button onClick={handleRecount} className="flex items-center text-white font-semibold hover:underline">
+                    <LucideUpload className="h-4 w-4 mr-2" /> Recount a BLT or CSV ballot file in your browser
+                </button>
+            </div>
+
             <div className="mt-12 w-full max-w-4xl">
                 <h2 className="text-3xl font-bold text-center text-white mb-6">Why Ranked Choice Voting?</h2>
                 <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 text-center text-white">
@@ -245,7 +725,7 @@ const HomePage = ({ handleCreateSession, handleJoinSession, userId, error }) =>
                     <div className="bg-white/20 p-6 rounded-xl backdrop-blur-sm">
                         <LucideUsers className="h-10 w-10 text-white mx-auto mb-2" />
                         <h3 className="text-xl font-bold mb-1">Group Friendly</h3>
-                        <p className="text-sm font-light">Up to 10 participants can vote on up to 10 different options.</p>
+                        <p className="text-sm font-light">Invite up to {MAX_PARTICIPANTS_LIMIT} named participants to vote on up to {MAX_OPTIONS_LIMIT} different options.</p>
                     </div>
                     <div className="bg-white/20 p-6 rounded-xl backdrop-blur-sm">
                         <LucideStar className="h-10 w-10 text-white mx-auto mb-2" />
@@ -268,7 +748,7 @@ const HomePage = ({ handleCreateSession, handleJoinSession, userId, error }) =>
                     </div>
                     <div className="flex-1 flex flex-col items-center">
                         <div className="bg-white/20 rounded-full h-12 w-12 flex items-center justify-center text-xl font-bold mb-2">3</div>
-                        <p className="font-light">Everyone ranks their preferences by using up/down arrows</p>
+                        <p className="font-light">Everyone ranks their preferences by dragging them into order</p>
                     </div>
                     <div className="flex-1 flex flex-col items-center">
                         <div className="bg-white/20 rounded-full h-12 w-12 flex items-center justify-center text-xl font-bold mb-2">4</div>
@@ -276,23 +756,58 @@ const HomePage = ({ handleCreateSession, handleJoinSession, userId, error }) =>
                     </div>
                 </div>
             </div>
-
-            <div className="mt-12 text-center text-white">
-                <p className="text-sm font-light">Your User ID: <span className="font-mono">{userId || 'Loading...'}</span></p>
-                <p className="text-sm font-light mt-2">This is important for other users to find you.</p>
-            </div>
         </div>
     );
 };
 
 // Create Session Form Page
-const CreateSessionForm = ({ handleCreateSession, setPage }) => {
-    const [sessionTitle, setSessionTitle] = useState('');
+const CreateSessionForm = ({ handleCreateSession, template, setPage }) => {
+    const [sessionTitle, setSessionTitle] = useState(template?.title || '');
+    const [method, setMethod] = useState(DEFAULT_METHOD);
+    const [seats, setSeats] = useState(1);
+    const [tieBreak, setTieBreak] = useState(DEFAULT_TIE_BREAK);
+    const [opensAt, setOpensAt] = useState('');
+    const [closesAt, setClosesAt] = useState('');
+    const [closeAfterBallots, setCloseAfterBallots] = useState('');
+    const [closeWhenAllVoted, setCloseWhenAllVoted] = useState(false);
+    const [access, setAccess] = useState('open');
+    const [maxParticipants, setMaxParticipants] = useState(DEFAULT_MAX_PARTICIPANTS);
+    // A copied session's choices must fit under the cap
+    const minOptionCap = Math.max(2, template?.options.length || 0);
+    const [maxOptions, setMaxOptions] = useState(Math.max(DEFAULT_MAX_OPTIONS, minOptionCap));
+    const [secretBallot, setSecretBallot] = useState(false);
+    const [collectSuggestions, setCollectSuggestions] = useState(false);
+    const [error, setError] = useState('');
+    const isMultiWinner = !!TABULATION_METHODS[method].multiWinner;
     const handleCreateClick = (e) => {
         e.preventDefault();
-        if (sessionTitle.trim() !== '') {
-            handleCreateSession(sessionTitle.trim());
+        if (sessionTitle.trim() === '') return;
+        // datetime-local inputs hold local wall-clock times, which `new Date` reads in the browser's time zone
+        const opensAtDate = opensAt ? new Date(opensAt) : null;
+        const closesAtDate = closesAt ? new Date(closesAt) : null;
+        if (closesAtDate && closesAtDate <= new Date()) {
+            setError('The deadline must be in the future.');
+            return;
+        }
+        if (opensAtDate && closesAtDate && opensAtDate >= closesAtDate) {
+            setError('Voting must open before the deadline.');
+            return;
         }
+        handleCreateSession(sessionTitle.trim(), {
+            method,
+            seats: isMultiWinner ? seats : 1,
+            tieBreak,
+            opensAt: opensAtDate,
+            closesAt: closesAtDate,
+            closeAfterBallots: parseInt(closeAfterBallots, 10) || null,
+            closeWhenAllVoted,
+            access,
+            maxParticipants,
+            maxOptions,
+            secretBallot,
+            collectSuggestions,
+            options: template?.options || [],
+        });
     };
     return (
         <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
@@ -303,6 +818,11 @@ const CreateSessionForm = ({ handleCreateSession, setPage }) => {
                 </button>
                 <h2 className="text-3xl font-bold text-indigo-700 mb-2">Create Voting Session</h2>
                 <p className="text-gray-600 mb-6">Set up a new ranked choice decision for your group.</p>
+                {template?.options.length > 0 && (
+                    <p className="bg-indigo-50 text-indigo-700 p-3 rounded-lg mb-4 text-sm">
+                        Copying the {template.options.length} choices of {template.title}. You can change them on the next step.
+                    </p>
+                )}
                 <form onSubmit={handleCreateClick}>
                     <label htmlFor="session-title" className="block text-lg font-semibold text-gray-700 mb-2">What are you deciding?</label>
                     <input
@@ -313,6 +833,143 @@ const CreateSessionForm = ({ handleCreateSession, setPage }) => {
                         placeholder="e.g., Where should we go for dinner?"
                         className="w-full p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
                     />
+                    <label htmlFor="session-method" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">How should votes be counted?</label>
+                    <select
+                        id="session-method"
+                        value={method}
+                        onChange={(e) => setMethod(e.target.value)}
+                        className="w-full p-3 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:border-indigo-400 transition-colors"
+                    >
+                        {Object.entries(TABULATION_METHODS).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    <p className="text-sm text-gray-500 mt-2">{TABULATION_METHODS[method].description}</p>
+                    {isMultiWinner && (
+                        <>
+                            <label htmlFor="session-seats" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">How many winners?</label>
+                            <input
+                                id="session-seats"
+                                type="number"
+                                min="1"
+                                max="9"
+                                value={seats}
+                                onChange={(e) => setSeats(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 9))}
+                                className="w-full p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                            />
+                        </>
+                    )}
+                    <label htmlFor="session-tie-break" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">How should ties be broken?</label>
+                    <select
+                        id="session-tie-break"
+                        value={tieBreak}
+                        onChange={(e) => setTieBreak(e.target.value)}
+                        className="w-full p-3 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:border-indigo-400 transition-colors"
+                    >
+                        {Object.entries(TIE_BREAK_POLICIES).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    <p className="text-sm text-gray-500 mt-2">{TIE_BREAK_POLICIES[tieBreak].description}</p>
+                    <label htmlFor="session-max-options" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">How many choices at most?</label>
+                    <input
+                        id="session-max-options"
+                        type="number"
+                        min={minOptionCap}
+                        max={MAX_OPTIONS_LIMIT}
+                        value={maxOptions}
+                        onChange={(e) => setMaxOptions(Math.min(Math.max(parseInt(e.target.value, 10) || minOptionCap, minOptionCap), MAX_OPTIONS_LIMIT))}
+                        className="w-full p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                    />
+                    <p className="text-sm text-gray-500 mt-2">Up to {MAX_OPTIONS_LIMIT}. Long lists can be pasted in on the next step, and voters can search them and rank by comparing two at a time.</p>
+                    <fieldset className="mt-6">
+                        <legend className="block text-lg font-semibold text-gray-700 mb-2">When should voting happen? (optional)</legend>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <label className="text-sm text-gray-600">
+                                Opens at
+                                <input
+                                    type="datetime-local"
+                                    value={opensAt}
+                                    onChange={(e) => setOpensAt(e.target.value)}
+                                    className="w-full mt-1 p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                                />
+                            </label>
+                            <label className="text-sm text-gray-600">
+                                Deadline
+                                <input
+                                    type="datetime-local"
+                                    value={closesAt}
+                                    onChange={(e) => setClosesAt(e.target.value)}
+                                    className="w-full mt-1 p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                                />
+                            </label>
+                        </div>
+                        <label className="block text-sm text-gray-600 mt-4">
+                            Close automatically once this many ballots are in
+                            <input
+                                type="number"
+                                min="1"
+                                value={closeAfterBallots}
+                                onChange={(e) => setCloseAfterBallots(e.target.value)}
+                                placeholder="No limit"
+                                className="w-full mt-1 p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                            />
+                        </label>
+                        <label className="flex items-center text-sm text-gray-600 mt-4">
+                            <input
+                                type="checkbox"
+                                checked={closeWhenAllVoted}
+                                onChange={(e) => setCloseWhenAllVoted(e.target.checked)}
+                                className="h-5 w-5 mr-3 accent-indigo-600"
+                            />
+                            Close automatically when everyone who joined, or was invited, has voted
+                        </label>
+                    </fieldset>
+                    <label htmlFor="session-access" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">Who can take part?</label>
+                    <select
+                        id="session-access"
+                        value={access}
+                        onChange={(e) => setAccess(e.target.value)}
+                        className="w-full p-3 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:border-indigo-400 transition-colors"
+                    >
+                        <option value="open">Anyone with the code or link</option>
+                        <option value="invite">Only people I invite with a personal link</option>
+                    </select>
+                    <label htmlFor="session-max-participants" className="block text-sm text-gray-600 mt-4">
+                        Maximum number of participants
+                        <input
+                            id="session-max-participants"
+                            type="number"
+                            min="1"
+                            max={MAX_PARTICIPANTS_LIMIT}
+                            value={maxParticipants}
+                            onChange={(e) => setMaxParticipants(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), MAX_PARTICIPANTS_LIMIT))}
+                            className="w-full mt-1 p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                        />
+                    </label>
+                    <label className="flex items-start text-sm text-gray-600 mt-4">
+                        <input
+                            type="checkbox"
+                            checked={secretBallot}
+                            onChange={(e) => setSecretBallot(e.target.checked)}
+                            className="h-5 w-5 mr-3 accent-indigo-600 flex-shrink-0"
+                        />
+                        <span>
+                            <span className="font-semibold text-gray-700">Secret ballot.</span> Nobody, not even you, can see how anyone voted. Only who has voted and the final results are shown.
+                        </span>
+                    </label>
+                    <label className="flex items-start text-sm text-gray-600 mt-4">
+                        <input
+                            type="checkbox"
+                            checked={collectSuggestions}
+                            onChange={(e) => setCollectSuggestions(e.target.checked)}
+                            className="h-5 w-5 mr-3 accent-indigo-600 flex-shrink-0"
+                        />
+                        <span>
+                            <span className="font-semibold text-gray-700">Collect suggestions first.</span> Everyone who joins can suggest choices, which you approve, merge or reject before voting starts.
+                        </span>
+                    </label>
+                    {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mt-6">{error}</div>}
                     <button
                         type="submit"
                         disabled={sessionTitle.trim() === ''}
@@ -326,12 +983,92 @@ const CreateSessionForm = ({ handleCreateSession, setPage }) => {
     );
 };
 
+// Every session the signed-in user hosted or took part in, found through their own uid in the session
+// documents, so older sessions show up without any separate history having been recorded
+const MySessionsPage = ({ repository, userId, setPage, handleOpenSession, handleDuplicateSession }) => {
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!userId) return;
+        const loadHistory = async () => {
+            try {
+                setHistory(buildSessionHistory(await repository.findUserSessions(userId), userId));
+            } catch (e) {
+                console.error("Error loading sessions: ", e);
+                setError('Failed to load your sessions.');
+                setHistory([]);
+            }
+        };
+        loadHistory();
+    }, [repository, userId]);
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
+            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl">
+                <button onClick={() => setPage('home')} className="flex items-center text-indigo-600 mb-6 transition-colors hover:text-indigo-800">
+                    <LucideChevronLeft className="h-4 w-4 mr-1" />
+                    Back to Home
+                </button>
+                <h2 className="text-3xl font-bold text-indigo-700 mb-2">My Sessions</h2>
+                <p className="text-gray-600 mb-6">Sessions you have hosted or joined on this account.</p>
+                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+                {!history ? (
+                    <div className="flex justify-center py-8">
+                        <LucideLoader2 className="animate-spin text-indigo-600 h-8 w-8" />
+                    </div>
+                ) : history.length === 0 ? (
+                    !error && <p className="text-sm text-gray-500">You have not hosted or joined any sessions yet.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {history.map(entry => (
+                            <li key={entry.sessionCode} className="bg-gray-100 p-4 rounded-xl">
+                                <div className="flex items-start justify-between">
+                                    <button onClick={() => handleOpenSession(entry)} className="text-left min-w-0">
+                                        <p className="font-semibold text-gray-800 truncate hover:text-indigo-700">{entry.title}</p>
+                                        <p className="text-sm text-gray-500">
+                                            <span className="font-mono">{entry.sessionCode}</span>
+                                            {entry.isHost && ' · Host'}
+                                            {entry.date && ` · ${new Date(entry.date).toLocaleDateString()}`}
+                                        </p>
+                                    </button>
+                                    <span className={`flex-shrink-0 ml-3 py-1 px-3 text-xs font-semibold rounded-full ${entry.isClosed ? 'bg-gray-200 text-gray-700' : entry.phase === 'collecting' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-700'}`}>
+                                        {entry.isClosed ? 'Closed' : entry.phase === 'collecting' ? 'Suggestions' : 'Open'}
+                                    </span>
+                                </div>
+                                {entry.isClosed && entry.winners.length > 0 && (
+                                    <p className="flex items-center mt-2 text-sm text-gray-700">
+                                        <LucideTrophy className="h-4 w-4 mr-1 text-yellow-500" /> {entry.winners.join(', ')}
+                                    </p>
+                                )}
+                                <div className="flex space-x-2 mt-3">
+                                    <button onClick={() => handleOpenSession(entry)} className="flex items-center py-1 px-3 text-sm bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700">
+                                        {entry.isClosed ? 'View Results' : entry.phase === 'collecting' ? 'Suggest Choices' : 'Open Ballot'}
+                                    </button>
+                                    <button onClick={() => handleDuplicateSession(entry)} className="flex items-center py-1 px-3 text-sm bg-white text-gray-700 font-semibold rounded-lg hover:bg-gray-200">
+                                        <LucideCopy className="h-4 w-4 mr-1" /> Duplicate
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
 // Join Session Form Page
-const JoinSessionForm = ({ handleJoinSession, setPage, error }) => {
-    const [joinCode, setJoinCode] = useState('');
+const JoinSessionForm = ({ handleJoinSession, joinDraft, codeSuggestions, setPage, error }) => {
+    const [joinCode, setJoinCode] = useState(joinDraft?.code || '');
+    const isCodeValid = isValidSessionCode(joinCode);
+    const [displayName, setDisplayName] = useState(joinDraft?.name || localStorage.getItem(DISPLAY_NAME_KEY) || '');
     const handleJoinClick = (e) => {
         e.preventDefault();
-        handleJoinSession(joinCode.toUpperCase());
+        const code = joinCode;
+        // Keep the invite from the link the visitor arrived with, unless they typed a different code
+        const invite = joinDraft?.code === code ? joinDraft.invite : undefined;
+        handleJoinSession(code, 'vote', { name: displayName.trim(), invite });
     };
     return (
         <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
@@ -349,14 +1086,40 @@ const JoinSessionForm = ({ handleJoinSession, setPage, error }) => {
                         id="session-code"
                         type="text"
                         value={joinCode}
-                        onChange={(e) => setJoinCode(e.target.value)}
-                        placeholder="Enter 6-digit code"
+                        onChange={(e) => setJoinCode(normalizeSessionCode(e.target.value))}
+                        placeholder="e.g. XK4P9Q"
                         className="w-full p-3 mb-4 text-center border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors uppercase"
-                        maxLength="6"
+                        maxLength={MAX_CODE_LENGTH}
+                        aria-invalid={!isCodeValid}
+                    />
+                    {joinCode !== '' && !isCodeValid && (
+                        <p className="-mt-2 mb-4 text-sm text-red-600">Session codes are {MIN_CODE_LENGTH} to {MAX_CODE_LENGTH} letters and numbers.</p>
+                    )}
+                    {codeSuggestions.length > 0 && (
+                        <p className="-mt-2 mb-4 text-sm text-gray-600">
+                            Did you mean{' '}
+                            {codeSuggestions.map((suggestion, index) => (
+                                <span key={suggestion}>
+                                    {index > 0 && ' or '}
+                                    <button type="button" onClick={() => setJoinCode(suggestion)} className="font-mono font-semibold text-indigo-600 hover:underline">{suggestion}</button>
+                                </span>
+                            ))}?
+                        </p>
+                    )}
+
+                    <label htmlFor="display-name" className="block text-lg font-semibold text-gray-700 mb-2">Your Name</label>
+                    <input
+                        id="display-name"
+                        type="text"
+                        value={displayName}
+                        onChange={(e) => setDisplayName(e.target.value)}
+                        placeholder="How the host will see you"
+                        className="w-full p-3 mb-4 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                        maxLength={MAX_NAME_LENGTH}
                     />
                     <button
                         type="submit"
-                        disabled={joinCode.trim().length !== 6}
+                        disabled={!isCodeValid || displayName.trim() === ''}
                         className="w-full py-4 bg-indigo-600 text-white text-lg font-bold rounded-xl shadow-lg hover:bg-indigo-700 transition-colors disabled:bg-indigo-300 transform active:scale-95"
                     >
                         Join Session
@@ -367,195 +1130,566 @@ const JoinSessionForm = ({ handleJoinSession, setPage, error }) => {
     );
 };
 
-// Create Options Page
-const CreateOptionsPage = ({ sessionCode, sessionData, db, userId, setPage, setMessage }) => {
-    const [newOption, setNewOption] = useState('');
-    const [options, setOptions] = useState(sessionData.options || []);
-    const [isSubmitting, setIsSubmitting] = useState(false);
-    const [error, setError] = useState('');
+// Copies text with the async Clipboard API, falling back to execCommand where it is unavailable (e.g. plain http)
+const copyToClipboard = async (text) => {
+    if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    const tempInput = document.createElement('input');
+    tempInput.value = text;
+    document.body.appendChild(tempInput);
+    tempInput.select();
+    document.execCommand('copy');
+    document.body.removeChild(tempInput);
+};
 
-    const handleAddOption = async () => {
-        if (newOption.trim() === '') return;
-        if (options.length >= 10) {
-            setError('You can only add up to 10 options.');
-            return;
-        }
+// Invite link for a session with copy, native share and a QR code for people in the same room.
+// Given an `invite`, the link is that invitee's personal link to an invite-only session.
+const InvitePanel = ({ sessionCode, title, setMessage, invite, inviteeName }) => {
+    const [qrCode, setQrCode] = useState('');
+    const inviteLink = buildInviteLink(sessionCode, { invite });
 
-        setIsSubmitting(true);
-        const sessionRef = doc(db, `/artifacts/${appId}/public/data/sessions`, sessionCode);
+    useEffect(() => {
+        let isCurrent = true;
+        QRCode.toDataURL(inviteLink, { margin: 1, width: 200 })
+            .then(dataUrl => isCurrent && setQrCode(dataUrl))
+            .catch(e => console.error("Failed to render QR code: ", e));
+        return () => { isCurrent = false; };
+    }, [inviteLink]);
+
+    const handleCopyLink = async () => {
         try {
-            await updateDoc(sessionRef, {
-                options: arrayUnion(newOption.trim())
-            });
-            setNewOption('');
-            setOptions([...options, newOption.trim()]);
+            await copyToClipboard(inviteLink);
+            setMessage('Invite link copied to clipboard!');
         } catch (e) {
-            console.error("Error adding option: ", e);
-            setError('Failed to add option.');
-        } finally {
-            setIsSubmitting(false);
-        }
-    };
-
-    const handleStartVoting = () => {
-        if (options.length < 2) {
-            setError('You need at least two options to start voting.');
-            return;
+            console.error("Failed to copy text: ", e);
+            setMessage('Failed to copy invite link.');
         }
-        setPage('vote');
     };
 
-    const handleCopyCode = () => {
+    const handleShare = async () => {
         try {
-            const tempInput = document.createElement('input');
-            tempInput.value = sessionCode;
-            document.body.appendChild(tempInput);
-            tempInput.select();
-            document.execCommand('copy');
-            document.body.removeChild(tempInput);
-            setMessage('Session code copied to clipboard!');
+            await navigator.share({ title: title || 'RankVote', text: 'Join my vote', url: inviteLink });
         } catch (e) {
-            console.error("Failed to copy text: ", e);
-            setMessage('Failed to copy session code.');
+            // Dismissing the share sheet rejects with AbortError, which needs no message
+            if (e.name !== 'AbortError') {
+                console.error("Failed to share link: ", e);
+                setMessage('Failed to share invite link.');
+            }
         }
     };
 
     return (
-        <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
-            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl">
-                <button onClick={() => setPage('home')} className="flex items-center text-indigo-600 mb-6 transition-colors hover:text-indigo-800">
-                    <LucideChevronLeft className="h-4 w-4 mr-1" />
-                    Back to Home
-                </button>
-                <div className="flex justify-between items-center mb-6">
-                    <h2 className="text-3xl font-bold text-indigo-700">Add Choices</h2>
-                    <div className="flex items-center bg-indigo-100 rounded-full px-4 py-2">
-                        <span className="text-sm text-indigo-700 font-semibold mr-2">Session:</span>
-                        <span className="text-lg font-bold text-indigo-900">{sessionCode}</span>
-                        <button onClick={handleCopyCode} className="ml-2 p-1 text-indigo-700 hover:text-indigo-900 transition-colors">
-                            <LucideCopy className="h-4 w-4" />
-                        </button>
-                    </div>
+        <div className="flex flex-col sm:flex-row items-center bg-indigo-50 border border-indigo-100 rounded-xl p-4 mb-6">
+            {qrCode ? (
+                <img src={qrCode} alt={`QR code for session ${sessionCode}`} className="h-32 w-32 rounded-lg bg-white" />
+            ) : (
+                <div className="h-32 w-32 flex items-center justify-center rounded-lg bg-white">
+                    <LucideLoader2 className="animate-spin text-indigo-400 h-6 w-6" />
                 </div>
-
-                <p className="text-gray-600 mb-6">Add the choices for your group to rank. You can add up to 10 options.</p>
-
-                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
-
-                <div className="flex items-center justify-between mb-2">
-                    <label className="text-lg font-semibold text-gray-700">Choices ({options.length}/10)</label>
-                    <button
-                        onClick={handleAddOption}
-                        disabled={isSubmitting || newOption.trim() === '' || options.length >= 10}
-                        className="py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl shadow-md hover:bg-indigo-700 transition-colors disabled:bg-indigo-300 flex items-center"
-                    >
-                        <LucidePlus className="h-4 w-4 mr-2" /> Add Choice
+            )}
+            <div className="flex-1 w-full mt-4 sm:mt-0 sm:ml-4">
+                <p className="text-sm font-semibold text-indigo-700 mb-2">{inviteeName ? `Personal invite for ${inviteeName}` : 'Invite people to vote'}</p>
+                <input
+                    type="text"
+                    value={inviteLink}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    aria-label="Invite link"
+                    className="w-full p-2 mb-3 text-sm border-2 border-indigo-100 rounded-lg bg-white text-gray-700"
+                />
+                <div className="flex space-x-2">
+                    <button onClick={handleCopyLink} className="flex-1 py-2 px-3 flex items-center justify-center bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 transition-colors">
+                        <LucideLink className="h-4 w-4 mr-2" /> Copy Link
                     </button>
+                    {typeof navigator.share === 'function' && (
+                        <button onClick={handleShare} className="flex-1 py-2 px-3 flex items-center justify-center bg-white text-indigo-700 text-sm font-semibold rounded-lg border border-indigo-200 hover:bg-indigo-100 transition-colors">
+                            <LucideShare2 className="h-4 w-4 mr-2" /> Share
+                        </button>
+                    )}
                 </div>
-                
-                <div className="flex mb-6">
-                    <input
-                        type="text"
-                        value={newOption}
-                        onChange={(e) => setNewOption(e.target.value)}
-                        placeholder="e.g., Mexican"
-                        className="flex-1 p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400"
-                        onKeyPress={(e) => {
-                            if (e.key === 'Enter') handleAddOption();
-                        }}
-                    />
-                </div>
-
-                <ul className="space-y-3 mb-6">
-                    {options.map((option, index) => (
-                        <li key={index} className="flex items-center bg-gray-100 p-4 rounded-xl border border-gray-200">
-                            <span className="text-gray-700 font-medium">{option}</span>
-                        </li>
-                    ))}
-                </ul>
-                
-                {options.length > 1 && (
-                    <button
-                        onClick={handleStartVoting}
-                        className="w-full py-4 bg-green-500 text-white text-lg font-bold rounded-xl shadow-lg hover:bg-green-600 transition-colors"
-                    >
-                        Start Voting
-                    </button>
-                )}
             </div>
         </div>
     );
 };
 
-// Voting Page
-const VotingPage = ({ sessionCode, sessionData, db, userId, setPage }) => {
-    const [options, setOptions] = useState(sessionData.options || []);
-    const [hasVoted, setHasVoted] = useState(!!sessionData.votes[userId]);
-    const [isSubmitting, setIsSubmitting] = useState(false);
-    const [error, setError] = useState('');
+// A choice as voters see it: the name, plus its picture, description, tags and link when it has them.
+// Links are only rendered when they point to the web, whatever a stored option contains.
+const OptionCard = ({ option, className = '', nameClassName = 'text-lg font-medium text-indigo-900' }) => (
+    <div className={`flex items-start min-w-0 ${className}`}>
+        {option.imageUrl && (
+            <img src={option.imageUrl} alt="" className="h-14 w-14 mr-3 rounded-lg object-cover flex-shrink-0" />
+        )}
+        <div className="min-w-0">
+            <span className={`block break-words ${nameClassName}`}>{option.name}</span>
+            {option.description && <p className="text-sm text-gray-600 break-words">{option.description}</p>}
+            {(option.tags?.length > 0 || (option.link && isWebUrl(option.link))) && (
+                <div className="flex flex-wrap items-center gap-1 mt-1">
+                    {(option.tags || []).map(tag => (
+                        <span key={tag} className="py-0.5 px-2 bg-white text-indigo-700 text-xs rounded-full border border-indigo-200">{tag}</span>
+                    ))}
+                    {option.link && isWebUrl(option.link) && (
+                        <a
+                            href={option.link}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="flex items-center text-xs text-indigo-600 underline hover:text-indigo-800"
+                        >
+                            <LucideExternalLink className="h-3 w-3 mr-1" /> More info
+                        </a>
+                    )}
+                </div>
+            )}
+        </div>
+    </div>
+);
 
-    const handleMoveUp = (index) => {
-        if (index === 0) return;
-        const newOptions = [...options];
-        const temp = newOptions[index];
-        newOptions[index] = newOptions[index - 1];
-        newOptions[index - 1] = temp;
-        setOptions(newOptions);
+// Largest side, in pixels, of uploaded option pictures
+const OPTION_IMAGE_SIZE = 240;
+
+// Scales an uploaded picture down to a JPEG data URL small enough to keep in the session document,
+// lowering the quality until it fits
+const readImageAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        const scale = Math.min(1, OPTION_IMAGE_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        for (let quality = 0.85; quality > 0.2; quality -= 0.15) {
+            const dataUrl = canvas.toDataURL('image/jpeg', quality);
+            if (dataUrl.length <= MAX_IMAGE_DATA_URL_LENGTH) {
+                resolve(dataUrl);
+                return;
+            }
+        }
+        reject(new Error('The picture is too large even at low quality.'));
     };
-
-    const handleMoveDown = (index) => {
-        if (index === options.length - 1) return;
-        const newOptions = [...options];
-        const temp = newOptions[index];
-        newOptions[index] = newOptions[index + 1];
-        newOptions[index + 1] = temp;
-        setOptions(newOptions);
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('The file is not a picture the browser can read.'));
     };
+    image.src = url;
+});
+
+// Name plus the optional description, picture, link and tags of a choice, for adding a new choice or,
+// given `initial`, editing one. `onSubmit` resolves to whether the choice was saved; the add form then empties.
+// Participants' suggestions pass their own `validate` and leave out picture uploads.
+const OptionForm = ({ initial, submitLabel, onSubmit, onCancel, disabled, validate = validateOption, allowUpload = true }) => {
+    const [name, setName] = useState(initial?.name || '');
+    const [description, setDescription] = useState(initial?.description || '');
+    const [imageUrl, setImageUrl] = useState(initial?.imageUrl || '');
+    const [link, setLink] = useState(initial?.link || '');
+    const [tagText, setTagText] = useState((initial?.tags || []).join(', '));
+    const [showDetails, setShowDetails] = useState(!!(initial?.description || initial?.imageUrl || initial?.link || initial?.tags?.length));
+    const [error, setError] = useState('');
 
-    const handleSubmitVote = async () => {
-        if (!options.length) {
-            setError('There are no options to vote on.');
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const fields = { name, description, imageUrl, link, tags: parseTags(tagText) };
+        const problem = validate(fields);
+        if (problem) {
+            setError(problem);
             return;
         }
+        setError('');
+        const saved = await onSubmit(fields);
+        if (saved && !initial) {
+            setName('');
+            setDescription('');
+            setImageUrl('');
+            setLink('');
+            setTagText('');
+        }
+    };
+
+    const handleImageUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setImageUrl(await readImageAsDataUrl(file));
+            setError('');
+        } catch (err) {
+            console.error("Error reading picture: ", err);
+            setError('Could not use that picture. Try a smaller JPEG or PNG.');
+        }
+    };
+
+    const inputClassName = 'w-full p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400';
+    return (
+        <form onSubmit={handleSubmit} className="mb-6">
+            {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+            <div className="flex space-x-2">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="e.g., Mexican"
+                    aria-label="Choice name"
+                    className={`flex-1 ${inputClassName}`}
+                />
+                <button
+                    type="submit"
+                    disabled={disabled || name.trim() === ''}
+                    className="py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl shadow-md hover:bg-indigo-700 transition-colors disabled:bg-indigo-300 flex items-center"
+                >
+                    {initial ? <LucideCheck className="h-4 w-4 mr-2" /> : <LucidePlus className="h-4 w-4 mr-2" />} {submitLabel}
+                </button>
+            </div>
+            <button
+                type="button"
+                onClick={() => setShowDetails(!showDetails)}
+                aria-expanded={showDetails}
+                className="mt-2 text-sm text-indigo-600 font-semibold hover:text-indigo-800"
+            >
+                {showDetails ? 'Hide details' : 'Add a description, picture, link or tags'}
+            </button>
+            {showDetails && (
+                <div className="mt-3 space-y-3">
+                    <textarea
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        placeholder="Description (optional)"
+                        aria-label="Description"
+                        rows={2}
+                        className={inputClassName}
+                    />
+                    <div className="flex items-center space-x-2">
+                        <input
+                            type="url"
+                            value={imageUrl.startsWith('data:') ? '' : imageUrl}
+                            onChange={(e) => setImageUrl(e.target.value.trim())}
+                            placeholder={imageUrl.startsWith('data:') ? 'Uploaded picture' : 'Picture link (optional)'}
+                            aria-label="Picture link"
+                            className={`flex-1 ${inputClassName}`}
+                        />
+                        {allowUpload && (
+                            <label className="py-3 px-3 flex items-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors cursor-pointer">
+                                <LucideImage className="h-4 w-4 mr-2" /> Upload
+                                <input type="file" accept="image/*" onChange={handleImageUpload} className="sr-only" />
+                            </label>
+                        )}
+                    </div>
+                    {imageUrl && (
+                        <div className="flex items-center space-x-3">
+                            <img src={imageUrl} alt="Preview for this choice" className="h-20 w-20 rounded-lg object-cover border border-gray-200" />
+                            <button type="button" onClick={() => setImageUrl('')} className="text-sm text-gray-600 hover:text-gray-800">Remove picture</button>
+                        </div>
+                    )}
+                    <input
+                        type="url"
+                        value={link}
+                        onChange={(e) => setLink(e.target.value)}
+                        placeholder="Link for more information (optional)"
+                        aria-label="Link"
+                        className={inputClassName}
+                    />
+                    <div className="flex items-center">
+                        <LucideTag className="h-4 w-4 mr-2 text-gray-500" />
+                        <input
+                            type="text"
+                            value={tagText}
+                            onChange={(e) => setTagText(e.target.value)}
+                            placeholder="Tags, separated by commas (optional)"
+                            aria-label="Tags"
+                            className={`flex-1 ${inputClassName}`}
+                        />
+                    </div>
+                </div>
+            )}
+            {onCancel && (
+                <button type="button" onClick={onCancel} className="mt-3 text-sm text-gray-600 font-semibold hover:text-gray-800">Cancel</button>
+            )}
+        </form>
+    );
+};
+
+// Adds a whole list of choices at once, pasted or read from a text or CSV file. Names that are already
+// choices are skipped, and only as many as fit under the session's cap are added.
+const OptionImportForm = ({ options, maxOptions, onImport, disabled }) => {
+    const [text, setText] = useState('');
+    const [isCsv, setIsCsv] = useState(false);
+    const [fileError, setFileError] = useState('');
+
+    let listed = [];
+    let problem = '';
+    try {
+        listed = parseOptionList(text, { csv: isCsv });
+    } catch (e) {
+        problem = e.message;
+    }
+    const newOptions = listed.filter(fields => !findDuplicateOption(options, fields.name));
+    const room = Math.max(maxOptions - options.length, 0);
+    const toAdd = newOptions.slice(0, room);
+    const invalid = toAdd.find(fields => validateOption(fields));
+    if (invalid) problem = `${invalid.name.slice(0, 30)}: ${validateOption(invalid)}`;
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setText(await file.text());
+            setIsCsv(/\.csv$/i.test(file.name));
+            setFileError('');
+        } catch (err) {
+            console.error("Error reading option list: ", err);
+            setFileError('Could not read that file.');
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (problem || toAdd.length === 0) return;
+        if (await onImport(toAdd)) setText('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mb-6">
+            {(fileError || problem) && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{fileError || problem}</div>}
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={'One choice per line, e.g.\nKeynote: The future of CSS\nLightning talks'}
+                aria-label="List of choices"
+                rows={6}
+                className="w-full p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400"
+            />
+            <p className="text-xs text-gray-500 mt-1">Add a description after a tab, as when pasting two columns from a spreadsheet.</p>
+            <div className="flex items-center justify-between mt-3">
+                <label className="py-2 px-3 flex items-center bg-gray-100 text-gray-700 text-sm font-semibold rounded-xl hover:bg-gray-200 transition-colors cursor-pointer">
+                    <LucideUpload className="h-4 w-4 mr-2" /> Load .txt or .csv
+                    <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={handleFile} className="sr-only" />
+                </label>
+                <button
+                    type="submit"
+                    disabled={disabled || !!problem || toAdd.length === 0}
+                    className="py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl shadow-md hover:bg-indigo-700 transition-colors disabled:bg-indigo-300 flex items-center"
+                >
+                    <LucidePlus className="h-4 w-4 mr-2" /> Add {toAdd.length} Choice{toAdd.length === 1 ? '' : 's'}
+                </button>
+            </div>
+            {listed.length > 0 && (
+                <p className="text-sm text-gray-600 mt-2" role="status">
+                    {listed.length - newOptions.length > 0 && `${listed.length - newOptions.length} already listed and skipped. `}
+                    {newOptions.length > room && `Only ${room} more fit under this session's limit of ${maxOptions}.`}
+                </p>
+            )}
+        </form>
+    );
+};
+
+// The session's phases in order with the current one highlighted. It follows the session listener, so
+// every client sees the host move the session on straight away.
+const PhaseSteps = ({ sessionData }) => {
+    const phase = sessionPhase(sessionData);
+    return (
+        <div className="mb-4" role="status">
+            <ol className="flex items-center text-xs font-semibold" aria-label="Session phase">
+                {Object.entries(SESSION_PHASES).map(([key, { label }], index) => (
+                    <li key={key} aria-current={key === phase ? 'step' : undefined} className="flex items-center">
+                        {index > 0 && <LucideArrowRight className="h-3 w-3 mx-2 text-gray-400" />}
+                        <span className={`py-1 px-3 rounded-full ${key === phase ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-500'}`}>{label}</span>
+                    </li>
+                ))}
+            </ol>
+            <p className="text-sm text-gray-500 mt-2">{SESSION_PHASES[phase].description}</p>
+        </div>
+    );
+};
+
+// Suggestions still waiting for the host, who adds each as a choice, merges it into the choice it
+// duplicates, or rejects it. Likely duplicates are preselected for merging.
+const SuggestionReview = ({ sessionCode, sessionData, repository, setMessage }) => {
+    const options = normalizeOptions(sessionData.options);
+    const pending = pendingSuggestions(sessionData);
+    // Choice picked to merge each suggestion into, by suggestion id
+    const [mergeTargets, setMergeTargets] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const runReview = async (action, successMessage, failureMessage) => {
         setIsSubmitting(true);
-        const sessionRef = doc(db, `/artifacts/${appId}/public/data/sessions`, sessionCode);
+        setError('');
         try {
-            await updateDoc(sessionRef, {
-                [`votes.${userId}`]: options
-            });
-            setHasVoted(true);
+            await action();
+            setMessage(successMessage);
         } catch (e) {
-            console.error("Error submitting vote: ", e);
-            setError('Failed to submit vote. Please try again.');
+            console.error(`${failureMessage}: `, e);
+            setError(`${failureMessage}.`);
         } finally {
             setIsSubmitting(false);
         }
     };
 
-    const handleCloseVoting = async () => {
-        if (!db || !sessionData) return;
-        const sessionRef = doc(db, `/artifacts/${appId}/public/data/sessions`, sessionCode);
-        const allVotes = Object.values(sessionData.votes);
-
-        if (allVotes.length === 0) {
-            setError("Cannot close voting with no votes.");
+    const handleApprove = (suggestion) => {
+        if (options.length >= maxOptionsOf(sessionData)) {
+            setError(`You can only add up to ${maxOptionsOf(sessionData)} options.`);
             return;
         }
+        runReview(() => repository.approveSuggestion(sessionCode, suggestion), `${suggestion.name} added as a choice.`, 'Failed to add the suggestion');
+    };
+
+    const handleMerge = (suggestion, target) => runReview(
+        () => repository.resolveSuggestion(sessionCode, suggestion, { status: 'merged', mergedInto: target }),
+        `${suggestion.name} merged.`,
+        'Failed to merge the suggestion'
+    );
+
+    const handleReject = (suggestion) => runReview(
+        () => repository.resolveSuggestion(sessionCode, suggestion, { status: 'rejected' }),
+        `${suggestion.name} rejected.`,
+        'Failed to reject the suggestion'
+    );
+
+    return (
+        <section className="mb-8">
+            <h3 className="text-xl font-bold text-gray-700 mb-2">Suggestions ({pending.length})</h3>
+            {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+            {pending.length === 0 ? (
+                <p className="text-sm text-gray-500">No suggestions are waiting. Share the session so people can suggest choices.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {pending.map(suggestion => {
+                        const mergeTarget = mergeTargets[suggestion.id] ?? findDuplicateOption(options, suggestion.name)?.id ?? '';
+                        return (
+                            <li key={suggestion.id} className="bg-yellow-50 border border-yellow-200 p-3 rounded-xl">
+                                <OptionCard option={suggestion} nameClassName="text-gray-800 font-medium" />
+                                <p className="text-xs text-gray-500 mt-1">Suggested by {getParticipantName(sessionData, suggestion.suggestedBy)}</p>
+                                <div className="flex flex-wrap items-center gap-2 mt-3">
+                                    <button onClick={() => handleApprove(suggestion)} disabled={isSubmitting} aria-label={`Approve ${suggestion.name}`} className="flex items-center py-1 px-3 text-sm bg-green-500 text-white font-semibold rounded-lg hover:bg-green-600 disabled:opacity-50">
+                                        <LucideCheck className="h-4 w-4 mr-1" /> Approve
+                                    </button>
+                                    {options.length > 0 && (
+                                        <>
+                                            <select
+                                                value={mergeTarget}
+                                                onChange={(e) => setMergeTargets({ ...mergeTargets, [suggestion.id]: e.target.value })}
+                                                aria-label={`Choice to merge ${suggestion.name} into`}
+                                                className="py-1 px-2 text-sm border-2 border-gray-300 rounded-lg bg-white"
+                                            >
+                                                <option value="">Merge into...</option>
+                                                {options.map(option => (
+                                                    <option key={option.id} value={option.id}>{option.name}</option>
+                                                ))}
+                                            </select>
+                                            <button onClick={() => handleMerge(suggestion, mergeTarget)} disabled={isSubmitting || !mergeTarget} aria-label={`Merge ${suggestion.name}`} className="py-1 px-3 text-sm bg-indigo-100 text-indigo-700 font-semibold rounded-lg hover:bg-indigo-200 disabled:opacity-50">
+                                                Merge
+                                            </button>
+                                        </>
+                                    )}
+                                    <button onClick={() => handleReject(suggestion)} disabled={isSubmitting} aria-label={`Reject ${suggestion.name}`} className="flex items-center py-1 px-3 text-sm bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200 disabled:opacity-50">
+                                        <LucideX className="h-4 w-4 mr-1" /> Reject
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </section>
+    );
+};
+
+// Why the session cannot move on to voting yet, or null if it can
+const whyVotingCannotStart = (sessionData) => {
+    const optionCount = (sessionData.options || []).length;
+    if (optionCount < 2) return 'You need at least two options to start voting.';
+    if (optionCount <= (sessionData.seats || 1)) return `You need more options than the ${sessionData.seats} winners being chosen.`;
+    return null;
+};
+
+// Suggestions the host has not dealt with when voting starts stay off the ballot, so ask first
+const confirmSkippingSuggestions = (sessionData) => {
+    const pendingCount = pendingSuggestions(sessionData).length;
+    return pendingCount === 0 || window.confirm(`${pendingCount} suggestion${pendingCount === 1 ? ' is' : 's are'} still waiting and will not be on the ballot. Start voting anyway?`);
+};
+
+// Create Options Page
+const CreateOptionsPage = ({ sessionCode, sessionData, repository, userId, setPage, setMessage }) => {
+    const options = sessionData.options || [];
+    const maxOptions = maxOptionsOf(sessionData);
+    const isCollecting = sessionPhase(sessionData) === 'collecting';
+    const [isImporting, setIsImporting] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    // Every choice gets its own id, so two choices may share a name and renaming one later keeps its ballots
+    const handleAddOption = async (fields) => {
+        if (options.length >= maxOptions) {
+            setError(`You can only add up to ${maxOptions} options.`);
+            return false;
+        }
+        if (exceedsImageBudget(options, fields.imageUrl)) {
+            setError('There is no room left for uploaded pictures in this session. Link to the picture instead.');
+            return false;
+        }
 
-        const rankedChoiceWinner = calculateRankedChoiceWinner(sessionData.options, allVotes);
-        
+        setIsSubmitting(true);
         try {
-            await updateDoc(sessionRef, {
-                isVotingClosed: true,
-                winner: rankedChoiceWinner,
-            });
+            await repository.addOption(sessionCode, createOption(fields));
+            setError('');
+            return true;
         } catch (e) {
-            console.error("Error closing voting: ", e);
-            setError('Failed to close voting.');
+            console.error("Error adding option: ", e);
+            setError('Failed to add option.');
+            return false;
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleImportOptions = async (fieldsList) => {
+        setIsSubmitting(true);
+        try {
+            await repository.addOptions(sessionCode, fieldsList.map(fields => createOption(fields)));
+            setError('');
+            setIsImporting(false);
+            setMessage(`${fieldsList.length} choice${fieldsList.length === 1 ? '' : 's'} added.`);
+            return true;
+        } catch (e) {
+            console.error("Error importing options: ", e);
+            setError('Failed to add the list of choices.');
+            return false;
+        } finally {
+            setIsSubmitting(false);
         }
     };
 
-    const participantsCount = Object.keys(sessionData.votes).length;
+    // Sessions collecting suggestions move on to voting for everyone in them
+    const handleStartVoting = async () => {
+        const problem = whyVotingCannotStart(sessionData);
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        if (isCollecting) {
+            if (!confirmSkippingSuggestions(sessionData)) return;
+            try {
+                await repository.updateSession(sessionCode, { phase: 'voting' });
+            } catch (e) {
+                console.error("Error starting voting: ", e);
+                setError('Failed to start voting.');
+                return;
+            }
+        }
+        setPage('vote');
+    };
+
+    const handleCopyCode = async () => {
+        try {
+            await copyToClipboard(sessionCode);
+            setMessage('Session code copied to clipboard!');
+        } catch (e) {
+            console.error("Failed to copy text: ", e);
+            setMessage('Failed to copy session code.');
+        }
+    };
 
     return (
         <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
@@ -564,75 +1698,77 @@ const VotingPage = ({ sessionCode, sessionData, db, userId, setPage }) => {
                     <LucideChevronLeft className="h-4 w-4 mr-1" />
                     Back to Home
                 </button>
-                <h2 className="text-3xl font-bold text-indigo-700 mb-2">{sessionData.title || 'Voting Session'}</h2>
-                <p className="text-gray-600 mb-6">Drag and drop the choices to rank them from most preferred (top) to least preferred (bottom)</p>
-                <div className="flex items-center justify-between mb-4">
-                    <p className="text-sm font-light text-gray-500">
-                        Session: <span className="font-mono font-semibold text-indigo-700">{sessionCode}</span>
-                    </p>
-                    <div className="flex items-center space-x-1 text-gray-600">
-                        <LucideUsers className="h-4 w-4" />
-                        <span className="text-sm font-medium">{participantsCount} Participants</span>
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-3xl font-bold text-indigo-700">Add Choices</h2>
+                    <div className="flex items-center bg-indigo-100 rounded-full px-4 py-2">
+                        <span className="text-sm text-indigo-700 font-semibold mr-2">Session:</span>
+                        <span className="text-lg font-bold text-indigo-900">{sessionCode}</span>
+                        <button onClick={handleCopyCode} className="ml-2 p-1 text-indigo-700 hover:text-indigo-900 transition-colors">
+                            <LucideCopy className="h-4 w-4" />
+                        </button>
                     </div>
                 </div>
 
-                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+                <PhaseSteps sessionData={sessionData} />
 
-                <h3 className="text-xl font-bold text-gray-700 mb-4">Rank Your Choices</h3>
-                <p className="text-sm text-gray-500 mb-6">Your #1 choice should be at the top. Use arrow buttons to reorder.</p>
+                <p className="text-gray-600 mb-6">
+                    {isCollecting
+                        ? `Add choices yourself and review what your group suggests. You can have up to ${maxOptions} options.`
+                        : `Add the choices for your group to rank. You can add up to ${maxOptions} options.`}
+                </p>
 
-                {hasVoted ? (
-                    <div className="text-center">
-                        <LucideCheck className="h-16 w-16 text-green-500 mx-auto mb-4" />
-                        <h3 className="text-2xl font-bold text-green-700 mb-2">Thank you for voting!</h3>
-                        <p className="text-gray-600">Your vote has been submitted. Waiting for others to finish.</p>
-                    </div>
+                {sessionData.access === 'invite' ? (
+                    <p className="p-4 mb-6 bg-indigo-50 border border-indigo-100 rounded-xl text-sm text-indigo-800">
+                        This session is invite-only. Create a personal invite link for each voter under Manage Session.
+                    </p>
                 ) : (
-                    <ul className="space-y-3 mb-6">
-                        {options.map((option, index) => (
-                            <li
-                                key={option}
-                                className="flex items-center p-4 bg-indigo-100 rounded-xl shadow-sm border border-indigo-200"
-                            >
-                                <span className="font-bold text-indigo-700 mr-4">{index + 1}.</span>
-                                <span className="text-lg font-medium text-indigo-900 flex-grow">{option}</span>
-                                <div className="flex space-x-2">
-                                    <button
-                                        onClick={() => handleMoveUp(index)}
-                                        disabled={index === 0}
-                                        className="p-2 bg-indigo-200 rounded-full hover:bg-indigo-300 disabled:opacity-50"
-                                    >
-                                        <LucideArrowUp className="h-4 w-4 text-indigo-700" />
-                                    </button>
-                                    <button
-                                        onClick={() => handleMoveDown(index)}
-                                        disabled={index === options.length - 1}
-                                        className="p-2 bg-indigo-200 rounded-full hover:bg-indigo-300 disabled:opacity-50"
-                                    >
-                                        <LucideArrowDown className="h-4 w-4 text-indigo-700" />
-                                    </button>
-                                </div>
-                            </li>
-                        ))}
-                    </ul>
+                    <InvitePanel sessionCode={sessionCode} title={sessionData.title} setMessage={setMessage} />
+                )}
+
+                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+
+                {isCollecting && sessionData.host === userId && (
+                    <SuggestionReview sessionCode={sessionCode} sessionData={sessionData} repository={repository} setMessage={setMessage} />
                 )}
 
-                {!hasVoted && (
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-lg font-semibold text-gray-700">Choices ({options.length}/{maxOptions})</h3>
                     <button
-                        onClick={handleSubmitVote}
-                        disabled={isSubmitting}
-                        className="w-full py-4 bg-green-500 text-white text-lg font-bold rounded-xl shadow-lg hover:bg-green-600 transition-colors disabled:bg-green-300"
+                        onClick={() => setIsImporting(!isImporting)}
+                        aria-expanded={isImporting}
+                        className="flex items-center text-sm text-indigo-600 font-semibold hover:text-indigo-800"
                     >
-                        Submit My Rankings
+                        <LucideClipboardList className="h-4 w-4 mr-1" /> {isImporting ? 'Add One at a Time' : 'Paste a List'}
                     </button>
+                </div>
+                {isImporting ? (
+                    <OptionImportForm options={options} maxOptions={maxOptions} onImport={handleImportOptions} disabled={isSubmitting} />
+                ) : (
+                    <OptionForm submitLabel="Add Choice" onSubmit={handleAddOption} disabled={isSubmitting || options.length >= maxOptions} />
                 )}
 
-                {sessionData.host === userId && Object.keys(sessionData.votes).length > 0 && (
+                <ul className="space-y-3 mb-6">
+                    {options.map(option => (
+                        <li key={option.id} className="flex items-center bg-gray-100 p-4 rounded-xl border border-gray-200">
+                            <OptionCard option={option} nameClassName="text-gray-700 font-medium" />
+                        </li>
+                    ))}
+                </ul>
+
+                {options.length > 1 && (
+                    <button
+                        onClick={handleStartVoting}
+                        className="w-full py-4 bg-green-500 text-white text-lg font-bold rounded-xl shadow-lg hover:bg-green-600 transition-colors"
+                    >
+                        Start Voting
+                    </button>
+                )}
+                {sessionData.host === userId && (
                     <button
-                        onClick={handleCloseVoting}
-                        className="w-full mt-4 py-3 bg-red-500 text-white font-semibold rounded-xl shadow-md hover:bg-red-600 transition-colors"
+                        onClick={() => setPage('host')}
+                        className="w-full mt-4 py-3 flex items-center justify-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors"
                     >
-                        Close Voting & View Results
+                        <LucideSettings className="h-4 w-4 mr-2" /> Manage Session
                     </button>
                 )}
             </div>
@@ -640,81 +1776,1954 @@ const VotingPage = ({ sessionCode, sessionData, db, userId, setPage }) => {
     );
 };
 
-// Results Page
-const ResultsPage = ({ sessionData, sessionCode, setPage }) => {
+// What participants see while the host collects suggestions: the choices so far, a form to suggest more
+// and what became of their own suggestions. The ballot takes its place as soon as the host starts voting.
+const SuggestionsPage = ({ sessionCode, sessionData, repository, userId, setPage }) => {
+    const options = normalizeOptions(sessionData.options);
+    const nameFor = createNameFor(sessionData.options);
+    const mySuggestions = listSuggestions(sessionData).filter(suggestion => suggestion.suggestedBy === userId);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSuggest = async (fields) => {
+        if (!sessionData.participants?.[userId] && sessionData.host !== userId) {
+            setError('Join the session before suggesting choices.');
+            return false;
+        }
+        setIsSubmitting(true);
+        try {
+            await repository.suggestOption(sessionCode, userId, createSuggestion(fields, nextSuggestionId(sessionData, userId)));
+            setError('');
+            return true;
+        } catch (e) {
+            console.error("Error suggesting option: ", e);
+            setError('Failed to send your suggestion.');
+            return false;
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const describeStatus = (suggestion) => suggestion.status === 'merged'
+        ? `Merged with ${nameFor(suggestion.mergedInto)}`
+        : SUGGESTION_STATUSES[suggestion.status];
+
     return (
         <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
-            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl text-center">
+            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl">
                 <button onClick={() => setPage('home')} className="flex items-center text-indigo-600 mb-6 transition-colors hover:text-indigo-800">
                     <LucideChevronLeft className="h-4 w-4 mr-1" />
                     Back to Home
                 </button>
-                <h2 className="text-4xl font-bold text-green-700 mb-2">The Winner Is...</h2>
-                <LucideTrophy className="h-24 w-24 text-yellow-500 mx-auto my-6" />
-                <p className="text-5xl font-extrabold text-gray-900 mb-6">{sessionData.winner}</p>
-                <div className="bg-gray-100 p-4 rounded-lg inline-block">
-                    <p className="text-sm font-semibold text-gray-500">Session Code</p>
-                    <p className="text-xl font-bold text-gray-700">{sessionCode}</p>
-                </div>
+                <h2 className="text-3xl font-bold text-indigo-700 mb-2">{sessionData.title || 'Voting Session'}</h2>
+                <p className="text-sm font-light text-gray-500 mb-4">
+                    Session: <span className="font-mono font-semibold text-indigo-700">{sessionCode}</span>
+                    {' · '}Suggesting as <span className="font-semibold text-gray-700">{getParticipantName(sessionData, userId)}</span>
+                </p>
+
+                <PhaseSteps sessionData={sessionData} />
+
+                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+
+                <h3 className="text-lg font-semibold text-gray-700 mb-2">Suggest a choice</h3>
+                <OptionForm
+                    submitLabel="Suggest"
+                    onSubmit={handleSuggest}
+                    disabled={isSubmitting || mySuggestions.length >= MAX_SUGGESTIONS_PER_PARTICIPANT}
+                    validate={(fields) => validateSuggestion(sessionData, userId, fields)}
+                    allowUpload={false}
+                />
+
+                {mySuggestions.length > 0 && (
+                    <>
+                        <h3 className="text-lg font-semibold text-gray-700 mb-2">Your suggestions ({mySuggestions.length}/{MAX_SUGGESTIONS_PER_PARTICIPANT})</h3>
+                        <ul className="space-y-2 mb-6">
+                            {mySuggestions.map(suggestion => (
+                                <li key={suggestion.id} className="flex items-center justify-between bg-gray-100 p-3 rounded-xl">
+                                    <span className="text-gray-700 font-medium truncate">{suggestion.name}</span>
+                                    <span className={`flex-shrink-0 ml-3 text-sm ${suggestion.status === 'rejected' ? 'text-gray-500' : suggestion.status === 'pending' ? 'text-yellow-700' : 'text-green-700 font-semibold'}`}>
+                                        {describeStatus(suggestion)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+
+                <h3 className="text-lg font-semibold text-gray-700 mb-2">Choices so far ({options.length})</h3>
+                {options.length === 0 ? (
+                    <p className="text-sm text-gray-500 mb-6">No choices yet. Be the first to suggest one!</p>
+                ) : (
+                    <ul className="space-y-3 mb-6">
+                        {options.map(option => (
+                            <li key={option.id} className="flex items-center bg-gray-100 p-4 rounded-xl border border-gray-200">
+                                <OptionCard option={option} nameClassName="text-gray-700 font-medium" />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {sessionData.host === userId && (
+                    <button
+                        onClick={() => setPage('host')}
+                        className="w-full mt-4 py-3 flex items-center justify-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors"
+                    >
+                        <LucideSettings className="h-4 w-4 mr-2" /> Manage Session
+                    </button>
+                )}
             </div>
         </div>
     );
 };
 
-// Simple Loading Screen
-const LoadingScreen = ({ message }) => (
-    <div className="flex flex-col items-center justify-center h-screen bg-gray-100">
-        <LucideLoader2 className="animate-spin text-indigo-600 h-10 w-10" />
-        <p className="ml-4 text-lg text-gray-700 mt-4">{message}</p>
-    </div>
-);
+// Ranked ballot that can be reordered by dragging (mouse or touch), from the keyboard, or with the arrow buttons.
+// Keyboard users pick a choice up with Space, move it with the arrow keys and drop it with Space (Escape cancels);
+// every move is announced through a live region. With a search filter on, only the choices `isShown`
+// accepts are listed, and moving one up or down takes it past the next listed choice.
+const RankingList = ({ options, sessionOptions, setOptions, onUnrank, isShown = () => true }) => {
+    const nameFor = createNameFor(sessionOptions);
+    const [draggedOption, setDraggedOption] = useState(null);
+    const [grabbedOption, setGrabbedOption] = useState(null);
+    const [announcement, setAnnouncement] = useState('');
+    const itemRefs = useRef({});
+    const handleRefs = useRef({});
+    const orderBeforeGrab = useRef(null);
+
+    // Keep focus on the handle of the choice being moved with the keyboard as the list re-renders
+    useEffect(() => {
+        if (grabbedOption) {
+            handleRefs.current[grabbedOption]?.focus();
+        }
+    }, [options, grabbedOption]);
 
-// Helper function for ranked-choice voting (instant runoff)
-const calculateRankedChoiceWinner = (options, allVotes) => {
-    if (allVotes.length === 0) return 'No votes submitted yet.';
+    const describePosition = (option, list) => `position ${list.indexOf(option) + 1} of ${list.length}`;
+
+    const moveOption = (from, to) => {
+        if (to < 0 || to >= options.length || from === to) return options;
+        const newOptions = [...options];
+        const [moved] = newOptions.splice(from, 1);
+        newOptions.splice(to, 0, moved);
+        setOptions(newOptions);
+        return newOptions;
+    };
 
-    let currentOptions = [...options];
+    const shownOptions = options.filter(isShown);
 
-    while (true) {
-        if (currentOptions.length === 1) {
-            return currentOptions[0];
-        }
+    const handleMove = (index, offset) => {
+        const option = options[index];
+        const neighbour = shownOptions[shownOptions.indexOf(option) + offset];
+        if (!neighbour) return;
+        const newOptions = moveOption(index, options.indexOf(neighbour));
+        setAnnouncement(`${nameFor(option)} moved to ${describePosition(option, newOptions)}.`);
+    };
 
-        const firstPlaceVotes = {};
-        currentOptions.forEach(option => firstPlaceVotes[option] = 0);
+    const handleMoveToEnd = (index, toTop) => {
+        const option = options[index];
+        const newOptions = moveOption(index, toTop ? 0 : options.length - 1);
+        setAnnouncement(`${nameFor(option)} moved to ${describePosition(option, newOptions)}.`);
+    };
 
-        allVotes.forEach(vote => {
-            const firstChoice = vote.find(choice => currentOptions.includes(choice));
-            if (firstChoice) {
-                firstPlaceVotes[firstChoice]++;
-            }
+    const handlePointerDown = (e, option) => {
+        e.preventDefault();
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        setDraggedOption(option);
+    };
+
+    // While dragging, the choice takes the slot of whichever item the pointer is over
+    const handlePointerMove = (e) => {
+        if (!draggedOption) return;
+        const from = options.indexOf(draggedOption);
+        const to = options.findIndex(option => {
+            const rect = itemRefs.current[option]?.getBoundingClientRect();
+            return rect && e.clientY >= rect.top && e.clientY <= rect.bottom;
         });
+        if (to !== -1 && to !== from) {
+            moveOption(from, to);
+        }
+    };
 
-        const totalVotes = allVotes.length;
-        const majorityThreshold = totalVotes / 2;
+    const handlePointerUp = () => {
+        if (!draggedOption) return;
+        setAnnouncement(`${nameFor(draggedOption)} dropped at ${describePosition(draggedOption, options)}.`);
+        setDraggedOption(null);
+    };
 
-        let winner = null;
-        for (const option of currentOptions) {
-            if (firstPlaceVotes[option] > majorityThreshold) {
-                winner = option;
-                break;
+    const handleKeyDown = (e, option) => {
+        const index = options.indexOf(option);
+        if (e.key === ' ') {
+            e.preventDefault();
+            if (grabbedOption === option) {
+                setGrabbedOption(null);
+                setAnnouncement(`${nameFor(option)} dropped at ${describePosition(option, options)}.`);
+            } else {
+                orderBeforeGrab.current = options;
+                setGrabbedOption(option);
+                setAnnouncement(`${nameFor(option)} picked up at ${describePosition(option, options)}. Use the up and down arrow keys to move it, Space to drop it, or Escape to cancel.`);
             }
+        } else if (grabbedOption === option && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            handleMove(index, e.key === 'ArrowUp' ? -1 : 1);
+        } else if (grabbedOption === option && e.key === 'Escape') {
+            e.preventDefault();
+            setOptions(orderBeforeGrab.current);
+            setGrabbedOption(null);
+            setAnnouncement(`Move cancelled. ${nameFor(option)} returned to ${describePosition(option, orderBeforeGrab.current)}.`);
         }
+    };
 
-        if (winner) {
-            return winner;
+    const handleBlur = (option) => {
+        if (grabbedOption === option) {
+            setGrabbedOption(null);
+            setAnnouncement(`${nameFor(option)} dropped at ${describePosition(option, options)}.`);
         }
+    };
 
-        const sortedVotes = Object.entries(firstPlaceVotes).sort(([, a], [, b]) => a - b);
-        const lowestVoteCount = sortedVotes[0][1];
-        const eliminatedOptions = sortedVotes.filter(([, count]) => count === lowestVoteCount).map(([option]) => option);
+    return (
+        <>
+            <p id="ranking-instructions" className="sr-only">
+                Press Space on a choice to pick it up, use the up and down arrow keys to move it, and press Space again to drop it. Press Escape to cancel.
+            </p>
+            <div aria-live="assertive" className="sr-only">{announcement}</div>
+            <ul className="space-y-3 mb-6">
+                {options.map((option, index) => isShown(option) && (
+                    <li
+                        key={option}
+                        ref={(el) => { itemRefs.current[option] = el; }}
+                        className={`flex items-center p-4 bg-indigo-100 rounded-xl shadow-sm border border-indigo-200 transition-shadow ${draggedOption === option || grabbedOption === option ? 'ring-2 ring-indigo-500 shadow-lg' : ''}`}
+                    >
+                        <button
+                            ref={(el) => { handleRefs.current[option] = el; }}
+                            onPointerDown={(e) => handlePointerDown(e, option)}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                            onPointerCancel={handlePointerUp}
+                            onKeyDown={(e) => handleKeyDown(e, option)}
+                            onBlur={() => handleBlur(option)}
+                            aria-roledescription="sortable choice"
+                            aria-describedby="ranking-instructions"
+                            aria-pressed={grabbedOption === option}
+                            aria-label={`${nameFor(option)}, ${describePosition(option, options)}`}
+                            className={`p-1 mr-2 rounded text-indigo-500 hover:text-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-400 ${draggedOption === option ? 'cursor-grabbing' : 'cursor-grab'}`}
+                            style={{ touchAction: 'none' }}
+                        >
+                            <LucideGripVertical className="h-5 w-5" />
+                        </button>
+                        <span className="font-bold text-indigo-700 mr-4">{index + 1}.</span>
+                        <OptionCard option={findOption(sessionOptions, option)} className="flex-grow select-none" />
+                        <div className="flex flex-wrap justify-end gap-2">
+                            <button
+                                onClick={() => handleMoveToEnd(index, true)}
+                                disabled={index === 0}
+                                aria-label={`Move ${nameFor(option)} to the top`}
+                                className="p-2 bg-indigo-200 rounded-full hover:bg-indigo-300 disabled:opacity-50"
+                            >
+                                <LucideChevronsUp className="h-4 w-4 text-indigo-700" />
+                            </button>
+                            <button
+                                onClick={() => handleMove(index, -1)}
+                                disabled={option === shownOptions[0]}
+                                aria-label={`Move ${nameFor(option)} up`}
+                                className="p-2 bg-indigo-200 rounded-full hover:bg-indigo-300 disabled:opacity-50"
+                            >
+                                <LucideArrowUp className="h-4 w-4 text-indigo-700" />
+                            </button>
+                            <button
+                                onClick={() => handleMove(index, 1)}
+                                disabled={option === shownOptions[shownOptions.length - 1]}
+                                aria-label={`Move ${nameFor(option)} down`}
+                                className="p-2 bg-indigo-200 rounded-full hover:bg-indigo-300 disabled:opacity-50"
+                            >
+                                <LucideArrowDown className="h-4 w-4 text-indigo-700" />
+                            </button>
+                            <button
+                                onClick={() => handleMoveToEnd(index, false)}
+                                disabled={index === options.length - 1}
+                                aria-label={`Move ${nameFor(option)} to the bottom`}
+                                className="p-2 bg-indigo-200 rounded-full hover:bg-indigo-300 disabled:opacity-50"
+                            >
+                                <LucideChevronsDown className="h-4 w-4 text-indigo-700" />
+                            </button>
+                            <button
+                                onClick={() => onUnrank(index)}
+                                aria-label={`Don't rank ${nameFor(option)}`}
+                                title="Don't care"
+                                className="p-2 bg-gray-200 rounded-full hover:bg-gray-300"
+                            >
+                                <LucideX className="h-4 w-4 text-gray-600" />
+                            </button>
+                        </div>
+                    </li>
+                ))}
+                {options.length === 0 && (
+                    <li className="p-4 text-center text-gray-500 border-2 border-dashed border-gray-300 rounded-xl">Rank at least one choice.</li>
+                )}
+                {options.length > 0 && shownOptions.length === 0 && (
+                    <li className="p-4 text-center text-gray-500 border-2 border-dashed border-gray-300 rounded-xl">None of your ranked choices match the search.</li>
+                )}
+            </ul>
+        </>
+    );
+};
 
-        currentOptions = currentOptions.filter(option => !eliminatedOptions.includes(option));
+// Search and tag filter for long ballots. Filtering only hides choices from view; nothing is taken off
+// the ballot.
+const BallotFilter = ({ sessionOptions, filter, setFilter }) => {
+    const tags = optionTags(sessionOptions);
+    const shownCount = sessionOptions.filter(option => matchesOptionFilter(option, filter)).length;
+    return (
+        <div className="mb-4">
+            <div className="flex items-center p-2 border-2 border-gray-300 rounded-xl focus-within:border-indigo-400">
+                <LucideSearch className="h-4 w-4 mx-2 text-gray-500" />
+                <input
+                    type="search"
+                    value={filter.query}
+                    onChange={(e) => setFilter({ ...filter, query: e.target.value })}
+                    placeholder="Search choices"
+                    aria-label="Search choices"
+                    className="flex-1 focus:outline-none"
+                />
+            </div>
+            {tags.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                    {tags.map(tag => (
+                        <button
+                            key={tag}
+                            onClick={() => setFilter({ ...filter, tag: filter.tag === tag ? '' : tag })}
+                            aria-pressed={filter.tag === tag}
+                            className={`py-1 px-3 text-xs font-semibold rounded-full transition-colors ${filter.tag === tag ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                        >
+                            {tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {(filter.query || filter.tag) && (
+                <p className="text-sm text-gray-500 mt-2" role="status">
+                    Showing {shownCount} of {sessionOptions.length} choices.{' '}
+                    <button onClick={() => setFilter({ query: '', tag: '' })} className="text-indigo-600 font-semibold hover:text-indigo-800">Clear</button>
+                </p>
+            )}
+        </div>
+    );
+};
 
-        if (currentOptions.length === 0) {
-            return eliminatedOptions[0];
+// Builds a ranking from "which do you prefer?" questions instead of reordering by hand, for ballots
+// too long to sort comfortably. Answers can be taken back one at a time, and the finished ranking
+// goes back to the list, where it can still be adjusted.
+const PairwiseComparison = ({ options, sessionOptions, onDone, onCancel }) => {
+    // Every state so far, so answers can be undone
+    const [history, setHistory] = useState(() => [startPairwiseSort(options)]);
+    const state = history[history.length - 1];
+    const pair = nextComparison(state);
+    const nameFor = createNameFor(sessionOptions);
+    const total = state.answered + remainingComparisons(state);
+
+    const handleAnswer = (preferred) => {
+        const next = answerComparison(state, preferred);
+        if (isPairwiseSortDone(next)) {
+            onDone(next.ranked);
+        } else {
+            setHistory([...history, next]);
         }
-    }
-};
+    };
+
+    if (!pair) return null;
+    return (
+        <div className="mb-6">
+            <h4 className="text-lg font-bold text-gray-700 text-center mb-4">Which do you prefer?</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {pair.map(option => (
+                    <div key={option} className="flex flex-col p-4 bg-indigo-100 rounded-xl shadow-sm border border-indigo-200">
+                        <OptionCard option={findOption(sessionOptions, option)} className="flex-grow mb-4" />
+                        <button
+                            onClick={() => handleAnswer(option)}
+                            className="py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl shadow-md hover:bg-indigo-700 transition-colors"
+                        >
+                            Prefer {nameFor(option)}
+                        </button>
+                    </div>
+                ))}
+            </div>
+            <div className="mt-4" role="status">
+                <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-indigo-500 transition-all" style={{ width: `${(state.answered / total) * 100}%` }} />
+                </div>
+                <p className="text-sm text-gray-500 mt-2">Question {state.answered + 1} of at most {total}</p>
+            </div>
+            <div className="flex justify-center space-x-3 mt-4">
+                <button
+                    onClick={() => setHistory(history.slice(0, -1))}
+                    disabled={history.length === 1}
+                    className="flex items-center py-2 px-4 bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors disabled:opacity-50"
+                >
+                    <LucideUndo2 className="h-4 w-4 mr-2" /> Undo
+                </button>
+                <button onClick={onCancel} className="py-2 px-4 text-gray-600 font-semibold hover:text-gray-800 transition-colors">
+                    Back to the List
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Ballots with at least this many choices get a search and tag filter
+const BALLOT_FILTER_MIN_OPTIONS = 8;
+
+// Heading, hint and submit label for each kind of ballot
+const BALLOT_INSTRUCTIONS = {
+    ranked: {
+        heading: 'Rank Your Choices',
+        hint: 'Your #1 choice should be at the top. Drag choices by their handle, or use the arrow buttons, to reorder. Move choices you have no opinion on to "Don\'t care".',
+        submit: 'Submit My Rankings',
+    },
+    approval: {
+        heading: 'Approve Your Choices',
+        hint: 'Tick every choice you would be happy with.',
+        submit: 'Submit My Approvals',
+    },
+    score: {
+        heading: 'Score Your Choices',
+        hint: `Give each choice a score from 0 (worst) to ${MAX_SCORE} (best).`,
+        submit: 'Submit My Scores',
+    },
+};
+
+// Current time in milliseconds, refreshed every second while `isTicking`
+const useClock = (isTicking = true) => {
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        if (!isTicking) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [isTicking]);
+    return now;
+};
+
+// Formats a remaining duration as "2d 4h 05m", "1:02:03" or "4:05"
+const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor(totalSeconds % 86400 / 3600);
+    const minutes = Math.floor(totalSeconds % 3600 / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+    if (days > 0) return `${days}d ${hours}h ${pad(minutes)}m`;
+    if (hours > 0) return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+    return `${minutes}:${pad(seconds)}`;
+};
+
+// Opening time, deadline countdown and automatic close conditions of a session
+const VotingWindowBanner = ({ sessionData, now }) => {
+    const opensAt = sessionData.opensAt?.toMillis();
+    const closesAt = sessionData.closesAt?.toMillis();
+    const conditions = [
+        sessionData.closeAfterBallots && `after ${sessionData.closeAfterBallots} ballots`,
+        sessionData.closeWhenAllVoted && `once everyone ${sessionData.access === 'invite' ? 'invited' : 'who joined'} has voted`,
+    ].filter(Boolean);
+    if (!opensAt && !closesAt && conditions.length === 0) return null;
+
+    return (
+        <div className="flex items-start p-3 mb-4 bg-indigo-50 rounded-xl text-indigo-800" role="timer" aria-live="off">
+            <LucideClock className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+            <div className="text-sm">
+                {opensAt && now < opensAt ? (
+                    <p className="font-semibold">Voting opens in {formatCountdown(opensAt - now)} ({new Date(opensAt).toLocaleString()})</p>
+                ) : closesAt && now < closesAt ? (
+                    <p className="font-semibold">Voting closes in {formatCountdown(closesAt - now)} ({new Date(closesAt).toLocaleString()})</p>
+                ) : closesAt ? (
+                    <p className="font-semibold">The deadline has passed.</p>
+                ) : null}
+                {conditions.length > 0 && <p>Voting closes automatically {conditions.join(' or ')}.</p>}
+            </div>
+        </div>
+    );
+};
+
+// Voting Page
+const VotingPage = ({ sessionCode, sessionData, repository, userId, setPage, hasPendingWrites }) => {
+    const ballotType = getMethod(sessionData.method).ballot;
+    // Ballots and the ballot controls work with option ids; names and details come from the session's options
+    const nameFor = createNameFor(sessionData.options);
+    const [draft] = useState(() => loadBallotDraft(sessionCode, userId, optionIds(sessionData.options)));
+    const [options, setOptions] = useState(draft?.options ?? optionIds(sessionData.options));
+    const [unranked, setUnranked] = useState(draft?.unranked ?? []);
+    const [approved, setApproved] = useState(draft?.approved ?? []);
+    const [scores, setScores] = useState(() => draft?.scores ?? Object.fromEntries(optionIds(sessionData.options).map(option => [option, 0])));
+    const isSecret = !!sessionData.secretBallot;
+    const voterIds = getVoterIds(sessionData);
+    const isVoter = voterIds.includes(userId);
+    // Whether the cast ballot is shown rather than the ballot controls. Editing keeps the controls open,
+    // but a ballot cast from another device, withdrawn or removed by the host switches the view over.
+    const [hasVoted, setHasVoted] = useState(isVoter);
+    const [error, setError] = useState('');
+    const [filter, setFilter] = useState({ query: '', tag: '' });
+    const [isComparing, setIsComparing] = useState(false);
+    const hasDeadlineCloseBeenRequested = useRef(false);
+    const opensAt = sessionData.opensAt?.toMillis();
+    const closesAt = sessionData.closesAt?.toMillis();
+    const now = useClock(!!(opensAt || closesAt));
+    const isBeforeOpening = !!opensAt && now < opensAt;
+    const isPastDeadline = !!closesAt && now >= closesAt;
+    const isWindowOpen = !isBeforeOpening && !isPastDeadline;
+    const hasBallots = voterIds.length > 0;
+    // Secret ballots cannot be read back, so editing relies on the copy this browser saved
+    const myBallot = isSecret ? loadSecretBallot(sessionCode, userId)?.ballot : sessionData.votes[userId];
+    const sessionOptionIds = optionIds(sessionData.options);
+    const sessionOptionKey = JSON.stringify(sessionOptionIds);
+    const knownOptionIds = useRef(sessionOptionIds);
+
+    useEffect(() => {
+        setHasVoted(isVoter);
+    }, [isVoter]);
+
+    // Follow the host's edits to the choices while this page is open: removed choices leave the ballot
+    // and new ones join the bottom of the ranking, with everything already arranged left in place
+    useEffect(() => {
+        const ids = JSON.parse(sessionOptionKey);
+        const added = ids.filter(id => !knownOptionIds.current.includes(id));
+        const isRemoved = knownOptionIds.current.some(id => !ids.includes(id));
+        knownOptionIds.current = ids;
+        if (!added.length && !isRemoved) return;
+        setOptions(prev => [...prev.filter(id => ids.includes(id)), ...added]);
+        setUnranked(prev => prev.filter(id => ids.includes(id)));
+        setApproved(prev => prev.filter(id => ids.includes(id)));
+        setScores(prev => Object.fromEntries(ids.map(id => [id, prev[id] ?? 0])));
+    }, [sessionOptionKey]);
+
+    useEffect(() => {
+        if (!hasVoted) saveBallotDraft(sessionCode, userId, { options, unranked, approved, scores });
+    }, [hasVoted, sessionCode, userId, options, unranked, approved, scores]);
+
+    // When the deadline passes with this page open, ask for the close straight away rather than
+    // waiting for the scheduled Cloud Function to notice
+    useEffect(() => {
+        if (!isPastDeadline || !hasBallots || sessionData.closeRequestedAt || sessionData.pendingTie) return;
+        if (hasDeadlineCloseBeenRequested.current) return;
+        hasDeadlineCloseBeenRequested.current = true;
+        repository.requestClose(sessionCode)
+            .catch(e => console.error("Error requesting the close at the deadline: ", e));
+    }, [isPastDeadline, hasBallots, sessionData.closeRequestedAt, sessionData.pendingTie, repository, sessionCode]);
+
+    // Moves a choice out of the ranking into the "don't care" bucket, and back to the bottom of the ranking
+    const handleUnrank = (index) => {
+        setUnranked([...unranked, options[index]]);
+        setOptions(options.filter((_, i) => i !== index));
+    };
+
+    const handleRank = (option) => {
+        setUnranked(unranked.filter(choice => choice !== option));
+        setOptions([...options, option]);
+    };
+
+    // Whether a choice passes the ballot's search and tag filter
+    const isShown = (option) => matchesOptionFilter(findOption(sessionData.options, option), filter);
+
+    // Takes the ranking built by comparing choices in pairs. Choices in "don't care" stay there.
+    const handleComparisonDone = (ranked) => {
+        setOptions(ranked);
+        setIsComparing(false);
+    };
+
+    const handleToggleApproval = (option) => {
+        setApproved(approved.includes(option) ? approved.filter(choice => choice !== option) : [...approved, option]);
+    };
+
+    const handleSubmitVote = async () => {
+        if (sessionData.isVotingClosed || isPastDeadline) {
+            setError('Voting has already closed.');
+            return;
+        }
+        if (isBeforeOpening) {
+            setError('Voting has not opened yet.');
+            return;
+        }
+        if (!sessionData.participants?.[userId] && sessionData.host !== userId) {
+            setError('Join the session before voting.');
+            return;
+        }
+        if (!sessionData.options?.length) {
+            setError('There are no options to vote on.');
+            return;
+        }
+        if (!options.length) {
+            setError('Rank at least one choice before submitting.');
+            return;
+        }
+        const ballot = {
+            ranked: options,
+            approval: options.filter(option => approved.includes(option)),
+            score: scores,
+        }[ballotType];
+
+        setError('');
+        let write;
+        if (isSecret) {
+            // The server keeps one secret ballot per voter, so this replaces one cast from another device.
+            // It goes through a Cloud Function, so unlike an open ballot it needs a connection.
+            write = repository.castSecretBallot(sessionCode, userId, ballot);
+            saveSecretBallot(sessionCode, userId, { ballot });
+        } else {
+            write = repository.castBallot(sessionCode, userId, ballot);
+        }
+        // Firestore applies the write locally straight away but only resolves once the server has it, which
+        // offline can take until the connection returns. The ballot counts as cast now; until it syncs the
+        // page shows it as pending.
+        clearBallotDraft(sessionCode, userId);
+        setHasVoted(true);
+        try {
+            await write;
+        } catch (e) {
+            console.error("Error submitting vote: ", e);
+            setError('Failed to submit vote. Please try again.');
+            setHasVoted(false);
+        }
+    };
+
+    // Loads the saved ballot back into the ballot controls so it can be changed and resubmitted
+    const handleEditBallot = () => {
+        const savedBallot = myBallot;
+        if (!savedBallot) return;
+        const sessionOptions = optionIds(sessionData.options);
+        if (ballotType === 'ranked') {
+            const ranked = savedBallot.filter(option => sessionOptions.includes(option));
+            setOptions(ranked);
+            setUnranked(sessionOptions.filter(option => !ranked.includes(option)));
+        } else if (ballotType === 'approval') {
+            setApproved(savedBallot);
+        } else {
+            setScores({ ...scores, ...savedBallot });
+        }
+        setError('');
+        setHasVoted(false);
+    };
+
+    const handleWithdrawBallot = async () => {
+        if (sessionData.isVotingClosed || isPastDeadline) {
+            setError('Voting has already closed.');
+            return;
+        }
+        setError('');
+        let write;
+        if (isSecret) {
+            write = repository.castSecretBallot(sessionCode, userId, null);
+            saveSecretBallot(sessionCode, userId, { ballot: null });
+        } else {
+            write = repository.withdrawBallot(sessionCode, userId);
+        }
+        // Like submitting, withdrawing takes effect locally at once and syncs when it can
+        setOptions(optionIds(sessionData.options));
+        setUnranked([]);
+        setHasVoted(false);
+        try {
+            await write;
+        } catch (e) {
+            console.error("Error withdrawing vote: ", e);
+            setError('Failed to withdraw your ballot. Please try again.');
+        }
+    };
+
+    // Asks the tallying Cloud Function to count the ballots and close the session. The function
+    // writes the result, or a `pendingTie` the host has to decide before the count can finish.
+    const handleCloseVoting = async (decisions = sessionData.tieBreakDecisions || []) => {
+        if (!sessionData) return;
+
+        if (!hasBallots) {
+            setError("Cannot close voting with no votes.");
+            return;
+        }
+
+        try {
+            await repository.requestClose(sessionCode, { tieBreakDecisions: decisions });
+        } catch (e) {
+            console.error("Error closing voting: ", e);
+            setError('Failed to close voting.');
+        }
+    };
+
+    const handleResolveTie = (option) => {
+        handleCloseVoting([...(sessionData.tieBreakDecisions || []), option]);
+    };
+
+    const votedCount = voterIds.length;
+    const joinedCount = Object.keys(sessionData.participants || {}).length;
+    const pendingTie = sessionData.pendingTie;
+    const isCounting = (!!sessionData.closeRequestedAt || (isPastDeadline && hasBallots)) && !pendingTie;
+    const ballotUpdatedAt = sessionData.ballotUpdatedAt?.[userId]?.toDate?.();
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
+            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl">
+                <button onClick={() => setPage('home')} className="flex items-center text-indigo-600 mb-6 transition-colors hover:text-indigo-800">
+                    <LucideChevronLeft className="h-4 w-4 mr-1" />
+                    Back to Home
+                </button>
+                <h2 className="text-3xl font-bold text-indigo-700 mb-2">{sessionData.title || 'Voting Session'}</h2>
+                <p className="text-gray-600 mb-6">Counted by {getMethod(sessionData.method).label}: {getMethod(sessionData.method).description}</p>
+                <div className="flex items-center justify-between mb-4">
+                    <p className="text-sm font-light text-gray-500">
+                        Session: <span className="font-mono font-semibold text-indigo-700">{sessionCode}</span>
+                        {' · '}Voting as <span className="font-semibold text-gray-700">{getParticipantName(sessionData, userId)}</span>
+                    </p>
+                    <div className="flex items-center space-x-1 text-gray-600">
+                        <LucideUsers className="h-4 w-4" />
+                        <span className="text-sm font-medium">{votedCount} of {Math.max(joinedCount, votedCount)} voted</span>
+                    </div>
+                </div>
+
+                <PhaseSteps sessionData={sessionData} />
+
+                <VotingWindowBanner sessionData={sessionData} now={now} />
+
+                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+
+                {isSecret && (
+                    <p className="flex items-center p-3 mb-4 bg-gray-100 rounded-xl text-sm text-gray-700">
+                        <LucideLock className="h-4 w-4 mr-2 flex-shrink-0" /> Secret ballot: nobody, including the host, can see how you voted.
+                    </p>
+                )}
+
+                <h3 className="text-xl font-bold text-gray-700 mb-4">{BALLOT_INSTRUCTIONS[ballotType].heading}</h3>
+                <p className="text-sm text-gray-500 mb-6">{BALLOT_INSTRUCTIONS[ballotType].hint}</p>
+
+                {!hasVoted && isWindowOpen && !isComparing && sessionData.options.length >= BALLOT_FILTER_MIN_OPTIONS && (
+                    <BallotFilter sessionOptions={sessionData.options} filter={filter} setFilter={setFilter} />
+                )}
+
+                {!hasVoted && isWindowOpen && ballotType === 'ranked' && !isComparing && options.length >= 3 && (
+                    <button
+                        onClick={() => setIsComparing(true)}
+                        className="flex items-center mx-auto mb-4 py-2 px-4 bg-indigo-100 text-indigo-700 font-semibold rounded-xl hover:bg-indigo-200 transition-colors"
+                    >
+                        <LucideScale className="h-4 w-4 mr-2" /> Compare Two at a Time
+                    </button>
+                )}
+
+                {isBeforeOpening && !hasVoted ? (
+                    <p className="text-center text-gray-600 mb-6">Come back when voting opens to cast your ballot.</p>
+                ) : isPastDeadline && !hasVoted ? (
+                    <p className="text-center text-gray-600 mb-6">
+                        {hasBallots ? 'Voting has ended.' : 'The deadline passed before anyone voted.'}
+                    </p>
+                ) : hasVoted ? (
+                    <div className="text-center">
+                        <LucideCheck className="h-16 w-16 text-green-500 mx-auto mb-4" />
+                        <h3 className="text-2xl font-bold text-green-700 mb-2">Thank you for voting!</h3>
+                        {hasPendingWrites ? (
+                            <p className="flex items-center justify-center text-yellow-700 font-semibold" role="status">
+                                <LucideCloudOff className="h-4 w-4 mr-2" /> Pending sync: your ballot is saved on this device and will be sent when you are back online.
+                            </p>
+                        ) : (
+                            <p className="text-gray-600">Your vote has been submitted. Waiting for others to finish.</p>
+                        )}
+                        {ballotUpdatedAt && (
+                            <p className="text-sm text-gray-500 mt-2">Last changed {ballotUpdatedAt.toLocaleString()}</p>
+                        )}
+                        {isSecret && !myBallot && (
+                            <p className="text-sm text-gray-500 mt-2">Your secret ballot was cast from another device, so it can only be changed there.</p>
+                        )}
+                        {myBallot && isWindowOpen && (
+                            <div className="flex justify-center space-x-3 mt-6">
+                                <button
+                                    onClick={handleEditBallot}
+                                    className="flex items-center py-2 px-4 bg-indigo-100 text-indigo-700 font-semibold rounded-xl hover:bg-indigo-200 transition-colors"
+                                >
+                                    <LucidePencil className="h-4 w-4 mr-2" /> Edit My Ballot
+                                </button>
+                                <button
+                                    onClick={handleWithdrawBallot}
+                                    className="flex items-center py-2 px-4 bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors"
+                                >
+                                    <LucideTrash2 className="h-4 w-4 mr-2" /> Withdraw
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                ) : isComparing ? (
+                    <PairwiseComparison
+                        options={options}
+                        sessionOptions={sessionData.options}
+                        onDone={handleComparisonDone}
+                        onCancel={() => setIsComparing(false)}
+                    />
+                ) : ballotType === 'approval' ? (
+                    <ul className="space-y-3 mb-6">
+                        {options.filter(isShown).map(option => (
+                            <li key={option}>
+                                <label className="flex items-center p-4 bg-indigo-100 rounded-xl shadow-sm border border-indigo-200 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={approved.includes(option)}
+                                        onChange={() => handleToggleApproval(option)}
+                                        className="h-5 w-5 mr-4 accent-indigo-600"
+                                    />
+                                    <OptionCard option={findOption(sessionData.options, option)} />
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+                ) : ballotType === 'score' ? (
+                    <ul className="space-y-3 mb-6">
+                        {options.filter(isShown).map(option => (
+                            <li key={option} className="flex items-center p-4 bg-indigo-100 rounded-xl shadow-sm border border-indigo-200">
+                                <OptionCard option={findOption(sessionData.options, option)} className="flex-grow" />
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max={MAX_SCORE}
+                                    value={scores[option]}
+                                    onChange={(e) => setScores({ ...scores, [option]: Number(e.target.value) })}
+                                    aria-label={`Score for ${nameFor(option)}`}
+                                    className="mx-4 accent-indigo-600"
+                                />
+                                <span className="w-6 text-right font-bold text-indigo-700">{scores[option]}</span>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <RankingList options={options} sessionOptions={sessionData.options} setOptions={setOptions} onUnrank={handleUnrank} isShown={isShown} />
+                )}
+
+                {!hasVoted && isWindowOpen && ballotType === 'ranked' && !isComparing && unranked.length > 0 && (
+                    <div className="mb-6">
+                        <h4 className="text-sm font-semibold text-gray-600 mb-2">Don't care (not ranked)</h4>
+                        <p className="text-xs text-gray-500 mb-3">Your ballot stops counting if all the choices you ranked are eliminated.</p>
+                        <div className="flex flex-wrap gap-2">
+                            {unranked.filter(isShown).map(option => (
+                                <button
+                                    key={option}
+                                    onClick={() => handleRank(option)}
+                                    className="flex items-center py-2 px-3 bg-gray-100 text-gray-700 rounded-full border border-gray-300 hover:bg-gray-200 transition-colors"
+                                >
+                                    <LucidePlus className="h-4 w-4 mr-1" /> {nameFor(option)}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {!hasVoted && isWindowOpen && !isComparing && (
+                    <button
+                        onClick={handleSubmitVote}
+                        className="w-full py-4 bg-green-500 text-white text-lg font-bold rounded-xl shadow-lg hover:bg-green-600 transition-colors"
+                    >
+                        {myBallot ? 'Update My Ballot' : BALLOT_INSTRUCTIONS[ballotType].submit}
+                    </button>
+                )}
+
+                {!hasVoted && isWindowOpen && myBallot && (
+                    <button
+                        onClick={() => setHasVoted(true)}
+                        className="w-full mt-2 py-2 text-gray-600 font-semibold hover:text-gray-800 transition-colors"
+                    >
+                        Keep My Current Ballot
+                    </button>
+                )}
+
+                {sessionData.closeError && sessionData.host === userId && (
+                    <div className="bg-red-100 text-red-700 p-3 rounded-lg mt-4">{sessionData.closeError}</div>
+                )}
+
+                {isCounting && (
+                    <div className="flex items-center justify-center mt-4 p-4 bg-indigo-50 rounded-xl text-indigo-700">
+                        <LucideLoader2 className="animate-spin h-5 w-5 mr-2" /> Counting votes...
+                    </div>
+                )}
+
+                {pendingTie && sessionData.host !== userId && (
+                    <div className="mt-4 p-4 bg-yellow-50 border border-yellow-300 rounded-xl text-yellow-800">
+                        Round {pendingTie.round} is tied. Waiting for the host to break the tie...
+                    </div>
+                )}
+
+                {pendingTie && sessionData.host === userId && (
+                    <div className="mt-4 p-4 bg-yellow-50 border border-yellow-300 rounded-xl">
+                        <p className="font-semibold text-yellow-800 mb-3">
+                            Round {pendingTie.round} is tied between {pendingTie.tied.map(nameFor).join(', ')}. Choose which one is {pendingTie.eliminate ? 'eliminated' : 'elected'}:
+                        </p>
+                        <div className="flex flex-wrap gap-2">
+                            {pendingTie.tied.map(option => (
+                                <button
+                                    key={option}
+                                    onClick={() => handleResolveTie(option)}
+                                    className="py-2 px-4 bg-yellow-500 text-white font-semibold rounded-xl shadow-md hover:bg-yellow-600 transition-colors"
+                                >
+                                    {nameFor(option)}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {sessionData.host === userId && hasBallots && !pendingTie && (
+                    <button
+                        onClick={() => handleCloseVoting([])}
+                        disabled={isCounting}
+                        className="w-full mt-4 py-3 bg-red-500 text-white font-semibold rounded-xl shadow-md hover:bg-red-600 transition-colors disabled:bg-red-300"
+                    >
+                        Close Voting & View Results
+                    </button>
+                )}
+
+                {sessionData.host === userId && (
+                    <button
+                        onClick={() => setPage('host')}
+                        className="w-full mt-4 py-3 flex items-center justify-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors"
+                    >
+                        <LucideSettings className="h-4 w-4 mr-2" /> Manage Session
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Results Page
+const ResultsPage = ({ sessionData, sessionCode, userId, setPage }) => {
+    const winners = sessionData.winners?.length ? sessionData.winners : [sessionData.winner].filter(Boolean);
+    const nameFor = createNameFor(sessionData.options);
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
+            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl text-center">
+                <button onClick={() => setPage('home')} className="flex items-center text-indigo-600 mb-6 transition-colors hover:text-indigo-800">
+                    <LucideChevronLeft className="h-4 w-4 mr-1" />
+                    Back to Home
+                </button>
+                <h2 className="text-4xl font-bold text-green-700 mb-2">
+                    {winners.length === 0 ? 'No Winner' : winners.length > 1 ? 'The Winners Are...' : 'The Winner Is...'}
+                </h2>
+                <LucideTrophy className="h-24 w-24 text-yellow-500 mx-auto my-6" />
+                {winners.length === 0 ? (
+                    <p className="text-xl text-gray-600 mb-2">No choice was elected.</p>
+                ) : winners.length > 1 ? (
+                    <ol className="mb-2 space-y-2 text-left">
+                        {winners.map((option, index) => (
+                            <li key={option} className="flex items-start">
+                                <span className="text-3xl font-extrabold text-gray-900 mr-3">{index + 1}.</span>
+                                <OptionCard option={findOption(sessionData.options, option)} nameClassName="text-3xl font-extrabold text-gray-900" />
+                            </li>
+                        ))}
+                    </ol>
+                ) : (
+                    <div className="flex justify-center mb-2 text-left">
+                        <OptionCard option={findOption(sessionData.options, winners[0])} nameClassName="text-5xl font-extrabold text-gray-900" />
+                    </div>
+                )}
+                <p className="text-gray-500 mb-6">Decided by {getMethod(sessionData.method).label}</p>
+                {sessionData.tieBreaks?.length > 0 && (
+                    <TieBreakNotice tieBreaks={sessionData.tieBreaks} seed={sessionData.tieBreakSeed} nameFor={nameFor} />
+                )}
+                <div className="bg-gray-100 p-4 rounded-lg inline-block">
+                    <p className="text-sm font-semibold text-gray-500">Session Code</p>
+                    <p className="text-xl font-bold text-gray-700">{sessionCode}</p>
+                </div>
+                {sessionData.host === userId && (
+                    <button
+                        onClick={() => setPage('host')}
+                        className="w-full mt-4 py-3 flex items-center justify-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors"
+                    >
+                        <LucideSettings className="h-4 w-4 mr-2" /> Manage Session
+                    </button>
+                )}
+                <ExportPanel sessionCode={sessionCode} sessionData={sessionData} />
+                <ResultBreakdown rounds={sessionData.rounds} options={optionIds(sessionData.options)} winners={winners} tally={sessionData.tally} nameFor={nameFor} />
+            </div>
+        </div>
+    );
+};
+
+// Rounds, transfers, scores and head-to-head tables for a result, whichever of them the method produced.
+// Results refer to options by id; `nameFor` turns an id into the name to show.
+const ResultBreakdown = ({ rounds, options, winners, tally, nameFor = (option) => option }) => (
+    <>
+        {rounds && rounds.length > 0 && (
+            <div className="mt-8 text-left">
+                <h3 className="text-2xl font-bold text-gray-700 mb-4">How the Result Was Decided</h3>
+                <RoundsTable rounds={rounds} options={options} winners={winners} nameFor={nameFor} />
+                <h4 className="text-lg font-semibold text-gray-700 mt-6 mb-2">Where the Votes Went</h4>
+                <TransferChart rounds={rounds} options={options} nameFor={nameFor} />
+            </div>
+        )}
+        {tally?.scores && (
+            <div className="mt-8 text-left">
+                <h3 className="text-2xl font-bold text-gray-700 mb-4">Final Scores</h3>
+                <ScoresTable scores={tally.scores} ranking={tally.ranking} nameFor={nameFor} />
+            </div>
+        )}
+        {tally?.pairwise && (
+            <div className="mt-8 text-left">
+                <h3 className="text-2xl font-bold text-gray-700 mb-2">Head-to-Head Results</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                    {tally.condorcetWinner
+                        ? `${nameFor(tally.condorcetWinner)} beats every other choice head-to-head.`
+                        : 'No choice beats every other head-to-head, so the cycle was resolved by the counting method.'}
+                </p>
+                <PairwiseTable pairwise={tally.pairwise} ranking={tally.ranking} nameFor={nameFor} />
+            </div>
+        )}
+    </>
+);
+
+// Saves generated text as a file through a temporary object URL
+const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// Downloads for auditing a closed session or recounting it in other software. Secret ballots never reach
+// the browser, so those sessions can only export the aggregate results.
+const ExportPanel = ({ sessionCode, sessionData }) => {
+    const ballotType = getMethod(sessionData.method).ballot;
+    const options = optionIds(sessionData.options);
+    const nameFor = createNameFor(sessionData.options);
+    // The ballots the count used
+    const ballots = wellFormedBallots(ballotType, Object.values(sessionData.votes || {}));
+    const fileName = `rankvote-${sessionCode}`;
+
+    const handleExportResults = () => downloadFile(
+        `${fileName}-results.json`,
+        JSON.stringify(buildResultsDocument(sessionCode, sessionData), null, 2),
+        'application/json'
+    );
+    const handleExportBlt = () => downloadFile(
+        `${fileName}.blt`,
+        toBlt({ title: sessionData.title, options, seats: sessionData.seats || 1, ballots, nameFor }),
+        'text/plain'
+    );
+    const handleExportCsv = () => downloadFile(`${fileName}-ballots.csv`, toCsv({ options, ballots, ballotType, nameFor }), 'text/csv');
+
+    const buttonClassName = 'flex-1 py-2 px-3 flex items-center justify-center bg-gray-100 text-gray-700 text-sm font-semibold rounded-lg hover:bg-gray-200 transition-colors';
+    return (
+        <div className="mt-8 text-left">
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">Export</h3>
+            <div className="flex flex-wrap gap-2">
+                <button onClick={handleExportResults} className={buttonClassName}>
+                    <LucideDownload className="h-4 w-4 mr-2" /> Results (JSON)
+                </button>
+                {!sessionData.secretBallot && ballotType === 'ranked' && (
+                    <button onClick={handleExportBlt} className={buttonClassName}>
+                        <LucideDownload className="h-4 w-4 mr-2" /> Ballots (BLT)
+                    </button>
+                )}
+                {!sessionData.secretBallot && (
+                    <button onClick={handleExportCsv} className={buttonClassName}>
+                        <LucideDownload className="h-4 w-4 mr-2" /> Ballots (CSV)
+                    </button>
+                )}
+            </div>
+            {sessionData.secretBallot && (
+                <p className="text-sm text-gray-500 mt-2">This was a secret ballot, so individual ballots cannot be exported.</p>
+            )}
+        </div>
+    );
+};
+
+// Recounts an uploaded BLT or CSV ballot file with any counting method. Everything happens in the
+// browser with the same tabulation code the sessions use; nothing is uploaded.
+const RecountPage = ({ setPage }) => {
+    const [file, setFile] = useState(null);
+    const [method, setMethod] = useState(DEFAULT_METHOD);
+    const [seats, setSeats] = useState(1);
+    const [tieBreak, setTieBreak] = useState(DEFAULT_TIE_BREAK);
+    const [tieBreakSeed] = useState(generateTieBreakSeed);
+    const [recount, setRecount] = useState(null);
+    const [error, setError] = useState('');
+    const isMultiWinner = !!TABULATION_METHODS[method].multiWinner;
+
+    const handleFileChange = async (e) => {
+        const chosen = e.target.files[0];
+        setRecount(null);
+        setError('');
+        setFile(chosen ? { name: chosen.name, text: await chosen.text() } : null);
+    };
+
+    const handleRecount = (e) => {
+        e.preventDefault();
+        if (!file) return;
+        try {
+            const { title, options, ballots, seats: fileSeats } = parseBallotFile(file.name, file.text, TABULATION_METHODS[method].ballot);
+            if (ballots.length === 0) {
+                setError('The file does not contain any ballots.');
+                return;
+            }
+            const seatCount = isMultiWinner ? seats : 1;
+            const { winner, winners, rounds, tieBreaks, pendingTie, ...tally } = tabulate(method, options, ballots, { seats: seatCount, tieBreak, tieBreakSeed });
+            setRecount({ title, options, ballotCount: ballots.length, fileSeats, winners, rounds, tieBreaks, tally });
+            setError('');
+        } catch (e) {
+            if (!(e instanceof BallotFileError)) console.error("Error recounting ballots: ", e);
+            setRecount(null);
+            setError(e instanceof BallotFileError ? e.message : 'Failed to recount these ballots.');
+        }
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
+            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl">
+                <button onClick={() => setPage('home')} className="flex items-center text-indigo-600 mb-6 transition-colors hover:text-indigo-800">
+                    <LucideChevronLeft className="h-4 w-4 mr-1" />
+                    Back to Home
+                </button>
+                <h2 className="text-3xl font-bold text-indigo-700 mb-2">Recount Ballots</h2>
+                <p className="text-gray-600 mb-6">Upload ballots exported from RankVote or other counting software as BLT or CSV. The file never leaves your browser.</p>
+                <form onSubmit={handleRecount}>
+                    <label htmlFor="recount-file" className="block text-lg font-semibold text-gray-700 mb-2">Ballot file</label>
+                    <input
+                        id="recount-file"
+                        type="file"
+                        accept=".blt,.csv"
+                        onChange={handleFileChange}
+                        className="w-full p-3 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50"
+                    />
+                    <label htmlFor="recount-method" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">Counting method</label>
+                    <select
+                        id="recount-method"
+                        value={method}
+                        onChange={(e) => setMethod(e.target.value)}
+                        className="w-full p-3 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:border-indigo-400 transition-colors"
+                    >
+                        {Object.entries(TABULATION_METHODS).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    <p className="text-sm text-gray-500 mt-2">{TABULATION_METHODS[method].description}</p>
+                    {isMultiWinner && (
+                        <>
+                            <label htmlFor="recount-seats" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">How many winners?</label>
+                            <input
+                                id="recount-seats"
+                                type="number"
+                                min="1"
+                                max="9"
+                                value={seats}
+                                onChange={(e) => setSeats(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 9))}
+                                className="w-full p-3 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400 transition-colors"
+                            />
+                        </>
+                    )}
+                    <label htmlFor="recount-tie-break" className="block text-lg font-semibold text-gray-700 mt-6 mb-2">How should ties be broken?</label>
+                    <select
+                        id="recount-tie-break"
+                        value={tieBreak}
+                        onChange={(e) => setTieBreak(e.target.value)}
+                        className="w-full p-3 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:border-indigo-400 transition-colors"
+                    >
+                        {/* Nobody is hosting a recount, so ties are always broken automatically */}
+                        {Object.entries(TIE_BREAK_POLICIES).filter(([key]) => key !== 'host').map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mt-6">{error}</div>}
+                    <button
+                        type="submit"
+                        disabled={!file}
+                        className="w-full mt-6 py-4 flex items-center justify-center bg-indigo-600 text-white text-lg font-bold rounded-xl shadow-lg hover:bg-indigo-700 transition-colors disabled:bg-indigo-300"
+                    >
+                        <LucideUpload className="h-5 w-5 mr-2" /> Recount
+                    </button>
+                </form>
+
+                {recount && (
+                    <div className="mt-8 text-center">
+                        {recount.title && <p className="text-gray-500">{recount.title}</p>}
+                        <h3 className="text-2xl font-bold text-green-700 mb-2">{recount.winners.length > 1 ? 'Winners' : 'Winner'}</h3>
+                        <p className="text-3xl font-extrabold text-gray-900 mb-2">{recount.winners.join(', ') || 'No winner'}</p>
+                        <p className="text-gray-500 mb-4">
+                            {recount.ballotCount} ballots counted by {TABULATION_METHODS[method].label}
+                            {recount.fileSeats > 1 && !isMultiWinner && ` (the file asks for ${recount.fileSeats} seats)`}
+                        </p>
+                        {recount.tieBreaks.length > 0 && <TieBreakNotice tieBreaks={recount.tieBreaks} seed={tieBreakSeed} />}
+                        <ResultBreakdown rounds={recount.rounds} options={recount.options} winners={recount.winners} tally={recount.tally} />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Flags every tie that had to be broken to reach the result, and how it was resolved
+const TieBreakNotice = ({ tieBreaks, seed, nameFor = (option) => option }) => (
+    <div className="mb-6 p-4 bg-yellow-50 border border-yellow-300 rounded-xl text-left">
+        <p className="flex items-center font-semibold text-yellow-800 mb-2">
+            <LucideAlertTriangle className="h-5 w-5 mr-2" />
+            {tieBreaks.length === 1 ? 'A tie-break was' : `${tieBreaks.length} tie-breaks were`} needed
+        </p>
+        <ul className="space-y-1 text-sm text-yellow-900">
+            {tieBreaks.map((tieBreak, index) => (
+                <li key={index}>
+                    Round {tieBreak.round}: {tieBreak.tied.map(nameFor).join(', ')} were tied; {nameFor(tieBreak.chosen)} was {tieBreak.action} ({TIE_BREAK_POLICIES[tieBreak.policy]?.label}). {tieBreak.reason}
+                </li>
+            ))}
+        </ul>
+        {seed && <p className="mt-2 text-xs text-yellow-700">Random draw seed: <span className="font-mono">{seed}</span></p>}
+    </div>
+);
+
+// Round-by-round table of first-preference counts, elections, eliminations and transfers
+const RoundsTable = ({ rounds, options, winners, nameFor }) => {
+    const lastRound = rounds[rounds.length - 1];
+    const isElected = (round, option) => (round.elected || []).includes(option) || (round === lastRound && !round.elected && winners.includes(option));
+    const describeMoves = (round, option) => {
+        const moved = round.transfers
+            .filter(transfer => transfer.from === option)
+            .map(transfer => `${formatVotes(transfer.count)} to ${transfer.to ? nameFor(transfer.to) : 'exhausted'}`);
+        return moved.length ? ` (${moved.join(', ')})` : '';
+    };
+    const describeRound = (round) => {
+        const events = [
+            ...(round.elected || []).map(option => `${nameFor(option)} elected with ${formatVotes(round.counts[option])} votes${describeMoves(round, option)}`),
+            ...round.eliminated.map(option => `${nameFor(option)} eliminated${describeMoves(round, option)}`),
+        ];
+        if (events.length > 0) return events.join('; ');
+        const continuingVotes = Object.values(round.counts).reduce((sum, count) => sum + count, 0);
+        return `${nameFor(winners[0])} wins with ${formatVotes(round.counts[winners[0]])} of ${formatVotes(continuingVotes)} continuing votes.`;
+    };
+
+    return (
+        <div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm border-collapse">
+                    <thead>
+                        <tr className="border-b-2 border-gray-200">
+                            <th className="py-2 pr-4 text-left font-semibold text-gray-700">Choice</th>
+                            {rounds.map(round => (
+                                <th key={round.round} className="py-2 px-3 text-right font-semibold text-gray-700">Round {round.round}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {options.map(option => (
+                            <tr key={option} className={`border-b border-gray-100 ${winners.includes(option) ? 'bg-green-50' : ''}`}>
+                                <td className="py-2 pr-4 font-medium text-gray-800">{nameFor(option)}</td>
+                                {rounds.map(round => (
+                                    <td
+                                        key={round.round}
+                                        className={`py-2 px-3 text-right ${round.eliminated.includes(option) ? 'text-red-600 line-through' : ''} ${isElected(round, option) ? 'font-bold text-green-700' : ''}`}
+                                    >
+                                        {round.counts[option] === undefined ? '—' : formatVotes(round.counts[option])}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                        <tr className="text-gray-500 italic">
+                            <td className="py-2 pr-4">Exhausted</td>
+                            {rounds.map(round => (
+                                <td key={round.round} className="py-2 px-3 text-right">{formatVotes(round.exhausted)}</td>
+                            ))}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            {rounds[0].quota !== undefined && (
+                <p className="mt-4 text-sm text-gray-600">A choice needs {rounds[0].quota} votes (the Droop quota) to win a seat.</p>
+            )}
+            <ol className="mt-4 space-y-1 text-sm text-gray-600">
+                {rounds.map(round => (
+                    <li key={round.round}>
+                        <span className="font-semibold">Round {round.round}:</span> {describeRound(round)}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+// Shows whole votes as-is and fractional (transferred surplus) votes to two decimal places
+const formatVotes = (votes) => Number.isInteger(votes) ? votes : votes.toFixed(2);
+
+// Total points per choice for score-based methods, highest first
+const ScoresTable = ({ scores, ranking, nameFor }) => (
+    <table className="w-full text-sm border-collapse">
+        <tbody>
+            {ranking.map((option, index) => (
+                <tr key={option} className={`border-b border-gray-100 ${index === 0 ? 'bg-green-50 font-bold text-green-700' : ''}`}>
+                    <td className="py-2 pr-4">{index + 1}. {nameFor(option)}</td>
+                    <td className="py-2 px-3 text-right">{scores[option]}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+// Matrix of how many voters preferred the row choice over the column choice
+const PairwiseTable = ({ pairwise, ranking, nameFor }) => (
+    <div className="overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+            <thead>
+                <tr className="border-b-2 border-gray-200">
+                    <th className="py-2 pr-4 text-left font-semibold text-gray-700">Preferred over →</th>
+                    {ranking.map(option => (
+                        <th key={option} className="py-2 px-3 text-right font-semibold text-gray-700">{nameFor(option)}</th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {ranking.map(row => (
+                    <tr key={row} className="border-b border-gray-100">
+                        <td className="py-2 pr-4 font-medium text-gray-800">{nameFor(row)}</td>
+                        {ranking.map(column => (
+                            <td
+                                key={column}
+                                className={`py-2 px-3 text-right ${row !== column && pairwise[row][column] > pairwise[column][row] ? 'font-bold text-green-700' : ''}`}
+                            >
+                                {row === column ? '—' : pairwise[row][column]}
+                            </td>
+                        ))}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+const CHART_COLORS = ['#6366f1', '#a855f7', '#ec4899', '#f59e0b', '#10b981', '#3b82f6', '#ef4444', '#14b8a6', '#84cc16', '#f97316'];
+const EXHAUSTED_COLOR = '#9ca3af';
+
+// Sankey-style chart of how ballots moved between choices from one round to the next
+const TransferChart = ({ rounds, options, nameFor }) => {
+    const chartHeight = 240;
+    const nodeWidth = 14;
+    const columnGap = 140;
+    const nodePadding = 6;
+    const totalBallots = Object.values(rounds[0].counts).reduce((sum, count) => sum + count, 0) + rounds[0].exhausted;
+    const scale = (chartHeight - nodePadding * options.length) / Math.max(totalBallots, 1);
+    const colorFor = (key) => key === null ? EXHAUSTED_COLOR : CHART_COLORS[options.indexOf(key) % CHART_COLORS.length];
+    const labelFor = (key) => key === null ? 'Exhausted' : nameFor(key);
+
+    // Stack each round's nodes top to bottom: continuing choices in option order, exhausted ballots last
+    const columns = rounds.map((round, index) => {
+        const nodes = new Map();
+        let y = 0;
+        [...options.filter(option => round.counts[option] !== undefined), null].forEach(key => {
+            const value = key === null ? round.exhausted : round.counts[key];
+            if (!value) return;
+            nodes.set(key, { key, value, x: index * columnGap, y, height: value * scale, outOffset: 0, inOffset: 0 });
+            y += value * scale + nodePadding;
+        });
+        return nodes;
+    });
+
+    const links = [];
+    rounds.slice(0, -1).forEach((round, index) => {
+        const targets = columns[index + 1];
+        columns[index].forEach(source => {
+            const flows = source.key !== null && (round.eliminated.includes(source.key) || (round.elected || []).includes(source.key))
+                ? round.transfers.filter(transfer => transfer.from === source.key).map(transfer => ({ to: transfer.to, value: transfer.count }))
+                : [{ to: source.key, value: source.value }];
+            flows.forEach(flow => {
+                const target = targets.get(flow.to);
+                if (!target) return;
+                const thickness = flow.value * scale;
+                links.push({
+                    id: `${index}-${source.key}-${flow.to}`,
+                    color: colorFor(source.key),
+                    x0: source.x + nodeWidth,
+                    y0: source.y + source.outOffset,
+                    x1: target.x,
+                    y1: target.y + target.inOffset,
+                    thickness,
+                    label: `${labelFor(source.key)} → ${labelFor(flow.to)}: ${formatVotes(flow.value)}`,
+                });
+                source.outOffset += thickness;
+                target.inOffset += thickness;
+            });
+        });
+    });
+
+    const bandPath = ({ x0, y0, x1, y1, thickness }) => {
+        const midX = (x0 + x1) / 2;
+        return `M${x0},${y0} C${midX},${y0} ${midX},${y1} ${x1},${y1} L${x1},${y1 + thickness} C${midX},${y1 + thickness} ${midX},${y0 + thickness} ${x0},${y0 + thickness} Z`;
+    };
+    const width = (rounds.length - 1) * columnGap + nodeWidth;
+    const legendKeys = [...options, ...(rounds.some(round => round.exhausted > 0) ? [null] : [])];
+
+    return (
+        <div>
+            <svg viewBox={`0 -20 ${width} ${chartHeight + 20}`} className="w-full" role="img" aria-label="Vote transfers between rounds">
+                {rounds.map((round, index) => (
+                    <text key={round.round} x={index * columnGap + nodeWidth / 2} y={-6} textAnchor="middle" fontSize="10" fill="#4b5563">R{round.round}</text>
+                ))}
+                {links.map(link => (
+                    <path key={link.id} d={bandPath(link)} fill={link.color} fillOpacity="0.35">
+                        <title>{link.label}</title>
+                    </path>
+                ))}
+                {columns.map(nodes => [...nodes.values()].map(node => (
+                    <rect key={`${node.x}-${node.key}`} x={node.x} y={node.y} width={nodeWidth} height={node.height} fill={colorFor(node.key)} rx="2">
+                        <title>{`${labelFor(node.key)}: ${formatVotes(node.value)}`}</title>
+                    </rect>
+                )))}
+            </svg>
+            <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+                {legendKeys.map(key => (
+                    <span key={key ?? 'exhausted'} className="flex items-center">
+                        <span className="inline-block h-3 w-3 rounded-sm mr-1" style={{ backgroundColor: colorFor(key) }} />
+                        {labelFor(key)}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Per-voter invite links for invite-only sessions. Each link admits one person and shows whether it has been used.
+const InvitationsSection = ({ sessionCode, sessionData, repository, setMessage }) => {
+    const [invites, setInvites] = useState([]);
+    const [inviteeName, setInviteeName] = useState('');
+    const [shownInvite, setShownInvite] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeInvites(sessionCode, setInvites, (err) => {
+            console.error("Failed to load invites:", err);
+            setError('Failed to load invites.');
+        });
+        return () => unsubscribe();
+    }, [repository, sessionCode]);
+
+    const handleCreateInvite = async (e) => {
+        e.preventDefault();
+        const name = inviteeName.trim();
+        if (!name) return;
+        const token = generateInviteToken();
+        try {
+            await repository.createInvite(sessionCode, token, name);
+            setInviteeName('');
+            setShownInvite(token);
+            setError('');
+        } catch (e) {
+            console.error("Error creating invite: ", e);
+            setError('Failed to create invite.');
+        }
+    };
+
+    const handleRevokeInvite = async (token) => {
+        try {
+            await repository.deleteInvite(sessionCode, token);
+            setMessage('Invite revoked.');
+        } catch (e) {
+            console.error("Error revoking invite: ", e);
+            setError('Failed to revoke invite.');
+        }
+    };
+
+    const shown = invites.find(invite => invite.token === shownInvite);
+    const sortedInvites = [...invites].sort((a, b) => a.name.localeCompare(b.name));
+
+    return (
+        <section className="mb-8">
+            <h3 className="text-xl font-bold text-gray-700 mb-2">Invitations</h3>
+            <p className="text-sm text-gray-500 mb-3">Only people with a personal invite link can join. Each link works once.</p>
+            {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+            <form onSubmit={handleCreateInvite} className="flex space-x-2 mb-4">
+                <input
+                    type="text"
+                    value={inviteeName}
+                    onChange={(e) => setInviteeName(e.target.value)}
+                    placeholder="Invitee's name"
+                    aria-label="Invitee's name"
+                    maxLength={MAX_NAME_LENGTH}
+                    className="flex-1 p-2 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-indigo-400"
+                />
+                <button type="submit" disabled={!inviteeName.trim()} className="flex items-center py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl hover:bg-indigo-700 disabled:bg-indigo-300">
+                    <LucideMail className="h-4 w-4 mr-2" /> Invite
+                </button>
+            </form>
+            {shown && !shown.claimedBy && (
+                <InvitePanel sessionCode={sessionCode} title={sessionData.title} setMessage={setMessage} invite={shown.token} inviteeName={shown.name} />
+            )}
+            {sortedInvites.length > 0 && (
+                <ul className="space-y-2">
+                    {sortedInvites.map(invite => (
+                        <li key={invite.token} className="flex items-center justify-between bg-gray-100 p-3 rounded-xl">
+                            <span className="text-sm text-gray-700 truncate">{invite.name}</span>
+                            {invite.claimedBy ? (
+                                <span className="text-sm text-gray-500">Joined as {getParticipantName(sessionData, invite.claimedBy)}</span>
+                            ) : (
+                                <div className="flex items-center space-x-2 flex-shrink-0">
+                                    <button onClick={() => setShownInvite(invite.token)} className="py-1 px-3 text-sm bg-indigo-100 text-indigo-700 font-semibold rounded-lg hover:bg-indigo-200">
+                                        Show Link
+                                    </button>
+                                    <button onClick={() => handleRevokeInvite(invite.token)} className="py-1 px-3 text-sm bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200">
+                                        Revoke
+                                    </button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+};
+
+// Host Dashboard: session administration, available only to the session's host
+const HostDashboard = ({ sessionCode, sessionData, repository, userId, setPage, setMessage, handleLeaveSession }) => {
+    const options = sessionData.options || [];
+    // Id of the choice whose details are being edited
+    const [editingOptionId, setEditingOptionId] = useState(null);
+    const [newHost, setNewHost] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const voterIds = getVoterIds(sessionData);
+    const joinedIds = Object.keys(sessionData.participants || {});
+    const rosterIds = [...new Set([...joinedIds, ...voterIds])];
+    const participantIds = rosterIds.filter(id => id !== sessionData.host);
+    // A withdrawn secret ballot still exists (as null), so any `voted` entry freezes the list of choices too.
+    // Ballots refer to choices by id, so their names and details stay editable until voting closes.
+    const canEditOptions = voterIds.length === 0 && Object.keys(sessionData.voted || {}).length === 0 && !sessionData.isVotingClosed;
+    const canEditOptionDetails = !sessionData.isVotingClosed;
+    const phase = sessionPhase(sessionData);
+
+    // Runs a host-only update and reports failures on the dashboard
+    const runHostAction = async (action, successMessage, failureMessage) => {
+        if (sessionData.host !== userId) {
+            setError('Only the host can manage this session.');
+            return false;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await action();
+            if (successMessage) setMessage(successMessage);
+            return true;
+        } catch (e) {
+            console.error(`${failureMessage}: `, e);
+            setError(`${failureMessage}.`);
+            return false;
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSaveOptions = (newOptions) =>
+        runHostAction(() => repository.updateSession(sessionCode, { options: newOptions }), 'Choices updated.', 'Failed to update choices');
+
+    const handleEditOption = async (fields) => {
+        if (exceedsImageBudget(options, fields.imageUrl, editingOptionId)) {
+            setError('There is no room left for uploaded pictures in this session. Link to the picture instead.');
+            return false;
+        }
+        const saved = await handleSaveOptions(options.map(option => option.id === editingOptionId ? updateOption(option, fields) : option));
+        if (saved) setEditingOptionId(null);
+        return saved;
+    };
+
+    const handleMoveOption = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= options.length) return;
+        const newOptions = [...options];
+        [newOptions[index], newOptions[target]] = [newOptions[target], newOptions[index]];
+        handleSaveOptions(newOptions);
+    };
+
+    const handleStartVoting = () => {
+        const problem = whyVotingCannotStart(sessionData);
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        if (!confirmSkippingSuggestions(sessionData)) return;
+        runHostAction(() => repository.updateSession(sessionCode, { phase: 'voting' }), 'Voting has started.', 'Failed to start voting');
+    };
+
+    const handleCollectSuggestions = () => runHostAction(
+        () => repository.updateSession(sessionCode, { phase: 'collecting' }),
+        'Participants can now suggest choices.',
+        'Failed to reopen suggestions'
+    );
+
+    const handleReopenVoting = () => runHostAction(() => repository.reopenVoting(sessionCode), 'Voting reopened.', 'Failed to reopen voting');
+
+    const handleRemoveBallot = (voterId) => runHostAction(() => repository.removeBallot(sessionCode, voterId), 'Ballot removed.', 'Failed to remove ballot');
+
+    const handleToggleLock = () => runHostAction(
+        () => repository.updateSession(sessionCode, { isLocked: !sessionData.isLocked }),
+        sessionData.isLocked ? 'Session unlocked.' : 'Session locked to new participants.',
+        'Failed to change the session lock'
+    );
+
+    const handleTransferHost = async () => {
+        if (!newHost || !window.confirm('Transfer host rights? You will no longer be able to manage this session.')) return;
+        const transferred = await runHostAction(() => repository.updateSession(sessionCode, { host: newHost }), 'Host rights transferred.', 'Failed to transfer host rights');
+        if (transferred) setPage('vote');
+    };
+
+    const handleDeleteSession = async () => {
+        if (!window.confirm('Delete this session and all of its ballots? This cannot be undone.')) return;
+        const deleted = await runHostAction(() => repository.deleteSession(sessionCode), 'Session deleted.', 'Failed to delete session');
+        if (deleted) handleLeaveSession();
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-6 bg-gray-50">
+            <div className="w-full max-w-xl bg-white p-8 rounded-2xl shadow-xl">
+                <button onClick={() => setPage(sessionData.isVotingClosed ? 'results' : 'vote')} className="flex items-center text-indigo-600 mb-6 transition-colors hover:text-indigo-800">
+                    <LucideChevronLeft className="h-4 w-4 mr-1" />
+                    Back to Session
+                </button>
+                <h2 className="text-3xl font-bold text-indigo-700 mb-2">Manage Session</h2>
+                <p className="text-gray-600 mb-6">{sessionData.title} · <span className="font-mono font-semibold">{sessionCode}</span></p>
+
+                <PhaseSteps sessionData={sessionData} />
+
+                {error && <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4">{error}</div>}
+
+                {sessionData.access === 'invite' ? (
+                    <InvitationsSection sessionCode={sessionCode} sessionData={sessionData} repository={repository} setMessage={setMessage} />
+                ) : (
+                    <InvitePanel sessionCode={sessionCode} title={sessionData.title} setMessage={setMessage} />
+                )}
+
+                {phase === 'collecting' && (
+                    <SuggestionReview sessionCode={sessionCode} sessionData={sessionData} repository={repository} setMessage={setMessage} />
+                )}
+
+                <section className="mb-8">
+                    <h3 className="text-xl font-bold text-gray-700 mb-2">Choices</h3>
+                    {!canEditOptionDetails ? (
+                        <p className="text-sm text-gray-500 mb-3">Choices cannot be changed once voting has closed.</p>
+                    ) : !canEditOptions && (
+                        <p className="text-sm text-gray-500 mb-3">Choices can only be added, removed or reordered before anyone has voted, but you can still correct their names and details.</p>
+                    )}
+                    <ul className="space-y-2">
+                        {options.map((option, index) => (
+                            <li key={option.id} className="bg-gray-100 p-3 rounded-xl">
+                                {editingOptionId === option.id ? (
+                                    <OptionForm initial={option} submitLabel="Save" onSubmit={handleEditOption} onCancel={() => setEditingOptionId(null)} disabled={isSubmitting} />
+                                ) : (
+                                    <div className="flex items-center space-x-2">
+                                        <OptionCard option={option} className="flex-grow" nameClassName="text-gray-800 font-medium" />
+                                        <button onClick={() => setEditingOptionId(option.id)} disabled={!canEditOptionDetails || isSubmitting} aria-label={`Edit ${option.name}`} className="p-2 bg-indigo-100 rounded-full hover:bg-indigo-200 disabled:opacity-50">
+                                            <LucidePencil className="h-4 w-4 text-indigo-700" />
+                                        </button>
+                                        <button onClick={() => handleMoveOption(index, -1)} disabled={!canEditOptions || isSubmitting || index === 0} aria-label={`Move ${option.name} up`} className="p-2 bg-indigo-100 rounded-full hover:bg-indigo-200 disabled:opacity-50">
+                                            <LucideArrowUp className="h-4 w-4 text-indigo-700" />
+                                        </button>
+                                        <button onClick={() => handleMoveOption(index, 1)} disabled={!canEditOptions || isSubmitting || index === options.length - 1} aria-label={`Move ${option.name} down`} className="p-2 bg-indigo-100 rounded-full hover:bg-indigo-200 disabled:opacity-50">
+                                            <LucideArrowDown className="h-4 w-4 text-indigo-700" />
+                                        </button>
+                                        <button onClick={() => handleSaveOptions(options.filter(other => other.id !== option.id))} disabled={!canEditOptions || isSubmitting} aria-label={`Remove ${option.name}`} className="p-2 bg-red-100 rounded-full hover:bg-red-200 disabled:opacity-50">
+                                            <LucideTrash2 className="h-4 w-4 text-red-600" />
+                                        </button>
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                {/* Shows who has joined and voted, not what anyone's ballot says. Only secret ballots keep that private:
+                    otherwise each ballot is stored on the session under its voter, where everyone in it can read it */}
+                <section className="mb-8">
+                    <h3 className="text-xl font-bold text-gray-700 mb-2">
+                        Participants ({joinedIds.length}/{sessionData.maxParticipants || DEFAULT_MAX_PARTICIPANTS}) · {voterIds.length} voted
+                    </h3>
+                    {!sessionData.secretBallot && (
+                        <p className="text-sm text-gray-500 mb-3">Ballots in this session are not secret, so anyone in it could look up how each person voted.</p>
+                    )}
+                    {rosterIds.length === 0 ? (
+                        <p className="text-sm text-gray-500">Nobody has joined yet.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {rosterIds.map(id => (
+                                <li key={id} className="flex items-center justify-between bg-gray-100 p-3 rounded-xl">
+                                    <span className="text-sm text-gray-700 truncate">
+                                        {getParticipantName(sessionData, id)}{id === userId && ' (you)'}
+                                    </span>
+                                    <div className="flex items-center flex-shrink-0">
+                                        {voterIds.includes(id) ? (
+                                            <span className="flex items-center text-sm font-semibold text-green-700">
+                                                <LucideCheck className="h-4 w-4 mr-1" /> Voted
+                                            </span>
+                                        ) : (
+                                            <span className="text-sm text-gray-500">Not voted yet</span>
+                                        )}
+                                        {sessionData.votes?.[id] && !sessionData.secretBallot && (
+                                            <button
+                                                onClick={() => handleRemoveBallot(id)}
+                                                disabled={isSubmitting || sessionData.isVotingClosed}
+                                                className="ml-3 py-1 px-3 text-sm bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200 disabled:opacity-50"
+                                            >
+                                                Remove Ballot
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+
+                <section className="mb-8 space-y-3">
+                    <h3 className="text-xl font-bold text-gray-700">Voting</h3>
+                    {phase === 'collecting' && (
+                        <button onClick={handleStartVoting} disabled={isSubmitting} className="w-full py-3 flex items-center justify-center bg-green-500 text-white font-semibold rounded-xl shadow-md hover:bg-green-600 transition-colors disabled:bg-green-300">
+                            <LucidePlay className="h-4 w-4 mr-2" /> Start Voting
+                        </button>
+                    )}
+                    {canReturnToCollecting(sessionData) && (
+                        <button onClick={handleCollectSuggestions} disabled={isSubmitting} className="w-full py-3 flex items-center justify-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors disabled:opacity-50">
+                            <LucideRotateCcw className="h-4 w-4 mr-2" /> Let Participants Suggest Choices
+                        </button>
+                    )}
+                    <button onClick={() => setPage('present')} className="w-full py-3 flex items-center justify-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors">
+                        <LucideMonitor className="h-4 w-4 mr-2" /> Open Presenter View
+                    </button>
+                    {sessionData.isVotingClosed && (
+                        <button onClick={handleReopenVoting} disabled={isSubmitting} className="w-full py-3 flex items-center justify-center bg-indigo-600 text-white font-semibold rounded-xl shadow-md hover:bg-indigo-700 transition-colors disabled:bg-indigo-300">
+                            <LucideRotateCcw className="h-4 w-4 mr-2" /> Reopen Voting
+                        </button>
+                    )}
+                    <button onClick={handleToggleLock} disabled={isSubmitting} className="w-full py-3 flex items-center justify-center bg-gray-100 text-gray-700 font-semibold rounded-xl hover:bg-gray-200 transition-colors disabled:opacity-50">
+                        {sessionData.isLocked
+                            ? <><LucideUnlock className="h-4 w-4 mr-2" /> Unlock Session to New Participants</>
+                            : <><LucideLock className="h-4 w-4 mr-2" /> Lock Session Against New Participants</>}
+                    </button>
+                </section>
+
+                <section className="mb-8">
+                    <h3 className="text-xl font-bold text-gray-700 mb-2">Transfer Host Rights</h3>
+                    {participantIds.length === 0 ? (
+                        <p className="text-sm text-gray-500">Nobody else has joined this session yet.</p>
+                    ) : (
+                        <div className="flex space-x-2">
+                            <select
+                                value={newHost}
+                                onChange={(e) => setNewHost(e.target.value)}
+                                aria-label="New host"
+                                className="flex-1 p-2 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:border-indigo-400"
+                            >
+                                <option value="">Choose a participant</option>
+                                {participantIds.map(id => (
+                                    <option key={id} value={id}>{getParticipantName(sessionData, id)}</option>
+                                ))}
+                            </select>
+                            <button onClick={handleTransferHost} disabled={isSubmitting || !newHost} className="flex items-center py-2 px-4 bg-indigo-600 text-white font-semibold rounded-xl hover:bg-indigo-700 disabled:bg-indigo-300">
+                                <LucideCrown className="h-4 w-4 mr-2" /> Transfer
+                            </button>
+                        </div>
+                    )}
+                </section>
+
+                <section>
+                    <h3 className="text-xl font-bold text-red-700 mb-2">Danger Zone</h3>
+                    <button onClick={handleDeleteSession} disabled={isSubmitting} className="w-full py-3 flex items-center justify-center bg-red-500 text-white font-semibold rounded-xl shadow-md hover:bg-red-600 transition-colors disabled:bg-red-300">
+                        <LucideTrash2 className="h-4 w-4 mr-2" /> Delete Session
+                    </button>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+// How long each round of the closing reveal stays on screen
+const REVEAL_STEP_MS = 3000;
+
+// Horizontal vote bars for the presenter view, sized against `total` and coloured like the transfer chart
+const PresenterBars = ({ entries, options, total, nameFor }) => (
+    <ul className="space-y-4">
+        {entries.map(({ option, votes, status }) => (
+            <li key={option} className={`transition-opacity duration-700 ${status === 'eliminated' ? 'opacity-40' : ''}`}>
+                <div className="flex items-baseline justify-between text-2xl mb-1">
+                    <span className={`font-semibold ${status === 'elected' ? 'text-green-400' : ''}`}>
+                        {status === 'elected' && <LucideTrophy className="inline h-6 w-6 mr-2 text-yellow-400" />}
+                        {nameFor(option)}
+                        {status === 'eliminated' && <span className="ml-3 text-lg text-red-400">Eliminated</span>}
+                    </span>
+                    <span className="font-mono">{formatVotes(votes)}</span>
+                </div>
+                <div className="h-8 bg-gray-800 rounded-lg overflow-hidden">
+                    <div
+                        className="h-full rounded-lg transition-all duration-700"
+                        style={{ width: `${total ? (votes / total) * 100 : 0}%`, backgroundColor: CHART_COLORS[options.indexOf(option) % CHART_COLORS.length] }}
+                    />
+                </div>
+            </li>
+        ))}
+    </ul>
+);
+
+// Full-screen view for showing a session on a projector. While voting is open it follows the session
+// listener with turnout, current standings and (when the host chooses) a provisional result; once voting
+// closes it reveals the count one round at a time.
+const PresenterView = ({ sessionCode, sessionData, setPage }) => {
+    const ballotType = getMethod(sessionData.method).ballot;
+    const options = optionIds(sessionData.options);
+    const nameFor = createNameFor(sessionData.options);
+    const voterIds = getVoterIds(sessionData);
+    const expectedVoters = Math.max(Object.keys(sessionData.participants || {}).length, voterIds.length);
+    const rounds = sessionData.rounds || [];
+    const winners = sessionData.winners?.length ? sessionData.winners : [sessionData.winner].filter(Boolean);
+    const [showProjection, setShowProjection] = useState(false);
+    const [isFullscreen, setIsFullscreen] = useState(!!document.fullscreenElement);
+    // Rounds shown so far in the closing reveal; the winners appear once every round has been
+    const [revealStep, setRevealStep] = useState(0);
+    const isRevealDone = revealStep > rounds.length;
+
+    useEffect(() => {
+        const handleChange = () => setIsFullscreen(!!document.fullscreenElement);
+        document.addEventListener('fullscreenchange', handleChange);
+        return () => document.removeEventListener('fullscreenchange', handleChange);
+    }, []);
+
+    useEffect(() => {
+        if (!sessionData.isVotingClosed) {
+            setRevealStep(0);
+            return;
+        }
+        if (isRevealDone) return;
+        const timer = setTimeout(() => setRevealStep(step => step + 1), REVEAL_STEP_MS);
+        return () => clearTimeout(timer);
+    }, [sessionData.isVotingClosed, isRevealDone, revealStep]);
+
+    const handleToggleFullscreen = () => {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.documentElement.requestFullscreen().catch(e => console.error("Error entering full screen: ", e));
+        }
+    };
+
+    // Secret ballots never reach the browser, so those sessions only show turnout until the count
+    const ballots = sessionData.secretBallot ? null : wellFormedBallots(ballotType, Object.values(sessionData.votes || {}));
+    const standings = ballots && currentStandings(options, ballots, ballotType);
+    const projection = showProjection && ballots?.length > 0 && tabulate(sessionData.method, options, ballots, {
+        seats: sessionData.seats || 1,
+        tieBreak: sessionData.tieBreak,
+        tieBreakSeed: sessionData.tieBreakSeed,
+        tieBreakDecisions: sessionData.tieBreakDecisions || [],
+    });
+
+    const renderReveal = () => {
+        const round = rounds[Math.min(revealStep, rounds.length) - 1];
+        if (!round) {
+            return <p className="text-4xl text-center text-gray-400 animate-pulse">Counting the votes...</p>;
+        }
+        const total = Object.values(rounds[0].counts).reduce((sum, count) => sum + count, 0) + rounds[0].exhausted;
+        const isLastRound = round === rounds[rounds.length - 1];
+        const statusOf = (option) => {
+            if ((round.elected || []).includes(option) || (isLastRound && isRevealDone && winners.includes(option))) return 'elected';
+            return round.eliminated.includes(option) ? 'eliminated' : null;
+        };
+        return (
+            <>
+                <h3 className="text-3xl font-bold text-gray-300 mb-6">Round {round.round} of {rounds.length}</h3>
+                <PresenterBars
+                    entries={Object.keys(round.counts)
+                        .sort((a, b) => round.counts[b] - round.counts[a])
+                        .map(option => ({ option, votes: round.counts[option], status: statusOf(option) }))}
+                    options={options}
+                    total={total}
+                    nameFor={nameFor}
+                />
+                {round.exhausted > 0 && <p className="mt-4 text-xl text-gray-400">Exhausted ballots: {formatVotes(round.exhausted)}</p>}
+            </>
+        );
+    };
+
+    return (
+        <div className="min-h-screen p-10 bg-gray-900 text-white">
+            <div className="flex items-center justify-between mb-10">
+                <button onClick={() => setPage('host')} className="flex items-center text-gray-400 transition-colors hover:text-white">
+                    <LucideChevronLeft className="h-4 w-4 mr-1" />
+                    Back to Manage Session
+                </button>
+                <div className="flex space-x-3">
+                    {!sessionData.isVotingClosed && !sessionData.secretBallot && (
+                        <button onClick={() => setShowProjection(!showProjection)} className="flex items-center py-2 px-4 bg-gray-800 rounded-xl hover:bg-gray-700 transition-colors">
+                            {showProjection
+                                ? <><LucideEyeOff className="h-4 w-4 mr-2" /> Hide Projection</>
+                                : <><LucideEye className="h-4 w-4 mr-2" /> Show Projection</>}
+                        </button>
+                    )}
+                    {sessionData.isVotingClosed && rounds.length > 0 && isRevealDone && (
+                        <button onClick={() => setRevealStep(0)} className="flex items-center py-2 px-4 bg-gray-800 rounded-xl hover:bg-gray-700 transition-colors">
+                            <LucidePlay className="h-4 w-4 mr-2" /> Replay Reveal
+                        </button>
+                    )}
+                    <button onClick={handleToggleFullscreen} className="flex items-center py-2 px-4 bg-gray-800 rounded-xl hover:bg-gray-700 transition-colors">
+                        {isFullscreen
+                            ? <><LucideMinimize className="h-4 w-4 mr-2" /> Exit Full Screen</>
+                            : <><LucideMaximize className="h-4 w-4 mr-2" /> Full Screen</>}
+                    </button>
+                </div>
+            </div>
+
+            <div className="max-w-5xl mx-auto">
+                <div className="flex items-end justify-between mb-10">
+                    <div>
+                        <h2 className="text-5xl font-extrabold mb-2">{sessionData.title}</h2>
+                        <p className="text-2xl text-gray-400">{getMethod(sessionData.method).label} · Code <span className="font-mono font-bold text-white">{sessionCode}</span></p>
+                    </div>
+                    <div className="text-right">
+                        <p className="text-6xl font-extrabold">{voterIds.length}<span className="text-3xl text-gray-400"> / {expectedVoters}</span></p>
+                        <p className="text-xl text-gray-400">voted</p>
+                    </div>
+                </div>
+
+                {sessionData.isVotingClosed ? (
+                    <section>
+                        {rounds.length > 0 && renderReveal()}
+                        {rounds.length === 0 && sessionData.tally?.scores && (
+                            <PresenterBars
+                                entries={sessionData.tally.ranking.map(option => ({ option, votes: sessionData.tally.scores[option], status: winners.includes(option) ? 'elected' : null }))}
+                                options={options}
+                                total={Math.max(...Object.values(sessionData.tally.scores))}
+                                nameFor={nameFor}
+                            />
+                        )}
+                        {(isRevealDone || rounds.length === 0) && winners.length > 0 && (
+                            <div className="mt-12 text-center">
+                                <p className="text-3xl text-gray-400 mb-4">{winners.length > 1 ? 'The Winners Are' : 'The Winner Is'}</p>
+                                <p className="text-7xl font-extrabold text-green-400">{winners.map(nameFor).join(', ')}</p>
+                            </div>
+                        )}
+                    </section>
+                ) : (
+                    <section>
+                        {!standings ? (
+                            <p className="text-3xl text-center text-gray-400">This is a secret ballot, so results appear once voting closes.</p>
+                        ) : (
+                            <>
+                                <h3 className="text-3xl font-bold text-gray-300 mb-6">
+                                    {ballotType === 'ranked' ? 'First Preferences' : ballotType === 'approval' ? 'Approvals' : 'Points'} So Far
+                                </h3>
+                                <PresenterBars
+                                    entries={standings}
+                                    options={options}
+                                    total={ballotType === 'score' ? ballots.length * MAX_SCORE : ballots.length}
+                                    nameFor={nameFor}
+                                />
+                            </>
+                        )}
+                        {projection && (
+                            <div className="mt-12 p-6 bg-gray-800 rounded-2xl text-center">
+                                <p className="text-xl text-gray-400 mb-2">Provisional result if voting closed now</p>
+                                <p className="text-5xl font-extrabold text-yellow-300">
+                                    {projection.pendingTie ? 'A tie the host would decide' : projection.winners.map(nameFor).join(', ') || 'No winner yet'}
+                                </p>
+                            </div>
+                        )}
+                    </section>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Simple Loading Screen
+const LoadingScreen = ({ message }) => (
+    <div className="flex flex-col items-center justify-center h-screen bg-gray-100">
+        <LucideLoader2 className="animate-spin text-indigo-600 h-10 w-10" />
+        <p className="ml-4 text-lg text-gray-700 mt-4">{message}</p>
+    </div>
+);
 
 export default App;
@@ -0,0 +1,154 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { EmailAuthProvider, GoogleAuthProvider, isSignInWithEmailLink, linkWithCredential, linkWithPopup, sendSignInLinkToEmail, signInAnonymously, signInWithCredential, signInWithEmailLink, signInWithPopup, signOut } from 'firebase/auth';
+
+// Sign-in only exists with a Firebase project, so these tests give the app a configuration and stand in for
+// Firebase Auth with a guest account that the mocks below upgrade, link or replace
+
+const EMAIL_FOR_SIGN_IN_KEY = 'rankvote:emailForSignIn';
+
+const mockAuth = { currentUser: null, authStateReady: () => Promise.resolve() };
+let mockAuthListener = null;
+// Signs a user in (or out, with null) the way Firebase does: currentUser changes and listeners hear of it
+const mockSetUser = (user) => {
+    mockAuth.currentUser = user;
+    mockAuthListener?.(user);
+};
+
+jest.mock('firebase/app', () => ({ initializeApp: () => ({}) }));
+jest.mock('firebase/firestore', () => ({
+    initializeFirestore: () => ({}),
+    persistentLocalCache: () => ({}),
+    persistentMultipleTabManager: () => ({}),
+    connectFirestoreEmulator: () => {},
+    collection: () => ({}),
+}));
+jest.mock('firebase/functions', () => ({ getFunctions: () => ({}), connectFunctionsEmulator: () => {} }));
+jest.mock('firebase/auth', () => ({
+    getAuth: () => mockAuth,
+    connectAuthEmulator: jest.fn(),
+    signInWithCustomToken: jest.fn(),
+    signInAnonymously: jest.fn(),
+    onAuthStateChanged: (auth, listener) => {
+        mockAuthListener = listener;
+        listener(auth.currentUser);
+        return () => { mockAuthListener = null; };
+    },
+    signOut: jest.fn(),
+    GoogleAuthProvider: Object.assign(jest.fn(), { credentialFromError: jest.fn() }),
+    EmailAuthProvider: { credentialWithLink: jest.fn() },
+    signInWithPopup: jest.fn(),
+    linkWithPopup: jest.fn(),
+    signInWithCredential: jest.fn(),
+    linkWithCredential: jest.fn(),
+    sendSignInLinkToEmail: jest.fn(),
+    isSignInWithEmailLink: jest.fn(),
+    signInWithEmailLink: jest.fn(),
+}));
+
+// App reads the Firebase configuration as it loads, so it is required once the configuration is in place
+global.__firebase_config = JSON.stringify({ projectId: 'rankvote-test' });
+const { default: App } = require('./App');
+
+const guest = { uid: 'guest-1', isAnonymous: true, providerData: [] };
+
+// The upgraded account keeps the guest's uid, as linking does
+const upgraded = (fields) => ({ ...guest, isAnonymous: false, ...fields });
+
+// The test setup resets every mock between tests, so their default behaviour is set here
+beforeEach(() => {
+    signInAnonymously.mockImplementation(async () => mockSetUser(guest));
+    signOut.mockImplementation(async () => mockSetUser(null));
+    GoogleAuthProvider.credentialFromError.mockReturnValue('google-credential');
+    EmailAuthProvider.credentialWithLink.mockReturnValue('email-credential');
+    sendSignInLinkToEmail.mockResolvedValue();
+    isSignInWithEmailLink.mockReturnValue(false);
+    mockAuth.currentUser = null;
+    localStorage.clear();
+    window.location.hash = '';
+});
+
+test('a guest signs in with Google and keeps their uid', async () => {
+    linkWithPopup.mockImplementation(async () => {
+        mockSetUser(upgraded({ displayName: 'Vera' }));
+        return { user: mockAuth.currentUser };
+    });
+    render(<App />);
+
+    userEvent.click(await screen.findByRole('button', { name: 'Sign In' }));
+    userEvent.click(screen.getByRole('button', { name: 'Continue with Google' }));
+
+    expect(await screen.findByText('Signed in.')).toBeInTheDocument();
+    expect(screen.getByText('Vera')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign Out' })).toBeInTheDocument();
+    expect(linkWithPopup).toHaveBeenCalledWith(guest, expect.any(GoogleAuthProvider));
+    expect(signInWithPopup).not.toHaveBeenCalled();
+});
+
+test('a Google account that is already registered replaces the guest only once confirmed', async () => {
+    linkWithPopup.mockRejectedValue({ code: 'auth/credential-already-in-use' });
+    signInWithCredential.mockImplementation(async () => {
+        mockSetUser({ uid: 'google-1', isAnonymous: false, displayName: 'Vera', providerData: [] });
+        return { user: mockAuth.currentUser };
+    });
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    render(<App />);
+
+    userEvent.click(await screen.findByRole('button', { name: 'Sign In' }));
+    userEvent.click(screen.getByRole('button', { name: 'Continue with Google' }));
+    await waitFor(() => expect(confirm).toHaveBeenCalledTimes(1));
+    // Backing out leaves the dialog open and the guest signed in
+    expect(signInWithCredential).not.toHaveBeenCalled();
+    expect(await screen.findByRole('button', { name: 'Continue with Google' })).toBeEnabled();
+
+    userEvent.click(screen.getByRole('button', { name: 'Continue with Google' }));
+    expect(await screen.findByText('Signed in.')).toBeInTheDocument();
+    expect(signInWithCredential).toHaveBeenCalledWith(mockAuth, 'google-credential');
+    expect(screen.getByText('Vera')).toBeInTheDocument();
+    confirm.mockRestore();
+});
+
+test('a guest asks for a sign-in link by email', async () => {
+    render(<App />);
+
+    userEvent.click(await screen.findByRole('button', { name: 'Sign In' }));
+    userEvent.type(screen.getByLabelText('Or get a sign-in link by email'), ' vera@example.com ');
+    userEvent.click(screen.getByRole('button', { name: 'Email Me a Link' }));
+
+    expect(await screen.findByText('Sign-in link sent to vera@example.com.')).toBeInTheDocument();
+    expect(sendSignInLinkToEmail).toHaveBeenCalledWith(mockAuth, 'vera@example.com', expect.objectContaining({ handleCodeInApp: true }));
+    expect(localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY)).toBe('vera@example.com');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('opening the emailed link upgrades the guest who asked for it', async () => {
+    mockAuth.currentUser = guest;
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, 'vera@example.com');
+    isSignInWithEmailLink.mockReturnValue(true);
+    linkWithCredential.mockImplementation(async () => {
+        mockSetUser(upgraded({ email: 'vera@example.com' }));
+        return { user: mockAuth.currentUser };
+    });
+    render(<App />);
+
+    expect(await screen.findByText('vera@example.com')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign Out' })).toBeInTheDocument();
+    expect(EmailAuthProvider.credentialWithLink).toHaveBeenCalledWith('vera@example.com', window.location.href);
+    expect(linkWithCredential).toHaveBeenCalledWith(guest, 'email-credential');
+    expect(signInWithEmailLink).not.toHaveBeenCalled();
+    expect(localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY)).toBeNull();
+});
+
+test('an expired sign-in link leaves the guest signed in and says why', async () => {
+    mockAuth.currentUser = guest;
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, 'vera@example.com');
+    isSignInWithEmailLink.mockReturnValue(true);
+    linkWithCredential.mockRejectedValue({ code: 'auth/invalid-action-code' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    render(<App />);
+
+    expect(await screen.findByText('That sign-in link has expired or was already used. Please request a new one.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign In' })).toBeInTheDocument();
+    expect(signInWithEmailLink).not.toHaveBeenCalled();
+    console.error.mockRestore();
+});
@@ -1,8 +1,516 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { createLocalRepository } from './sessions';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// With no Firebase configuration the app runs on the local backend in jsdom's localStorage, so these tests
+// go through the real pages and the same closing code the Cloud Functions use
+
+const LOCAL_SESSIONS_KEY = 'rankvote:localSessions';
+
+const seedSession = (sessionCode, overrides = {}) => createLocalRepository({ storage: window.localStorage, channel: null }).createSession(sessionCode, {
+    title: 'Team lunch',
+    method: 'irv',
+    seats: 1,
+    tieBreak: 'backwards',
+    tieBreakSeed: 'seed',
+    opensAt: null,
+    closesAt: null,
+    access: 'open',
+    maxParticipants: 10,
+    secretBallot: false,
+    voted: {},
+    options: ['Tacos', 'Ramen'],
+    votes: {},
+    ballotUpdatedAt: {},
+    participants: {},
+    host: 'someone-else',
+    isLocked: false,
+    isVotingClosed: false,
+    winner: null,
+    winners: [],
+    ...overrides,
+});
+
+// Clicks a button that moves to another page and waits for the URL to follow, as a person would before
+// doing anything else on the new page
+const clickAndRoute = async (button) => {
+    let routed = false;
+    window.addEventListener('hashchange', () => { routed = true; }, { once: true });
+    userEvent.click(button);
+    await waitFor(() => expect(routed).toBe(true));
+};
+
+beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    window.location.hash = '';
+});
+
+test('a host creates a session, adds choices, votes, closes and sees the winner', async () => {
+    render(<App />);
+
+    await clickAndRoute(await screen.findByRole('button', { name: 'Get Started' }));
+    userEvent.type(screen.getByLabelText('What are you deciding?'), 'Team lunch');
+    await clickAndRoute(screen.getByRole('button', { name: 'Create Session' }));
+
+    const optionInput = await screen.findByPlaceholderText('e.g., Mexican');
+    for (const option of ['Tacos', 'Ramen', 'Salad']) {
+        userEvent.type(optionInput, option);
+        userEvent.click(screen.getByRole('button', { name: /Add Choice/ }));
+        expect(await screen.findByText(option)).toBeInTheDocument();
+    }
+    await clickAndRoute(screen.getByRole('button', { name: 'Start Voting' }));
+
+    userEvent.click(await screen.findByRole('button', { name: 'Submit My Rankings' }));
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: 'Close Voting & View Results' }));
+
+    expect(await screen.findByText('The Winner Is...')).toBeInTheDocument();
+    // Choices are ranked in the order they were added until the voter reorders them
+    expect(screen.getByText(/Tacos wins with 1 of 1 continuing votes/)).toBeInTheDocument();
+    const stored = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    const [session] = Object.values(stored.sessions);
+    expect(session.options.map(option => option.name)).toEqual(['Tacos', 'Ramen', 'Salad']);
+    expect(session).toMatchObject({ isVotingClosed: true, winners: [session.options[0].id] });
+});
+
+test('a participant joins by code under a display name and casts a ballot', async () => {
+    await seedSession('XK4P9Q');
+    render(<App />);
+
+    await clickAndRoute(await screen.findByRole('button', { name: 'Join Now' }));
+    userEvent.type(screen.getByLabelText('Session Code'), 'xk4p9q');
+    userEvent.type(screen.getByLabelText('Your Name'), 'Vera');
+    userEvent.click(screen.getByRole('button', { name: 'Join Session' }));
+
+    userEvent.click(await screen.findByRole('button', { name: 'Submit My Rankings' }));
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+
+    const { sessions } = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    const [[voterId, participant]] = Object.entries(sessions.XK4P9Q.participants);
+    expect(participant.name).toBe('Vera');
+    expect(sessions.XK4P9Q.votes[voterId]).toEqual(['Tacos', 'Ramen']);
+});
+
+test('ballots show each choice with its details and record choices by id', async () => {
+    await seedSession('XK4P9Q', {
+        options: [
+            { id: 'o1', name: 'Tacos', description: 'Street tacos on 5th', link: 'https://example.com/tacos', tags: ['cheap', 'spicy'] },
+            { id: 'o2', name: 'Tacos', description: 'The other taco place' },
+        ],
+    });
+    render(<App />);
+
+    await clickAndRoute(await screen.findByRole('button', { name: 'Join Now' }));
+    userEvent.type(screen.getByLabelText('Session Code'), 'XK4P9Q');
+    userEvent.type(screen.getByLabelText('Your Name'), 'Vera');
+    userEvent.click(screen.getByRole('button', { name: 'Join Session' }));
+
+    expect(await screen.findByText('Street tacos on 5th')).toBeInTheDocument();
+    expect(screen.getByText('The other taco place')).toBeInTheDocument();
+    expect(screen.getByText('spicy')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'More info' })).toHaveAttribute('href', 'https://example.com/tacos');
+
+    userEvent.click(screen.getAllByRole('button', { name: 'Move Tacos down' })[0]);
+    userEvent.click(screen.getByRole('button', { name: 'Submit My Rankings' }));
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+
+    const { sessions } = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    expect(Object.values(sessions.XK4P9Q.votes)).toEqual([['o2', 'o1']]);
+});
+
+test('a choice picked up with the keyboard moves with the arrow keys and drops where it is left', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'vera');
+    await seedSession('XK4P9Q', { options: ['Tacos', 'Ramen', 'Salad'], participants: { vera: { name: 'Vera' } } });
+    window.location.hash = '#/s/XK4P9Q/vote';
+    render(<App />);
+
+    (await screen.findByRole('button', { name: 'Salad, position 3 of 3' })).focus();
+    userEvent.keyboard(' ');
+    userEvent.keyboard('{arrowup}{arrowup}');
+    expect(screen.getByText('Salad moved to position 1 of 3.')).toBeInTheDocument();
+    userEvent.keyboard(' ');
+    expect(screen.getByText('Salad dropped at position 1 of 3.')).toBeInTheDocument();
+
+    // Escape puts a choice back where it was picked up
+    screen.getByRole('button', { name: 'Tacos, position 2 of 3' }).focus();
+    userEvent.keyboard(' ');
+    userEvent.keyboard('{arrowdown}');
+    expect(screen.getByRole('button', { name: 'Tacos, position 3 of 3' })).toHaveAttribute('aria-pressed', 'true');
+    userEvent.keyboard('{esc}');
+    expect(screen.getByRole('button', { name: 'Tacos, position 2 of 3' })).toHaveAttribute('aria-pressed', 'false');
+
+    userEvent.click(screen.getByRole('button', { name: 'Submit My Rankings' }));
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+
+    const { sessions } = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    expect(sessions.XK4P9Q.votes.vera).toEqual(['Salad', 'Tacos', 'Ramen']);
+});
+
+test('a voter edits their ballot and then withdraws it', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'vera');
+    await seedSession('XK4P9Q', { participants: { vera: { name: 'Vera' } }, votes: { vera: ['Ramen', 'Tacos'] } });
+    window.location.hash = '#/s/XK4P9Q/vote';
+    render(<App />);
+    const storedVotes = () => JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY)).sessions.XK4P9Q.votes;
+
+    userEvent.click(await screen.findByRole('button', { name: /Edit My Ballot/ }));
+    // The saved ballot comes back in its saved order
+    expect(screen.getByRole('button', { name: 'Ramen, position 1 of 2' })).toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'Move Tacos up' }));
+    userEvent.click(screen.getByRole('button', { name: 'Update My Ballot' }));
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+    expect(storedVotes().vera).toEqual(['Tacos', 'Ramen']);
+
+    userEvent.click(screen.getByRole('button', { name: /Withdraw/ }));
+    expect(await screen.findByRole('button', { name: 'Submit My Rankings' })).toBeInTheDocument();
+    expect(storedVotes()).not.toHaveProperty('vera');
+});
+
+test('the ballot page follows ballots cast elsewhere and ballots the host removes', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'vera');
+    await seedSession('XK4P9Q', { participants: { vera: { name: 'Vera' } } });
+    window.location.hash = '#/s/XK4P9Q/vote';
+    render(<App />);
+    await screen.findByRole('button', { name: 'Submit My Rankings' });
+
+    // Vera votes from another tab, and then the host removes her ballot
+    const otherTab = createLocalRepository({ storage: window.localStorage, channel: new BroadcastChannel(LOCAL_SESSIONS_KEY) });
+    await otherTab.castBallot('XK4P9Q', 'vera', ['Ramen']);
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+
+    await otherTab.removeBallot('XK4P9Q', 'vera');
+    expect(await screen.findByRole('button', { name: 'Submit My Rankings' })).toBeInTheDocument();
+});
+
+test('a ballot that is open follows the host adding and removing choices', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'vera');
+    await seedSession('XK4P9Q', { options: ['Tacos', 'Ramen'], participants: { vera: { name: 'Vera' } } });
+    window.location.hash = '#/s/XK4P9Q/vote';
+    render(<App />);
+    await screen.findByRole('button', { name: 'Ramen, position 2 of 2' });
+
+    // The host's tab writes through its own repository, which tells this one over the channel
+    const hostTab = createLocalRepository({ storage: window.localStorage, channel: new BroadcastChannel(LOCAL_SESSIONS_KEY) });
+    await hostTab.updateSession('XK4P9Q', { options: [{ id: 'Tacos', name: 'Tacos' }, { id: 'Salad', name: 'Salad' }] });
+
+    expect(await screen.findByRole('button', { name: 'Salad, position 2 of 2' })).toBeInTheDocument();
+    expect(screen.queryByText('Ramen')).not.toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'Submit My Rankings' }));
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY)).sessions.XK4P9Q.votes.vera).toEqual(['Tacos', 'Salad']);
+});
+
+test('the host edits, reorders and removes choices before anyone votes', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'host-1');
+    await seedSession('XK4P9Q', { host: 'host-1', options: ['Tacos', 'Ramen', 'Salad'] });
+    window.location.hash = '#/s/XK4P9Q/host';
+    render(<App />);
+    const storedNames = () => JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY)).sessions.XK4P9Q.options.map(option => option.name);
+
+    userEvent.click(await screen.findByRole('button', { name: 'Edit Tacos' }));
+    userEvent.clear(screen.getByLabelText('Choice name'));
+    userEvent.type(screen.getByLabelText('Choice name'), 'Fish tacos');
+    userEvent.click(screen.getByRole('button', { name: 'Save' }));
+    await waitFor(() => expect(storedNames()).toEqual(['Fish tacos', 'Ramen', 'Salad']));
+
+    userEvent.click(await screen.findByRole('button', { name: 'Move Salad up' }));
+    await waitFor(() => expect(storedNames()).toEqual(['Fish tacos', 'Salad', 'Ramen']));
+
+    userEvent.click(await screen.findByRole('button', { name: 'Remove Ramen' }));
+    await waitFor(() => expect(storedNames()).toEqual(['Fish tacos', 'Salad']));
+    expect(screen.queryByRole('button', { name: 'Edit Ramen' })).not.toBeInTheDocument();
+});
+
+test('the host removes a ballot, closes voting and reopens it', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'host-1');
+    await seedSession('XK4P9Q', {
+        host: 'host-1',
+        participants: { vera: { name: 'Vera' }, omar: { name: 'Omar' } },
+        votes: { vera: ['Ramen', 'Tacos'], omar: ['Tacos', 'Ramen'] },
+        voted: { vera: true, omar: true },
+    });
+    window.location.hash = '#/s/XK4P9Q/host';
+    render(<App />);
+    const stored = () => JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY)).sessions.XK4P9Q;
+
+    // Participants are listed in the order they joined
+    userEvent.click((await screen.findAllByRole('button', { name: 'Remove Ballot' }))[0]);
+    expect(await screen.findByText('Ballot removed.')).toBeInTheDocument();
+    expect(stored().votes).toEqual({ omar: ['Tacos', 'Ramen'] });
+    expect(screen.getAllByRole('button', { name: 'Remove Ballot' })).toHaveLength(1);
+
+    userEvent.click(screen.getByRole('button', { name: 'Lock Session Against New Participants' }));
+    expect(await screen.findByRole('button', { name: 'Unlock Session to New Participants' })).toBeInTheDocument();
+    expect(stored().isLocked).toBe(true);
+
+    await clickAndRoute(screen.getByRole('button', { name: 'Back to Session' }));
+    userEvent.click(await screen.findByRole('button', { name: 'Close Voting & View Results' }));
+    expect(await screen.findByText(/Tacos wins with 1 of 1 continuing votes/)).toBeInTheDocument();
+    expect(stored()).toMatchObject({ isVotingClosed: true, winners: ['Tacos'] });
+
+    window.location.hash = '#/s/XK4P9Q/host';
+    userEvent.click(await screen.findByRole('button', { name: 'Reopen Voting' }));
+    expect(await screen.findByText('Voting reopened.')).toBeInTheDocument();
+    expect(stored()).toMatchObject({ isVotingClosed: false, winner: null, winners: [], votes: { omar: ['Tacos', 'Ramen'] } });
+});
+
+test('a mistyped code is rejected with a suggestion for the real one', async () => {
+    await seedSession('XK4P9Q');
+    render(<App />);
+
+    await clickAndRoute(await screen.findByRole('button', { name: 'Join Now' }));
+    userEvent.type(screen.getByLabelText('Session Code'), 'KX4P9Q');
+    userEvent.type(screen.getByLabelText('Your Name'), 'Vera');
+    userEvent.click(screen.getByRole('button', { name: 'Join Session' }));
+
+    expect(await screen.findByText('Session code is invalid.')).toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'XK4P9Q' }));
+    expect(screen.getByLabelText('Session Code')).toHaveValue('XK4P9Q');
+});
+
+test('the join form only accepts well-formed codes', async () => {
+    render(<App />);
+
+    await clickAndRoute(await screen.findByRole('button', { name: 'Join Now' }));
+    userEvent.type(screen.getByLabelText('Your Name'), 'Vera');
+    userEvent.type(screen.getByLabelText('Session Code'), 'AB!');
+
+    expect(screen.getByText(/Session codes are 4 to 12 letters and numbers/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Join Session' })).toBeDisabled();
+});
+
+test('closed sessions show how the count went round by round', async () => {
+    await seedSession('XK4P9Q', {
+        options: ['Tacos', 'Ramen', 'Salad'],
+        votes: { a: ['Tacos'], b: ['Tacos'], c: ['Ramen'], d: ['Ramen'], e: ['Salad', 'Ramen'] },
+        participants: { a: { name: 'A' } },
+    });
+    const repository = createLocalRepository({ storage: window.localStorage, channel: null });
+    await repository.requestClose('XK4P9Q');
+    window.location.hash = '#/s/XK4P9Q/results';
+    sessionStorage.setItem('rankvote:localUserId', 'a');
+
+    render(<App />);
+
+    expect(await screen.findByText('The Winner Is...')).toBeInTheDocument();
+    expect(screen.getByText('How the Result Was Decided')).toBeInTheDocument();
+    expect(screen.getByText(/Salad eliminated/)).toBeInTheDocument();
+    expect(screen.getByText(/Ramen wins with 3 of 5 continuing votes/)).toBeInTheDocument();
+});
+
+test('a link to the results of an open session leads to the ballot', async () => {
+    await seedSession('XK4P9Q', { participants: { a: { name: 'A' } } });
+    window.location.hash = '#/s/XK4P9Q/results';
+    sessionStorage.setItem('rankvote:localUserId', 'a');
+
+    render(<App />);
+
+    expect(await screen.findByRole('button', { name: 'Submit My Rankings' })).toBeInTheDocument();
+    expect(screen.queryByText(/The Winner Is/)).not.toBeInTheDocument();
+});
+
+test('a closed session without a winner says so', async () => {
+    await seedSession('XK4P9Q', { isVotingClosed: true, phase: 'closed', winner: null, winners: [], participants: { a: { name: 'A' } } });
+    window.location.hash = '#/s/XK4P9Q/results';
+    sessionStorage.setItem('rankvote:localUserId', 'a');
+
+    render(<App />);
+
+    expect(await screen.findByText('No Winner')).toBeInTheDocument();
+    expect(screen.getByText('No choice was elected.')).toBeInTheDocument();
+});
+
+test('tie-breaks on the results page name the choices, not their ids', async () => {
+    await seedSession('XK4P9Q', {
+        options: [{ id: 'o1', name: 'Tacos' }, { id: 'o2', name: 'Ramen' }, { id: 'o3', name: 'Salad' }],
+        votes: { a: ['o1', 'o3'], b: ['o2'], c: ['o3', 'o1'], d: ['o1'] },
+        participants: { a: { name: 'A' } },
+        tieBreak: 'mentions',
+    });
+    await createLocalRepository({ storage: window.localStorage, channel: null }).requestClose('XK4P9Q');
+    window.location.hash = '#/s/XK4P9Q/results';
+    sessionStorage.setItem('rankvote:localUserId', 'a');
+
+    render(<App />);
+
+    expect(await screen.findByText(/Ramen was eliminated/)).toBeInTheDocument();
+    expect(screen.getByText(/It was ranked on 1 ballot, fewer than the others/)).toBeInTheDocument();
+    expect(screen.queryByText(/o2/)).not.toBeInTheDocument();
+});
+
+test('the presenter view shows live standings and, on request, the provisional winner', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'host-1');
+    await seedSession('XK4P9Q', {
+        host: 'host-1',
+        participants: { a: { name: 'A' }, b: { name: 'B' }, c: { name: 'C' }, d: { name: 'D' } },
+        votes: { a: ['Tacos'], b: ['Ramen', 'Tacos'], c: ['Tacos', 'Ramen'] },
+    });
+    window.location.hash = '#/s/XK4P9Q/present';
+    render(<App />);
+
+    expect(await screen.findByText('First Preferences So Far')).toBeInTheDocument();
+    expect(screen.queryByText('Provisional result if voting closed now')).not.toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: 'Show Projection' }));
+    expect(screen.getByText('Provisional result if voting closed now')).toBeInTheDocument();
+    // Once in the standings and once as the provisional winner
+    expect(screen.getAllByText('Tacos')).toHaveLength(2);
+    userEvent.click(screen.getByRole('button', { name: 'Hide Projection' }));
+    expect(screen.queryByText('Provisional result if voting closed now')).not.toBeInTheDocument();
+});
+
+test('the presenter view keeps secret ballots hidden until the count', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'host-1');
+    await seedSession('XK4P9Q', { host: 'host-1', secretBallot: true, voted: { a: true }, participants: { a: { name: 'A' } } });
+    window.location.hash = '#/s/XK4P9Q/present';
+    render(<App />);
+
+    expect(await screen.findByText('This is a secret ballot, so results appear once voting closes.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Show Projection' })).not.toBeInTheDocument();
+});
+
+test('the presenter view reveals a closed count one round at a time', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'host-1');
+    await seedSession('XK4P9Q', {
+        host: 'host-1',
+        options: ['Tacos', 'Ramen', 'Salad'],
+        votes: { a: ['Tacos'], b: ['Tacos'], c: ['Ramen'], d: ['Ramen'], e: ['Salad', 'Ramen'] },
+    });
+    await createLocalRepository({ storage: window.localStorage, channel: null }).requestClose('XK4P9Q');
+    window.location.hash = '#/s/XK4P9Q/present';
+    jest.useFakeTimers();
+    render(<App />);
+    const nextStep = () => act(() => { jest.advanceTimersByTime(3000); });
+
+    expect(await screen.findByText('Counting the votes...')).toBeInTheDocument();
+    nextStep();
+    expect(screen.getByText('Round 1 of 2')).toBeInTheDocument();
+    expect(screen.getByText('Salad')).toHaveTextContent(/Eliminated/);
+    nextStep();
+    expect(screen.getByText('Round 2 of 2')).toBeInTheDocument();
+    // The winner is only announced once the last round has been on screen for a step
+    expect(screen.queryByText('The Winner Is')).not.toBeInTheDocument();
+    nextStep();
+    expect(screen.getByText('The Winner Is')).toBeInTheDocument();
+    expect(screen.getAllByText('Ramen')).toHaveLength(2);
+
+    userEvent.click(screen.getByRole('button', { name: 'Replay Reveal' }));
+    expect(screen.getByText('Counting the votes...')).toBeInTheDocument();
+    jest.useRealTimers();
+});
+
+test('participants suggest choices while the host is collecting them', async () => {
+    await seedSession('XK4P9Q', { phase: 'collecting' });
+    render(<App />);
+
+    await clickAndRoute(await screen.findByRole('button', { name: 'Join Now' }));
+    userEvent.type(screen.getByLabelText('Session Code'), 'XK4P9Q');
+    userEvent.type(screen.getByLabelText('Your Name'), 'Vera');
+    userEvent.click(screen.getByRole('button', { name: 'Join Session' }));
+
+    userEvent.type(await screen.findByLabelText('Choice name'), 'tacos');
+    userEvent.click(screen.getByRole('button', { name: /Suggest/ }));
+    expect(await screen.findByText('Tacos is already a choice.')).toBeInTheDocument();
+
+    userEvent.clear(screen.getByLabelText('Choice name'));
+    userEvent.type(screen.getByLabelText('Choice name'), 'Sushi');
+    userEvent.click(screen.getByRole('button', { name: /Suggest/ }));
+    expect(await screen.findByText('Waiting for the host')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Submit My Rankings' })).not.toBeInTheDocument();
+
+    const { sessions } = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    const [[voterId]] = Object.entries(sessions.XK4P9Q.participants);
+    expect(Object.values(sessions.XK4P9Q.suggestions[voterId])).toMatchObject([{ name: 'Sushi', status: 'pending' }]);
+    expect(Object.keys(sessions.XK4P9Q.suggestions[voterId])).toEqual([`${voterId}-1`]);
+});
+
+test('the host approves and merges suggestions, then starts voting', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'host-1');
+    await seedSession('XK4P9Q', {
+        host: 'host-1',
+        phase: 'collecting',
+        participants: { vera: { name: 'Vera' } },
+        suggestions: {
+            vera: {
+                s1: { id: 's1', name: 'Pizza', status: 'pending' },
+                s2: { id: 's2', name: 'tacos', status: 'pending' },
+            },
+        },
+    });
+    window.location.hash = '#/s/XK4P9Q/host';
+    render(<App />);
+
+    userEvent.click(await screen.findByRole('button', { name: 'Approve Pizza' }));
+    expect(await screen.findByText('Pizza added as a choice.')).toBeInTheDocument();
+    // The duplicate is preselected for merging into the choice it repeats
+    expect(screen.getByLabelText('Choice to merge tacos into')).toHaveValue('Tacos');
+    userEvent.click(screen.getByRole('button', { name: 'Merge tacos' }));
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Merge tacos' })).not.toBeInTheDocument());
+
+    userEvent.click(screen.getByRole('button', { name: /Start Voting/ }));
+    await waitFor(() => expect(screen.queryByRole('button', { name: /Start Voting/ })).not.toBeInTheDocument());
+
+    const { sessions } = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    expect(sessions.XK4P9Q).toMatchObject({
+        phase: 'voting',
+        options: ['Tacos', 'Ramen', { id: expect.not.stringMatching(/^s1$/), name: 'Pizza' }],
+        suggestions: { vera: { s1: { status: 'approved' }, s2: { status: 'merged', mergedInto: 'Tacos' } } },
+    });
+});
+
+test('the host pastes a list of choices, skipping repeats and stopping at the cap', async () => {
+    sessionStorage.setItem('rankvote:localUserId', 'host-1');
+    await seedSession('XK4P9Q', { host: 'host-1', maxOptions: 4 });
+    window.location.hash = '#/s/XK4P9Q/options';
+    render(<App />);
+
+    userEvent.click(await screen.findByRole('button', { name: /Paste a List/ }));
+    userEvent.type(screen.getByLabelText('List of choices'), '1. Pizza{enter}2. tacos{enter}3. Sushi{enter}4. Curry');
+    expect(screen.getByText(/1 already listed and skipped. Only 2 more fit/)).toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'Add 2 Choices' }));
+    expect(await screen.findByText('2 choices added.')).toBeInTheDocument();
+
+    const { sessions } = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    expect(sessions.XK4P9Q.options.map(option => option.name ?? option)).toEqual(['Tacos', 'Ramen', 'Pizza', 'Sushi']);
+});
+
+test('long ballots can be searched, reordered to the ends and ranked by comparing pairs', async () => {
+    const names = ['Tacos', 'Ramen', 'Salad', 'Pizza', 'Sushi', 'Curry', 'Pho', 'Falafel'];
+    await seedSession('XK4P9Q', {
+        maxOptions: 8,
+        options: names.map((name, index) => ({ id: `o${index}`, name, ...(index < 2 && { tags: ['spicy'] }) })),
+    });
+    render(<App />);
+
+    await clickAndRoute(await screen.findByRole('button', { name: 'Join Now' }));
+    userEvent.type(screen.getByLabelText('Session Code'), 'XK4P9Q');
+    userEvent.type(screen.getByLabelText('Your Name'), 'Vera');
+    userEvent.click(screen.getByRole('button', { name: 'Join Session' }));
+
+    userEvent.type(await screen.findByLabelText('Search choices'), 'fal');
+    expect(screen.getByText('Showing 1 of 8 choices.')).toBeInTheDocument();
+    expect(screen.queryByText('Tacos')).not.toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'Move Falafel to the top' }));
+    userEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(screen.getByRole('button', { name: 'Move Falafel to the top' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Move Pho to the bottom' })).toBeDisabled();
+    userEvent.click(screen.getByRole('button', { name: 'spicy' }));
+    expect(screen.getByText('Showing 2 of 8 choices.')).toBeInTheDocument();
+    userEvent.click(screen.getByRole('button', { name: 'spicy' }));
+
+    userEvent.click(screen.getByRole('button', { name: 'Compare Two at a Time' }));
+    // Prefer whichever choice comes first alphabetically until the ranking is built
+    while (screen.queryByText('Which do you prefer?')) {
+        const [first] = screen.getAllByRole('button', { name: /^Prefer / }).map(button => button.textContent.replace('Prefer ', '')).sort();
+        userEvent.click(screen.getByRole('button', { name: `Prefer ${first}` }));
+    }
+    userEvent.click(screen.getByRole('button', { name: 'Submit My Rankings' }));
+    expect(await screen.findByText('Thank you for voting!')).toBeInTheDocument();
+
+    const { sessions } = JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY));
+    const byName = [...names].sort();
+    expect(Object.values(sessions.XK4P9Q.votes)).toEqual([byName.map(name => `o${names.indexOf(name)}`)]);
 });
@@ -0,0 +1,114 @@
+import { BallotFileError } from './errors.js';
+import { uniqueNames } from './names.js';
+
+// BLT is the plain-text ballot format read by most STV counting programs (OpenSTV, Droop, ...):
+//
+//   3 1          number of options, number of seats
+//   1 2 1 3 0    weight, then option numbers in order of preference, ended by 0
+//   1 3 0
+//   0            end of ballots
+//   "Mexican"    option names, in number order
+//   "Thai"
+//   "Pizza"
+//   "Dinner"     title
+//
+// Optional parts some programs write are accepted on import: withdrawn options as negative numbers after
+// the header, and a ballot id in parentheses before each weight.
+
+const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Writes ranked ballots (arrays of options) as BLT, one line per ballot. `nameFor` gives the name written
+// for each option, for ballots that refer to options by id; options sharing a name are numbered apart.
+export const toBlt = ({ title = '', options, seats = 1, ballots, nameFor = (option) => option }) => {
+    const numbers = new Map(options.map((option, index) => [option, index + 1]));
+    const ballotLines = ballots.map(ballot => {
+        const preferences = ballot.filter(option => numbers.has(option)).map(option => numbers.get(option));
+        return ['1', ...preferences, '0'].join(' ');
+    });
+    return [
+        `${options.length} ${seats}`,
+        ...ballotLines,
+        '0',
+        ...uniqueNames(options, nameFor).map(quote),
+        quote(title),
+        '',
+    ].join('\n');
+};
+
+const tokenize = (text) => Array.from(text.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g), ([, quoted, bare]) =>
+    quoted !== undefined ? { name: quoted.replace(/\\(.)/g, '$1') } : { value: bare });
+
+// Reads a BLT file into options, seats, title and ranked ballots. Weighted lines are expanded into
+// that many identical ballots, and withdrawn options are dropped from the options and every ballot.
+export const parseBlt = (text) => {
+    const tokens = tokenize(text);
+    let position = 0;
+    const next = (expected) => {
+        const token = tokens[position++];
+        if (!token || token.value === undefined) {
+            throw new BallotFileError(`Invalid BLT file: expected ${expected}.`);
+        }
+        return token.value;
+    };
+    const integer = (value, expected) => {
+        if (!/^-?\d+$/.test(value)) throw new BallotFileError(`Invalid BLT file: expected ${expected} but found "${value}".`);
+        return Number(value);
+    };
+
+    const optionCount = integer(next('the number of options'), 'the number of options');
+    const seats = integer(next('the number of seats'), 'the number of seats');
+    if (optionCount < 1 || seats < 1 || seats > optionCount) {
+        throw new BallotFileError('Invalid BLT file: the header must give at least one option and between 1 and that many seats.');
+    }
+
+    const withdrawn = new Set();
+    while (tokens[position]?.value?.startsWith('-')) {
+        withdrawn.add(-integer(next('a withdrawn option'), 'a withdrawn option'));
+    }
+
+    const rankedNumbers = [];
+    for (;;) {
+        let weightToken = next('a ballot weight or 0');
+        if (/^\(.*\)$/.test(weightToken)) weightToken = next('a ballot weight');
+        if (weightToken.includes('.')) {
+            throw new BallotFileError('Fractional ballot weights are not supported.');
+        }
+        const weight = integer(weightToken, 'a ballot weight');
+        if (weight === 0) break;
+        if (weight < 0) throw new BallotFileError('Ballot weights cannot be negative.');
+
+        const preferences = [];
+        for (let value = next('an option number or 0'); value !== '0'; value = next('an option number or 0')) {
+            if (value.includes('=')) {
+                throw new BallotFileError('Ballots that rank options equally are not supported.');
+            }
+            if (value === '-') continue;
+            const number = integer(value, 'an option number');
+            if (number < 1 || number > optionCount) {
+                throw new BallotFileError(`Invalid BLT file: option ${number} does not exist.`);
+            }
+            if (preferences.includes(number)) {
+                throw new BallotFileError(`Invalid BLT file: a ballot ranks option ${number} more than once.`);
+            }
+            preferences.push(number);
+        }
+        for (let i = 0; i < weight; i++) rankedNumbers.push(preferences);
+    }
+
+    const names = tokens.slice(position, position + optionCount).map(token => token.name);
+    if (names.length < optionCount || names.some(name => name === undefined)) {
+        throw new BallotFileError(`Invalid BLT file: expected ${optionCount} quoted option names after the ballots.`);
+    }
+    if (new Set(names).size !== names.length) {
+        throw new BallotFileError('Invalid BLT file: option names must be unique.');
+    }
+    const title = tokens[position + optionCount]?.name ?? '';
+
+    const isCounted = (number) => !withdrawn.has(number);
+    return {
+        title,
+        seats,
+        options: names.filter((_, index) => isCounted(index + 1)),
+        ballots: rankedNumbers.map(preferences => preferences.filter(isCounted).map(number => names[number - 1])),
+    };
+};
@@ -0,0 +1,57 @@
+import { toBlt, parseBlt } from './blt';
+import { BallotFileError } from './errors';
+
+const options = ['Mexican', 'Thai', 'Pizza'];
+
+describe('toBlt', () => {
+    test('writes the header, one line per ballot and the quoted names', () => {
+        const blt = toBlt({ title: 'Dinner', options, seats: 1, ballots: [['Thai', 'Mexican'], ['Pizza']] });
+
+        expect(blt).toBe('3 1\n1 2 1 0\n1 3 0\n0\n"Mexican"\n"Thai"\n"Pizza"\n"Dinner"\n');
+    });
+
+    test('writes option names for ballots that refer to options by id', () => {
+        const names = { m1: 'Mexican', t2: 'Thai' };
+        const blt = toBlt({ title: 'Dinner', options: ['m1', 't2'], ballots: [['t2', 'm1']], nameFor: (id) => names[id] });
+
+        expect(blt).toBe('2 1\n1 2 1 0\n0\n"Mexican"\n"Thai"\n"Dinner"\n');
+    });
+
+    test('round-trips through parseBlt, including quotes in names', () => {
+        const tricky = ['Say "cheese"', 'Back\\slash', 'Plain'];
+        const ballots = [['Plain', 'Say "cheese"'], ['Back\\slash'], []];
+
+        expect(parseBlt(toBlt({ title: 'Odd "names"', options: tricky, seats: 2, ballots }))).toEqual({
+            title: 'Odd "names"',
+            options: tricky,
+            seats: 2,
+            ballots,
+        });
+    });
+});
+
+describe('parseBlt', () => {
+    test('expands weights, skips ballot ids and drops withdrawn options', () => {
+        const text = '3 1\n-2\n(a) 2 2 1 0\n(b) 1 3 2 0\n0\n"Mexican"\n"Thai"\n"Pizza"\n"Dinner"';
+
+        expect(parseBlt(text)).toEqual({
+            title: 'Dinner',
+            seats: 1,
+            options: ['Mexican', 'Pizza'],
+            ballots: [['Mexican'], ['Mexican'], ['Pizza']],
+        });
+    });
+
+    test('rejects what the tabulation cannot count', () => {
+        expect(() => parseBlt('3 1\n1 1=2 3 0\n0\n"A"\n"B"\n"C"')).toThrow(/equally/);
+        expect(() => parseBlt('3 1\n1.5 1 0\n0\n"A"\n"B"\n"C"')).toThrow(/Fractional/);
+    });
+
+    test('reports malformed files', () => {
+        expect(() => parseBlt('')).toThrow(BallotFileError);
+        expect(() => parseBlt('3 1\n1 4 0\n0\n"A"\n"B"\n"C"')).toThrow(/option 4 does not exist/);
+        expect(() => parseBlt('3 1\n1 1 1 0\n0\n"A"\n"B"\n"C"')).toThrow(/more than once/);
+        expect(() => parseBlt('3 1\n1 1 0\n0\n"A"\n"B"')).toThrow(/quoted option names/);
+        expect(() => parseBlt('3 1\n1 1 0\n')).toThrow(BallotFileError);
+    });
+});
@@ -0,0 +1,116 @@
+import { BallotFileError } from './errors.js';
+import { MAX_SCORE } from '../tabulation/index.js';
+import { uniqueNames } from './names.js';
+
+// Ballots as CSV: a header naming the options, then one row per ballot. Each cell holds the rank the
+// ballot gives that option (ranked ballots), 1 for an approved option (approval ballots) or the score
+// (score ballots); unranked and unapproved options are left blank.
+//
+//   Ballot,Mexican,Thai,Pizza
+//   1,2,1,
+//   2,1,,2
+
+const escapeCell = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const ballotCells = (ballot, options, ballotType) => {
+    if (ballotType === 'ranked') {
+        return options.map(option => (ballot.indexOf(option) + 1) || '');
+    }
+    if (ballotType === 'approval') {
+        return options.map(option => (ballot.includes(option) ? 1 : ''));
+    }
+    return options.map(option => ballot[option] ?? '');
+};
+
+// `nameFor` gives the header name of each option, for ballots that refer to options by id. Options
+// sharing a name are numbered apart.
+export const toCsv = ({ options, ballots, ballotType, nameFor = (option) => option }) => [
+    ['Ballot', ...uniqueNames(options, nameFor)],
+    ...ballots.map((ballot, index) => [index + 1, ...ballotCells(ballot, options, ballotType)]),
+].map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+// RFC 4180 rows: quoted cells may contain commas, doubled quotes and line breaks
+export const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let isQuoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (isQuoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                isQuoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            isQuoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (isQuoted) throw new BallotFileError('Invalid CSV file: a quoted cell is never closed.');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const parseBallot = (cells, options, ballotType, rowNumber) => {
+    const values = options.map((_, index) => (cells[index] ?? '').trim());
+    const number = (value, what) => {
+        if (!/^\d+$/.test(value)) throw new BallotFileError(`Row ${rowNumber}: "${value}" is not a valid ${what}.`);
+        return Number(value);
+    };
+
+    if (ballotType === 'ranked') {
+        const ranked = options
+            .map((option, index) => ({ option, rank: values[index] && number(values[index], 'rank') }))
+            .filter(({ rank }) => rank);
+        if (new Set(ranked.map(({ rank }) => rank)).size !== ranked.length) {
+            throw new BallotFileError(`Row ${rowNumber}: ballots that rank options equally are not supported.`);
+        }
+        return ranked.sort((a, b) => a.rank - b.rank).map(({ option }) => option);
+    }
+    if (ballotType === 'approval') {
+        return options.filter((_, index) => values[index] !== '' && !/^(0|no|false)$/i.test(values[index]));
+    }
+    return Object.fromEntries(options.map((option, index) => {
+        const score = values[index] === '' ? 0 : number(values[index], 'score');
+        if (score > MAX_SCORE) throw new BallotFileError(`Row ${rowNumber}: scores go from 0 to ${MAX_SCORE}.`);
+        return [option, score];
+    }));
+};
+
+// Reads a ballot CSV for the given ballot type. A leading "Ballot" id column is optional.
+export const parseCsv = (text, ballotType) => {
+    const [header, ...rows] = parseRows(text);
+    if (!header) throw new BallotFileError('The CSV file is empty.');
+    const hasIdColumn = /^ballot$/i.test(header[0].trim());
+    const options = (hasIdColumn ? header.slice(1) : header).map(option => option.trim());
+    if (options.length < 2 || options.some(option => option === '')) {
+        throw new BallotFileError('Invalid CSV file: the header must name at least two options.');
+    }
+    if (new Set(options).size !== options.length) {
+        throw new BallotFileError('Invalid CSV file: option names must be unique.');
+    }
+
+    const ballots = rows.map((cells, index) => parseBallot(hasIdColumn ? cells.slice(1) : cells, options, ballotType, index + 2));
+    return { options, ballots };
+};
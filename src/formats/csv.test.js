@@ -0,0 +1,53 @@
+import { toCsv, parseCsv } from './csv';
+
+const options = ['Mexican', 'Thai', 'Pizza, deep dish'];
+
+describe('toCsv', () => {
+    test('writes one row per ballot with a column per option', () => {
+        const csv = toCsv({ options, ballots: [['Thai', 'Mexican'], ['Pizza, deep dish']], ballotType: 'ranked' });
+
+        expect(csv).toBe('Ballot,Mexican,Thai,"Pizza, deep dish"\r\n1,2,1,\r\n2,,,1\r\n');
+    });
+
+    test('names the columns of options referred to by id', () => {
+        const names = { m1: 'Mexican', t2: 'Thai' };
+        const csv = toCsv({ options: ['m1', 't2'], ballots: [{ m1: 2, t2: 5 }], ballotType: 'score', nameFor: (id) => names[id] });
+
+        expect(csv).toBe('Ballot,Mexican,Thai\r\n1,2,5\r\n');
+    });
+
+    test.each([
+        ['ranked', [['Thai', 'Mexican'], ['Pizza, deep dish'], []]],
+        ['approval', [['Mexican', 'Pizza, deep dish'], []]],
+        ['score', [{ Mexican: 5, Thai: 0, 'Pizza, deep dish': 3 }]],
+    ])('round-trips %s ballots through parseCsv', (ballotType, ballots) => {
+        expect(parseCsv(toCsv({ options, ballots, ballotType }), ballotType)).toEqual({ options, ballots });
+    });
+});
+
+describe('parseCsv', () => {
+    test('reads files without an id column and with quoted line breaks', () => {
+        const text = 'A,"B\nsecond line",C\n1,3,2\n\n2,1,\n';
+
+        expect(parseCsv(text, 'ranked')).toEqual({
+            options: ['A', 'B\nsecond line', 'C'],
+            ballots: [['A', 'C', 'B\nsecond line'], ['B\nsecond line', 'A']],
+        });
+    });
+
+    test('reads approvals written as x or yes', () => {
+        expect(parseCsv('A,B,C\nx,,yes\n0,no,1', 'approval').ballots).toEqual([['A', 'C'], ['C']]);
+    });
+
+    test('reports invalid cells with their row', () => {
+        expect(() => parseCsv('A,B\n1,1', 'ranked')).toThrow(/Row 2: .*equally/);
+        expect(() => parseCsv('A,B\nfirst,2', 'ranked')).toThrow(/Row 2: "first" is not a valid rank/);
+        expect(() => parseCsv('A,B\n9,0', 'score')).toThrow(/Row 2: scores go from 0 to 5/);
+    });
+
+    test('requires a header naming distinct options', () => {
+        expect(() => parseCsv('', 'ranked')).toThrow(/empty/);
+        expect(() => parseCsv('A,A\n1,2', 'ranked')).toThrow(/unique/);
+        expect(() => parseCsv('Ballot,A\n1,1', 'ranked')).toThrow(/at least two options/);
+    });
+});
@@ -0,0 +1,7 @@
+// Thrown when an imported ballot file cannot be read. The message is meant to be shown to the user as is.
+export class BallotFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BallotFileError';
+    }
+}
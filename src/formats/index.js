@@ -0,0 +1,24 @@
+import { parseBlt } from './blt.js';
+import { parseCsv } from './csv.js';
+import { BallotFileError } from './errors.js';
+
+export { toBlt, parseBlt } from './blt.js';
+export { toCsv, parseCsv } from './csv.js';
+export { buildResultsDocument } from './results.js';
+export { parseOptionList } from './optionList.js';
+export { BallotFileError };
+
+// Reads an uploaded ballot file, picking the format from its extension. BLT files always hold ranked
+// ballots; CSV cells are read according to `ballotType`.
+export const parseBallotFile = (fileName, text, ballotType) => {
+    if (/\.blt$/i.test(fileName)) {
+        if (ballotType !== 'ranked') {
+            throw new BallotFileError('BLT files hold ranked ballots. Choose a counting method that uses ranked ballots.');
+        }
+        return { format: 'blt', ...parseBlt(text) };
+    }
+    if (/\.csv$/i.test(fileName)) {
+        return { format: 'csv', title: '', seats: 1, ...parseCsv(text, ballotType) };
+    }
+    throw new BallotFileError('Choose a .blt or .csv file.');
+};
@@ -0,0 +1,61 @@
+import { Timestamp } from 'firebase/firestore';
+import { parseBallotFile, buildResultsDocument, BallotFileError, toBlt, toCsv } from './index';
+
+describe('parseBallotFile', () => {
+    test('picks the format from the file extension', () => {
+        expect(parseBallotFile('votes.BLT', '2 1\n1 2 0\n0\n"A"\n"B"', 'ranked')).toMatchObject({ format: 'blt', ballots: [['B']] });
+        expect(parseBallotFile('votes.csv', 'A,B\n1,', 'approval')).toMatchObject({ format: 'csv', seats: 1, ballots: [['A']] });
+    });
+
+    test('only reads BLT files as ranked ballots', () => {
+        expect(() => parseBallotFile('votes.blt', '2 1\n0\n"A"\n"B"', 'score')).toThrow(/ranked ballots/);
+    });
+
+    test('rejects other files', () => {
+        expect(() => parseBallotFile('votes.xlsx', '', 'ranked')).toThrow(BallotFileError);
+    });
+
+    test('reads back exports of choices that share a name', () => {
+        const names = { o1: 'Tacos', o2: 'Tacos', o3: 'Ramen' };
+        const exported = { title: 'Lunch', options: ['o1', 'o2', 'o3'], ballots: [['o2', 'o1'], ['o3']], ballotType: 'ranked', nameFor: (id) => names[id] };
+        const expected = { options: ['Tacos', 'Tacos (2)', 'Ramen'], ballots: [['Tacos (2)', 'Tacos'], ['Ramen']] };
+
+        expect(parseBallotFile('lunch.blt', toBlt(exported), 'ranked')).toMatchObject(expected);
+        expect(parseBallotFile('lunch.csv', toCsv(exported), 'ranked')).toMatchObject(expected);
+    });
+});
+
+describe('buildResultsDocument', () => {
+    const session = {
+        title: 'Dinner',
+        method: 'irv',
+        tieBreak: 'backwards',
+        tieBreakSeed: 'seed',
+        options: ['A', 'B'],
+        votes: { u1: ['A'], u2: ['A', 'B'], u3: ['B'] },
+        closesAt: Timestamp.fromMillis(Date.UTC(2025, 0, 2)),
+        winner: 'A',
+        winners: ['A'],
+        rounds: [{ round: 1, counts: { A: 2, B: 1 } }],
+        tally: {},
+    };
+
+    test('records the outcome and settings without identifying voters', () => {
+        const document = buildResultsDocument('ABC123', session, new Date(Date.UTC(2025, 0, 3)));
+
+        expect(document).toMatchObject({
+            format: 'rankvote-results',
+            exportedAt: '2025-01-03T00:00:00.000Z',
+            session: { code: 'ABC123', methodLabel: 'Instant Runoff', ballot: 'ranked', seats: 1, closesAt: '2025-01-02T00:00:00.000Z', opensAt: null },
+            ballotCount: 3,
+            winners: ['A'],
+        });
+        expect(JSON.stringify(document)).not.toMatch(/u1|u2|u3/);
+    });
+
+    test('counts secret ballots from the voted flags', () => {
+        const secret = { ...session, votes: {}, secretBallot: true, voted: { u1: true, u2: false } };
+
+        expect(buildResultsDocument('ABC123', secret).ballotCount).toBe(1);
+    });
+});
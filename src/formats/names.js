@@ -0,0 +1,16 @@
+// Names for the options of an exported file, which both formats require to be unique. Sessions allow two
+// choices with the same name, so repeats are written as "Name (2)", "Name (3)", ... skipping any name
+// another option already has.
+export const uniqueNames = (options, nameFor) => {
+    const names = options.map(option => String(nameFor(option)));
+    const taken = new Set(names);
+    const written = new Set();
+    return names.map(name => {
+        let unique = name;
+        for (let copy = 2; written.has(unique) || (unique !== name && taken.has(unique)); copy++) {
+            unique = `${name} (${copy})`;
+        }
+        written.add(unique);
+        return unique;
+    });
+};
@@ -0,0 +1,15 @@
+import { uniqueNames } from './names';
+
+describe('uniqueNames', () => {
+    test('leaves distinct names alone', () => {
+        expect(uniqueNames(['m1', 't2'], (id) => ({ m1: 'Mexican', t2: 'Thai' })[id])).toEqual(['Mexican', 'Thai']);
+    });
+
+    test('numbers repeats from the second one on', () => {
+        expect(uniqueNames(['Tacos', 'Tacos', 'Ramen', 'Tacos'], (name) => name)).toEqual(['Tacos', 'Tacos (2)', 'Ramen', 'Tacos (3)']);
+    });
+
+    test('skips numbers another option is already named with', () => {
+        expect(uniqueNames(['Tacos', 'Tacos', 'Tacos (2)'], (name) => name)).toEqual(['Tacos', 'Tacos (3)', 'Tacos (2)']);
+    });
+});
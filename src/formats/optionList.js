@@ -0,0 +1,33 @@
+import { parseRows } from './csv.js';
+
+// Lists of choices to add in one go, pasted or read from a file. Plain text holds one choice per line;
+// list markers such as "1.", "-" or "•" are dropped, and a tab separates an optional description, as when
+// pasting two columns from a spreadsheet. CSV files hold the name in the first column and the description
+// in the second, under an optional header row.
+//
+//   1. Keynote: The future of CSS
+//   2. Lightning talks<TAB>Five talks, five minutes each
+
+const LIST_MARKER = /^\s*(?:[-*•]|\d+[.)])\s+/;
+const HEADER_NAMES = ['name', 'choice', 'option', 'title'];
+
+const textRows = (text) => text.split(/\r\n|\r|\n/).map(line => line.replace(LIST_MARKER, '').split('\t'));
+
+const csvRows = (text) => {
+    const rows = parseRows(text);
+    return rows.length > 0 && HEADER_NAMES.includes(rows[0][0].trim().toLowerCase()) ? rows.slice(1) : rows;
+};
+
+// The choices in `text` as `{ name, description }`, in order, skipping blank lines and names already
+// listed (ignoring case). Throws a BallotFileError for malformed CSV.
+export const parseOptionList = (text, { csv = false } = {}) => {
+    const seen = new Set();
+    return (csv ? csvRows(text) : textRows(text))
+        .map(([name = '', description = '']) => ({ name: name.trim(), description: description.trim() }))
+        .filter(({ name }) => {
+            const key = name.toLowerCase();
+            if (name === '' || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
@@ -0,0 +1,38 @@
+import { parseOptionList } from './optionList';
+import { BallotFileError } from './errors';
+
+describe('parseOptionList', () => {
+    test('reads one choice per line without list markers or blank lines', () => {
+        const text = '1. Keynote\n2) Lightning talks\n\n- Workshop\n• Panel\n   Closing remarks  \r\n';
+
+        expect(parseOptionList(text).map(option => option.name)).toEqual(['Keynote', 'Lightning talks', 'Workshop', 'Panel', 'Closing remarks']);
+    });
+
+    test('takes a description after a tab, as pasted from a spreadsheet', () => {
+        expect(parseOptionList('Keynote\tThe future of CSS\nPanel')).toEqual([
+            { name: 'Keynote', description: 'The future of CSS' },
+            { name: 'Panel', description: '' },
+        ]);
+    });
+
+    test('keeps the first of names listed twice, ignoring case', () => {
+        expect(parseOptionList('Panel\nKeynote\npanel').map(option => option.name)).toEqual(['Panel', 'Keynote']);
+    });
+
+    test('leaves numbers that are part of a name alone', () => {
+        expect(parseOptionList('2024 retrospective\n3D printing 101').map(option => option.name)).toEqual(['2024 retrospective', '3D printing 101']);
+    });
+
+    test('reads CSV files with or without a header row', () => {
+        const withHeader = 'Name,Description\n"Keynote, day one",Opening talk\nPanel,\n';
+        expect(parseOptionList(withHeader, { csv: true })).toEqual([
+            { name: 'Keynote, day one', description: 'Opening talk' },
+            { name: 'Panel', description: '' },
+        ]);
+        expect(parseOptionList('Keynote\nPanel', { csv: true }).map(option => option.name)).toEqual(['Keynote', 'Panel']);
+    });
+
+    test('rejects malformed CSV', () => {
+        expect(() => parseOptionList('"Keynote\nPanel', { csv: true })).toThrow(BallotFileError);
+    });
+});
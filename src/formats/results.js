@@ -0,0 +1,34 @@
+import { getMethod } from '../tabulation/index.js';
+
+const toIsoString = (timestamp) => timestamp?.toDate?.().toISOString() ?? null;
+
+// A self-contained record of how a closed session was decided, for audits and for re-running the count
+// elsewhere. Voters are never identified; the ballots themselves go in the BLT or CSV export.
+export const buildResultsDocument = (sessionCode, sessionData, exportedAt = new Date()) => ({
+    format: 'rankvote-results',
+    version: 1,
+    exportedAt: exportedAt.toISOString(),
+    session: {
+        code: sessionCode,
+        title: sessionData.title,
+        method: sessionData.method,
+        methodLabel: getMethod(sessionData.method).label,
+        ballot: getMethod(sessionData.method).ballot,
+        seats: sessionData.seats || 1,
+        tieBreak: sessionData.tieBreak,
+        tieBreakSeed: sessionData.tieBreakSeed,
+        secretBallot: !!sessionData.secretBallot,
+        options: sessionData.options || [],
+        opensAt: toIsoString(sessionData.opensAt),
+        closesAt: toIsoString(sessionData.closesAt),
+    },
+    ballotCount: sessionData.secretBallot
+        ? Object.values(sessionData.voted || {}).filter(Boolean).length
+        : Object.keys(sessionData.votes || {}).length,
+    winner: sessionData.winner ?? null,
+    winners: sessionData.winners || [],
+    rounds: sessionData.rounds || [],
+    tieBreaks: sessionData.tieBreaks || [],
+    tieBreakDecisions: sessionData.tieBreakDecisions || [],
+    tally: sessionData.tally || {},
+});
@@ -0,0 +1,47 @@
+// Builds a ranking from "which do you prefer?" questions, one at a time, for long ballots that are tedious
+// to reorder by hand. It is a binary insertion sort: each item is placed among those already ranked by
+// halving the range of places it could go, so n items take at most about n·log2(n) answers (under 240
+// for 50 items) rather than one for every pair. The state is plain data, so callers can keep earlier
+// states to undo answers.
+
+// `ranked` is best first. The first of `unranked` is being placed somewhere between `low` and `high`.
+export const startPairwiseSort = (items) => ({
+    ranked: items.slice(0, 1),
+    unranked: items.slice(1),
+    low: 0,
+    high: Math.min(items.length, 1),
+    answered: 0,
+});
+
+export const isPairwiseSortDone = (state) => state.unranked.length === 0;
+
+// The two items to ask about next, or null once the ranking is complete
+export const nextComparison = (state) => {
+    if (isPairwiseSortDone(state)) return null;
+    return [state.unranked[0], state.ranked[Math.floor((state.low + state.high) / 2)]];
+};
+
+// Records which of the two items in `nextComparison(state)` is preferred
+export const answerComparison = (state, preferred) => {
+    const [item, other] = nextComparison(state);
+    if (preferred !== item && preferred !== other) throw new Error(`${preferred} is not being compared.`);
+    const middle = Math.floor((state.low + state.high) / 2);
+    const low = preferred === item ? state.low : middle + 1;
+    const high = preferred === item ? middle : state.high;
+    if (low < high) return { ...state, low, high, answered: state.answered + 1 };
+
+    const ranked = [...state.ranked.slice(0, low), item, ...state.ranked.slice(low)];
+    return { ranked, unranked: state.unranked.slice(1), low: 0, high: ranked.length, answered: state.answered + 1 };
+};
+
+// Most questions still to come: enough to narrow the current item's range to one place, then to place
+// each remaining item among everything ranked before it
+export const remainingComparisons = (state) => {
+    if (isPairwiseSortDone(state)) return 0;
+    const questionsFor = (places) => Math.ceil(Math.log2(places));
+    let total = questionsFor(state.high - state.low + 1);
+    for (let rankedCount = state.ranked.length + 1; rankedCount < state.ranked.length + state.unranked.length; rankedCount++) {
+        total += questionsFor(rankedCount + 1);
+    }
+    return total;
+};
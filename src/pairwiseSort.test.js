@@ -0,0 +1,67 @@
+import fc from 'fast-check';
+import { startPairwiseSort, nextComparison, answerComparison, isPairwiseSortDone, remainingComparisons } from './pairwiseSort';
+
+// Answers every question by `preference` (best first) and returns the final state
+const sortBy = (items, preference) => {
+    let state = startPairwiseSort(items);
+    while (!isPairwiseSortDone(state)) {
+        const [a, b] = nextComparison(state);
+        state = answerComparison(state, preference.indexOf(a) < preference.indexOf(b) ? a : b);
+    }
+    return state;
+};
+
+describe('pairwise sort', () => {
+    test('asks nothing for a single item or none', () => {
+        expect(nextComparison(startPairwiseSort(['A']))).toBeNull();
+        expect(startPairwiseSort([]).ranked).toEqual([]);
+        expect(remainingComparisons(startPairwiseSort(['A']))).toBe(0);
+    });
+
+    test('places each new item by halving the range it could go in', () => {
+        let state = startPairwiseSort(['A', 'B', 'C']);
+        expect(nextComparison(state)).toEqual(['B', 'A']);
+        state = answerComparison(state, 'B');
+        expect(state.ranked).toEqual(['B', 'A']);
+
+        expect(nextComparison(state)).toEqual(['C', 'A']);
+        state = answerComparison(state, 'C');
+        expect(nextComparison(state)).toEqual(['C', 'B']);
+        state = answerComparison(state, 'B');
+
+        expect(isPairwiseSortDone(state)).toBe(true);
+        expect(state).toMatchObject({ ranked: ['B', 'C', 'A'], answered: 3 });
+    });
+
+    test('only accepts one of the two items being compared', () => {
+        expect(() => answerComparison(startPairwiseSort(['A', 'B', 'C']), 'C')).toThrow();
+    });
+
+    test('ranks any list in the order the answers imply', () => {
+        fc.assert(fc.property(fc.uniqueArray(fc.integer(), { maxLength: 40 }).chain(items => fc.record({
+            items: fc.constant(items),
+            preference: fc.shuffledSubarray(items, { minLength: items.length, maxLength: items.length }),
+        })), ({ items, preference }) => {
+            expect(sortBy(items, preference).ranked).toEqual(preference);
+        }));
+    });
+
+    test('never asks more questions than it estimates', () => {
+        fc.assert(fc.property(fc.uniqueArray(fc.integer(), { minLength: 1, maxLength: 40 }), fc.boolean(), (items, reversed) => {
+            const preference = reversed ? [...items].reverse() : items;
+            let state = startPairwiseSort(items);
+            const estimate = remainingComparisons(state);
+            while (!isPairwiseSortDone(state)) {
+                expect(remainingComparisons(state)).toBeLessThanOrEqual(estimate - state.answered);
+                const [a, b] = nextComparison(state);
+                state = answerComparison(state, preference.indexOf(a) < preference.indexOf(b) ? a : b);
+            }
+            expect(state.answered).toBeLessThanOrEqual(estimate);
+        }));
+    });
+
+    test('ranks 50 choices in fewer than 240 answers', () => {
+        const items = Array.from({ length: 50 }, (_, i) => `Talk ${i + 1}`);
+        expect(remainingComparisons(startPairwiseSort(items))).toBeLessThan(240);
+    });
+});
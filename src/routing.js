@@ -0,0 +1,49 @@
+// Hash-based routes such as #/s/ABC123/vote. Hash routes survive reloads and back/forward on any
+// static host, which matters because the app is built with "homepage": "." and has no server rewrites.
+const SESSION_PAGES = {
+    options: 'create-options',
+    vote: 'vote',
+    results: 'results',
+    host: 'host',
+    present: 'present',
+};
+
+const STATIC_PAGES = {
+    '': 'home',
+    new: 'create-session-form',
+    join: 'join-session-form',
+    recount: 'recount',
+    sessions: 'my-sessions',
+};
+
+const findSegment = (pages, page) => Object.keys(pages).find(segment => pages[segment] === page);
+
+// Turns a location hash into the page to render and the session it belongs to, plus the
+// per-voter invite token carried by links to invite-only sessions
+export const parseRoute = (hash) => {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const segments = path.split('/').filter(Boolean);
+    if (segments[0] === 's' && segments[1]) {
+        const invite = new URLSearchParams(query).get('invite');
+        return {
+            page: SESSION_PAGES[segments[2] || 'vote'] || 'vote',
+            sessionCode: decodeURIComponent(segments[1]).toUpperCase(),
+            ...(invite && { invite }),
+        };
+    }
+    return { page: STATIC_PAGES[segments[0] || ''] || 'home', sessionCode: '' };
+};
+
+export const buildPath = (page, sessionCode) => {
+    const sessionSegment = findSegment(SESSION_PAGES, page);
+    if (sessionSegment && sessionCode) {
+        return `#/s/${encodeURIComponent(sessionCode)}/${sessionSegment}`;
+    }
+    return `#/${findSegment(STATIC_PAGES, page) ?? ''}`;
+};
+
+// Absolute link that opens a session's ballot, for sharing with participants
+export const buildInviteLink = (sessionCode, { invite, location = window.location } = {}) => {
+    const query = invite ? `?invite=${encodeURIComponent(invite)}` : '';
+    return `${location.origin}${location.pathname}${buildPath('vote', sessionCode)}${query}`;
+};
@@ -0,0 +1,42 @@
+import { parseRoute, buildPath, buildInviteLink } from './routing';
+
+describe('parseRoute', () => {
+    test('maps session routes to their page and code', () => {
+        expect(parseRoute('#/s/abc123/vote')).toEqual({ page: 'vote', sessionCode: 'ABC123' });
+        expect(parseRoute('#/s/ABC123/results')).toEqual({ page: 'results', sessionCode: 'ABC123' });
+        expect(parseRoute('#/s/ABC123/host')).toEqual({ page: 'host', sessionCode: 'ABC123' });
+        expect(parseRoute('#/s/ABC123/present')).toEqual({ page: 'present', sessionCode: 'ABC123' });
+        expect(parseRoute('#/s/ABC123')).toEqual({ page: 'vote', sessionCode: 'ABC123' });
+    });
+
+    test('reads the invite token of per-voter links', () => {
+        expect(parseRoute('#/s/ABC123/vote?invite=a1b2')).toEqual({ page: 'vote', sessionCode: 'ABC123', invite: 'a1b2' });
+    });
+
+    test('maps other routes to pages without a session', () => {
+        expect(parseRoute('')).toEqual({ page: 'home', sessionCode: '' });
+        expect(parseRoute('#/join')).toEqual({ page: 'join-session-form', sessionCode: '' });
+        expect(parseRoute('#/recount')).toEqual({ page: 'recount', sessionCode: '' });
+        expect(parseRoute('#/sessions')).toEqual({ page: 'my-sessions', sessionCode: '' });
+        expect(parseRoute('#/nowhere')).toEqual({ page: 'home', sessionCode: '' });
+    });
+});
+
+describe('buildPath', () => {
+    test('round-trips through parseRoute', () => {
+        ['create-options', 'vote', 'results', 'host', 'present'].forEach(page => {
+            expect(parseRoute(buildPath(page, 'ABC123'))).toEqual({ page, sessionCode: 'ABC123' });
+        });
+        expect(parseRoute(buildPath('create-session-form', ''))).toEqual({ page: 'create-session-form', sessionCode: '' });
+    });
+
+    test('falls back to home for session pages without a session', () => {
+        expect(buildPath('vote', '')).toBe('#/');
+    });
+});
+
+test('buildInviteLink points at the ballot', () => {
+    const location = { origin: 'https://rankvote.example', pathname: '/app/' };
+    expect(buildInviteLink('ABC123', { location })).toBe('https://rankvote.example/app/#/s/ABC123/vote');
+    expect(buildInviteLink('ABC123', { location, invite: 'a1b2' })).toBe('https://rankvote.example/app/#/s/ABC123/vote?invite=a1b2');
+});
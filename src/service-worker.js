@@ -0,0 +1,30 @@
+/* eslint-disable no-restricted-globals */
+// Service worker for the production build. CRA compiles this file with Workbox's InjectManifest, which
+// replaces self.__WB_MANIFEST with the list of built assets, so the app shell loads without a network.
+// Firestore data is not cached here: the Firestore SDK keeps its own offline cache and write queue.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Pages live in the URL hash, so every navigation is answered with the precached index.html
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtension.test(url.pathname),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and other same-origin images that are not part of the build
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+    new StaleWhileRevalidate({
+        cacheName: 'images',
+        plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+    })
+);
+
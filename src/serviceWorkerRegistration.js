@@ -0,0 +1,17 @@
+// Registers the service worker built from src/service-worker.js. Only production builds have one;
+// in development a stale worker would serve outdated bundles.
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    // The worker can only control pages on its own origin
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', async () => {
+        try {
+            await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+        } catch (e) {
+            console.error("Service worker registration failed: ", e);
+        }
+    });
+};
+
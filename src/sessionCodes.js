@@ -0,0 +1,38 @@
+// Session codes are read aloud and copied off projectors, so they leave out characters that are easy to
+// mistake for one another (0/O and 1/I). 32 characters also divide 256 evenly, so every random byte
+// maps to a character without bias.
+export const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+export const DEFAULT_CODE_LENGTH = 6;
+
+// Codes from before the alphabet was narrowed may still contain 0, 1, O and I, and a few came out shorter
+// than six characters, so joining accepts any letters and digits of a plausible length
+export const MIN_CODE_LENGTH = 4;
+export const MAX_CODE_LENGTH = 12;
+
+export const generateSessionCode = (length = DEFAULT_CODE_LENGTH, getRandomValues = (bytes) => crypto.getRandomValues(bytes)) =>
+    Array.from(getRandomValues(new Uint8Array(length)), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+// What the join form makes of whatever was typed or pasted: upper case, without spaces or dashes
+export const normalizeSessionCode = (input) => input.toUpperCase().replace(/[\s-]/g, '');
+
+export const isValidSessionCode = (code) =>
+    new RegExp(`^[A-Z0-9]{${MIN_CODE_LENGTH},${MAX_CODE_LENGTH}}$`).test(code);
+
+// Characters that get typed for one another
+const LOOKALIKES = ['0ODQ', '1IL7J', '2Z', '5S', '6G', '8B', 'UV', 'MN'];
+
+// Codes one likely typo away from `code`: a single lookalike character swapped, or two neighbouring
+// characters the wrong way round. The session code lookup checks which of them exist.
+export const similarSessionCodes = (code) => {
+    const candidates = new Set();
+    [...code].forEach((char, i) => {
+        const group = LOOKALIKES.find(lookalikes => lookalikes.includes(char)) || '';
+        [...group].filter(other => other !== char).forEach(other => {
+            candidates.add(code.slice(0, i) + other + code.slice(i + 1));
+        });
+        if (i > 0 && code[i - 1] !== char) {
+            candidates.add(code.slice(0, i - 1) + char + code[i - 1] + code.slice(i + 1));
+        }
+    });
+    return [...candidates];
+};
@@ -0,0 +1,55 @@
+import { randomFillSync } from 'crypto';
+import { CODE_ALPHABET, DEFAULT_CODE_LENGTH, generateSessionCode, normalizeSessionCode, isValidSessionCode, similarSessionCodes } from './sessionCodes';
+
+describe('generateSessionCode', () => {
+    test('draws every character from the unambiguous alphabet', () => {
+        const code = generateSessionCode(DEFAULT_CODE_LENGTH, randomFillSync);
+        expect(code).toHaveLength(DEFAULT_CODE_LENGTH);
+        expect([...code].every(char => CODE_ALPHABET.includes(char))).toBe(true);
+        expect(CODE_ALPHABET).not.toMatch(/[01OI]/);
+    });
+
+    test('has a configurable length', () => {
+        expect(generateSessionCode(9, randomFillSync)).toHaveLength(9);
+    });
+
+    test('maps each random byte onto the alphabet', () => {
+        const bytes = (array) => array.map((_, i) => [0, 31, 32, 255][i]);
+        expect(generateSessionCode(4, bytes)).toBe('2Z2Z');
+    });
+});
+
+describe('normalizeSessionCode', () => {
+    test('upper-cases and drops spaces and dashes', () => {
+        expect(normalizeSessionCode(' abc-23 4 ')).toBe('ABC234');
+    });
+});
+
+describe('isValidSessionCode', () => {
+    test('accepts new codes and codes made before the alphabet changed', () => {
+        expect(isValidSessionCode('XK4P9Q')).toBe(true);
+        expect(isValidSessionCode('0I1O5')).toBe(true);
+    });
+
+    test('rejects codes of the wrong length or with other characters', () => {
+        expect(isValidSessionCode('AB2')).toBe(false);
+        expect(isValidSessionCode('ABCDEFGHJKLMN')).toBe(false);
+        expect(isValidSessionCode('ABC 23')).toBe(false);
+        expect(isValidSessionCode('abc234')).toBe(false);
+    });
+});
+
+describe('similarSessionCodes', () => {
+    test('swaps lookalike characters', () => {
+        expect(similarSessionCodes('AB0')).toEqual(expect.arrayContaining(['ABO', 'ABD', 'ABQ', 'A80']));
+    });
+
+    test('swaps neighbouring characters', () => {
+        expect(similarSessionCodes('ACE')).toEqual(['CAE', 'AEC']);
+    });
+
+    test('never suggests the code itself', () => {
+        expect(similarSessionCodes('AAZZ')).not.toContain('AAZZ');
+        expect(new Set(similarSessionCodes('AB0')).size).toBe(similarSessionCodes('AB0').length);
+    });
+});
@@ -0,0 +1,27 @@
+import { normalizeOptions, createNameFor } from './sessions/options';
+import { sessionPhase } from './sessions/phases';
+
+// One row of the "My sessions" list. Sessions from before `createdAt` was recorded are dated by when
+// the user joined or last voted instead. Winners are listed by name.
+export const summarizeSession = (sessionCode, session, userId) => {
+    const startedAt = session.createdAt ?? session.participants?.[userId]?.joinedAt ?? session.ballotUpdatedAt?.[userId];
+    const winners = session.winners?.length ? session.winners : [session.winner].filter(Boolean);
+    return {
+        sessionCode,
+        title: session.title,
+        options: normalizeOptions(session.options),
+        isHost: session.host === userId,
+        isClosed: !!session.isVotingClosed,
+        phase: sessionPhase(session),
+        winners: winners.map(createNameFor(session.options)),
+        date: startedAt?.toMillis?.() ?? null,
+    };
+};
+
+// Combines the sessions found by several queries into one list, each session once, newest first
+export const buildSessionHistory = (found, userId) => {
+    const sessions = new Map(found.map(({ sessionCode, session }) => [sessionCode, session]));
+    return [...sessions]
+        .map(([sessionCode, session]) => summarizeSession(sessionCode, session, userId))
+        .sort((a, b) => (b.date ?? 0) - (a.date ?? 0));
+};
@@ -0,0 +1,55 @@
+import { summarizeSession, buildSessionHistory } from './sessionHistory';
+
+const at = (millis) => ({ toMillis: () => millis });
+
+describe('summarizeSession', () => {
+    test('reports the role, status, winners and creation date', () => {
+        const session = { title: 'Lunch', options: ['A', 'B'], host: 'me', isVotingClosed: true, winners: ['B'], createdAt: at(100) };
+        expect(summarizeSession('ABC123', session, 'me')).toEqual({
+            sessionCode: 'ABC123',
+            title: 'Lunch',
+            options: [{ id: 'A', name: 'A' }, { id: 'B', name: 'B' }],
+            isHost: true,
+            isClosed: true,
+            phase: 'closed',
+            winners: ['B'],
+            date: 100,
+        });
+    });
+
+    test('names winners that are stored by option id', () => {
+        const session = { options: [{ id: 'x1', name: 'Pizza' }, { id: 'x2', name: 'Thai' }], isVotingClosed: true, winners: ['x2'] };
+        expect(summarizeSession('A', session, 'me').winners).toEqual(['Thai']);
+    });
+
+    test('reports sessions that are still collecting suggestions', () => {
+        expect(summarizeSession('A', { phase: 'collecting', isVotingClosed: false }, 'me')).toMatchObject({ isClosed: false, phase: 'collecting' });
+    });
+
+    test('falls back to the single winner of older sessions', () => {
+        const session = { title: 'Lunch', host: 'other', isVotingClosed: true, winner: 'A' };
+        expect(summarizeSession('ABC123', session, 'me')).toMatchObject({ isHost: false, winners: ['A'], options: [] });
+    });
+
+    test('dates sessions without createdAt by when the user joined or voted', () => {
+        expect(summarizeSession('A', { participants: { me: { joinedAt: at(5) } }, ballotUpdatedAt: { me: at(9) } }, 'me').date).toBe(5);
+        expect(summarizeSession('A', { ballotUpdatedAt: { me: at(9) } }, 'me').date).toBe(9);
+        expect(summarizeSession('A', {}, 'me').date).toBeNull();
+    });
+
+    test('lists open sessions without winners', () => {
+        expect(summarizeSession('A', { isVotingClosed: false, winner: null, winners: [] }, 'me')).toMatchObject({ isClosed: false, winners: [] });
+    });
+});
+
+describe('buildSessionHistory', () => {
+    test('lists each session once, newest first and undated last', () => {
+        const found = [
+            { sessionCode: 'OLD', session: { title: 'Old', createdAt: at(1) } },
+            { sessionCode: 'NONE', session: { title: 'Undated' } },
+            { sessionCode: 'NEW', session: { title: 'New', createdAt: at(3) } },
+            { sessionCode: 'OLD', session: { title: 'Old', createdAt: at(1) } },
+        ];
+        expect(buildSessionHistory(found, 'me').map(entry => entry.sessionCode)).toEqual(['NEW', 'OLD', 'NONE']);
+    });
+});
@@ -0,0 +1,14 @@
+// Results, tie state and automatic close conditions that reopening a session clears. The close conditions
+// would otherwise close the session again straight away.
+export const REOPEN_CLEARED_FIELDS = [
+    'rounds',
+    'tally',
+    'tieBreaks',
+    'tieBreakDecisions',
+    'pendingTie',
+    'closeError',
+    'closeRequestedAt',
+    'closesAt',
+    'closeAfterBallots',
+    'closeWhenAllVoted',
+];
@@ -0,0 +1,151 @@
+import { doc, collection, query, where, getDoc, getDocs, setDoc, runTransaction, onSnapshot, updateDoc, deleteDoc, writeBatch, arrayUnion, deleteField, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { REOPEN_CLEARED_FIELDS } from './fields';
+import { suggestionToOption } from './suggestions';
+
+// Session repository backed by Cloud Firestore. Sessions live at /artifacts/{appId}/public/data/sessions/{code};
+// the tallying Cloud Functions close them, and firestore.rules decides who may make each of these writes.
+// `functions` reaches the Cloud Functions that take secret ballots.
+export const createFirestoreRepository = (db, appId, functions) => {
+    const sessionsRef = collection(db, `/artifacts/${appId}/public/data/sessions`);
+    const sessionRef = (sessionCode) => doc(sessionsRef, sessionCode);
+    const toTimestamp = (date) => date && Timestamp.fromDate(date);
+
+    return {
+        // Calls `onChange(session, { hasPendingWrites })` with the session (null once it is gone) on every
+        // change, including when this device's own writes reach the server
+        subscribeSession: (sessionCode, onChange, onError) => onSnapshot(sessionRef(sessionCode), { includeMetadataChanges: true }, (docSnap) => {
+            onChange(docSnap.exists() ? docSnap.data() : null, { hasPendingWrites: docSnap.metadata.hasPendingWrites });
+        }, onError),
+
+        getSession: async (sessionCode) => {
+            const docSnap = await getDoc(sessionRef(sessionCode));
+            return docSnap.exists() ? docSnap.data() : null;
+        },
+
+        // Creates the session only while its code is still free, resolving to whether it was created
+        createSession: (sessionCode, session) => runTransaction(db, async (transaction) => {
+            const ref = sessionRef(sessionCode);
+            if ((await transaction.get(ref)).exists()) return false;
+            transaction.set(ref, {
+                ...session,
+                createdAt: serverTimestamp(),
+                opensAt: toTimestamp(session.opensAt),
+                closesAt: toTimestamp(session.closesAt),
+            });
+            return true;
+        }),
+
+        // Sessions the user hosts or joined. These are the only queries firestore.rules lets through.
+        findUserSessions: async (userId) => {
+            const snapshots = await Promise.all([
+                getDocs(query(sessionsRef, where('host', '==', userId))),
+                getDocs(query(sessionsRef, where(`participants.${userId}`, '!=', null))),
+            ]);
+            return snapshots.flatMap(snapshot => snapshot.docs.map(docSnap => ({ sessionCode: docSnap.id, session: docSnap.data() })));
+        },
+
+        // Which of `sessionCodes` belong to existing sessions the user may open. Sessions cannot be queried by
+        // code, so each is fetched on its own; invite-only ones the user has not joined are left out.
+        findExistingCodes: async (sessionCodes) => {
+            const found = await Promise.all(sessionCodes.map(sessionCode => getDoc(sessionRef(sessionCode))
+                .then(docSnap => docSnap.exists(), (e) => {
+                    if (e.code !== 'permission-denied') throw e;
+                    return false;
+                })));
+            return sessionCodes.filter((_, i) => found[i]);
+        },
+
+        getInvite: async (sessionCode, token) => {
+            const inviteSnap = await getDoc(doc(sessionRef(sessionCode), 'invites', token));
+            return inviteSnap.exists() ? inviteSnap.data() : null;
+        },
+
+        // Adds the user under their display name, claiming their invite in the same batch when there is one
+        joinSession: (sessionCode, userId, { name, invite }) => {
+            const batch = writeBatch(db);
+            batch.update(sessionRef(sessionCode), {
+                [`participants.${userId}`]: { joinedAt: serverTimestamp(), name, ...(invite && { invite }) }
+            });
+            if (invite) batch.update(doc(sessionRef(sessionCode), 'invites', invite), { claimedBy: userId });
+            return batch.commit();
+        },
+
+        // Options carry a unique id, so arrayUnion only ever drops a repeat of the very same option
+        addOption: (sessionCode, option) => updateDoc(sessionRef(sessionCode), { options: arrayUnion(option) }),
+
+        // Several options in one write, as from an imported list
+        addOptions: (sessionCode, options) => updateDoc(sessionRef(sessionCode), { options: arrayUnion(...options) }),
+
+        // A participant's suggested choice, added under their own uid
+        suggestOption: (sessionCode, userId, suggestion) => updateDoc(sessionRef(sessionCode), {
+            [`suggestions.${userId}.${suggestion.id}`]: { ...suggestion, suggestedAt: serverTimestamp() }
+        }),
+
+        // The host adding a suggestion to the choices as a new option
+        approveSuggestion: (sessionCode, suggestion) => updateDoc(sessionRef(sessionCode), {
+            options: arrayUnion(suggestionToOption(suggestion)),
+            [`suggestions.${suggestion.suggestedBy}.${suggestion.id}.status`]: 'approved',
+        }),
+
+        // The host rejecting a suggestion, or merging it with the existing choice `mergedInto`
+        resolveSuggestion: (sessionCode, suggestion, { status, mergedInto }) => updateDoc(sessionRef(sessionCode), {
+            [`suggestions.${suggestion.suggestedBy}.${suggestion.id}.status`]: status,
+            ...(mergedInto && { [`suggestions.${suggestion.suggestedBy}.${suggestion.id}.mergedInto`]: mergedInto }),
+        }),
+
+        // Host changes to plain fields such as `options`, `phase`, `isLocked` and `host`
+        updateSession: (sessionCode, changes) => updateDoc(sessionRef(sessionCode), changes),
+
+        castBallot: (sessionCode, userId, ballot) => updateDoc(sessionRef(sessionCode), {
+            [`votes.${userId}`]: ballot,
+            [`ballotUpdatedAt.${userId}`]: serverTimestamp()
+        }),
+
+        withdrawBallot: (sessionCode, userId) => updateDoc(sessionRef(sessionCode), {
+            [`votes.${userId}`]: deleteField(),
+            [`ballotUpdatedAt.${userId}`]: serverTimestamp()
+        }),
+
+        // The host taking a ballot out of an open session
+        removeBallot: (sessionCode, voterId) => updateDoc(sessionRef(sessionCode), {
+            [`votes.${voterId}`]: deleteField(),
+            [`ballotUpdatedAt.${voterId}`]: deleteField(),
+        }),
+
+        // Secret ballots are handed to the castSecretBallot Cloud Function, which stores them where nobody
+        // can tell whose they are and sets the caller's `voted` flag. A null ballot withdraws it.
+        castSecretBallot: async (sessionCode, userId, ballot) => {
+            await httpsCallable(functions, 'castSecretBallot')({ appId, sessionCode, ballot });
+        },
+
+        // Asks the tallying Cloud Function to count the ballots, with the host's tie decisions so far if given
+        requestClose: (sessionCode, { tieBreakDecisions } = {}) => updateDoc(sessionRef(sessionCode), {
+            closeRequestedAt: serverTimestamp(),
+            ...(tieBreakDecisions && { tieBreakDecisions }),
+        }),
+
+        reopenVoting: (sessionCode) => updateDoc(sessionRef(sessionCode), {
+            isVotingClosed: false,
+            phase: 'voting',
+            winner: null,
+            winners: [],
+            ...Object.fromEntries(REOPEN_CLEARED_FIELDS.map(field => [field, deleteField()])),
+        }),
+
+        // The deleteSessionSubcollections Cloud Function removes the session's invites and secret ballots
+        deleteSession: (sessionCode) => deleteDoc(sessionRef(sessionCode)),
+
+        subscribeInvites: (sessionCode, onChange, onError) => onSnapshot(collection(sessionRef(sessionCode), 'invites'), (snapshot) => {
+            onChange(snapshot.docs.map(invite => ({ token: invite.id, ...invite.data() })));
+        }, onError),
+
+        createInvite: (sessionCode, token, name) => setDoc(doc(sessionRef(sessionCode), 'invites', token), {
+            name,
+            createdAt: serverTimestamp(),
+            claimedBy: null,
+        }),
+
+        deleteInvite: (sessionCode, token) => deleteDoc(doc(sessionRef(sessionCode), 'invites', token)),
+    };
+};
@@ -0,0 +1,38 @@
+export { createFirestoreRepository } from './firestoreRepository';
+export { createLocalRepository, createMemoryStorage, LocalTimestamp } from './localRepository';
+export {
+    MAX_OPTION_NAME_LENGTH,
+    MAX_OPTION_DESCRIPTION_LENGTH,
+    MAX_OPTION_TAGS,
+    MAX_IMAGE_DATA_URL_LENGTH,
+    MAX_LINK_LENGTH,
+    MAX_TOTAL_IMAGE_DATA_LENGTH,
+    DEFAULT_MAX_OPTIONS,
+    MAX_OPTIONS_LIMIT,
+    maxOptionsOf,
+    generateOptionId,
+    normalizeOption,
+    normalizeOptions,
+    findOption,
+    createNameFor,
+    findDuplicateOption,
+    optionTags,
+    matchesOptionFilter,
+    parseTags,
+    isWebUrl,
+    validateOption,
+    exceedsImageBudget,
+    createOption,
+    updateOption,
+} from './options';
+export { SESSION_PHASES, sessionPhase, canReturnToCollecting } from './phases';
+export {
+    MAX_SUGGESTIONS_PER_PARTICIPANT,
+    SUGGESTION_STATUSES,
+    listSuggestions,
+    pendingSuggestions,
+    validateSuggestion,
+    nextSuggestionId,
+    createSuggestion,
+    suggestionToOption,
+} from './suggestions';
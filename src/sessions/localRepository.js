@@ -0,0 +1,238 @@
+import { closingUpdate, shouldAutoClose } from '../tabulation/closing';
+import { optionId } from '../tabulation/options';
+import { REOPEN_CLEARED_FIELDS } from './fields';
+import { suggestionToOption } from './suggestions';
+
+// Stands in for Firestore's Timestamp, with the methods the app calls on session times
+export class LocalTimestamp {
+    constructor(millis) {
+        this.millis = millis;
+    }
+
+    static fromDate(date) {
+        return new LocalTimestamp(date.getTime());
+    }
+
+    toMillis() {
+        return this.millis;
+    }
+
+    toDate() {
+        return new Date(this.millis);
+    }
+
+    isEqual(other) {
+        return other instanceof LocalTimestamp && other.millis === this.millis;
+    }
+
+    toJSON() {
+        return { localTimestamp: this.millis };
+    }
+}
+
+const reviveTimestamps = (key, value) => (value && typeof value.localTimestamp === 'number' ? new LocalTimestamp(value.localTimestamp) : value);
+
+// Bare Storage-like object for when there is no localStorage, e.g. in tests
+export const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+// Session repository that keeps everything in this browser, for demos without a Firebase project and for
+// tests. It closes sessions itself with the same code as the tallying Cloud Functions, and a
+// BroadcastChannel keeps other tabs of the same browser up to date. There are no security rules: every
+// tab is trusted.
+export const createLocalRepository = ({
+    storage = createMemoryStorage(),
+    storageKey = 'rankvote:localSessions',
+    channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(storageKey) : null,
+    now = () => Date.now(),
+} = {}) => {
+    const sessionListeners = new Set();
+    const inviteListeners = new Set();
+
+    // `sessions`, plus the `invites` and secret `ballots` kept beside each session, by session code
+    const load = () => JSON.parse(storage.getItem(storageKey) || 'null', reviveTimestamps) || { sessions: {}, invites: {}, ballots: {} };
+
+    const notify = (sessionCode) => {
+        const state = load();
+        sessionListeners.forEach(listener => listener.sessionCode === sessionCode && listener.onChange(state.sessions[sessionCode] ?? null, { hasPendingWrites: false }));
+        inviteListeners.forEach(listener => listener.sessionCode === sessionCode && listener.onChange(invitesOf(state, sessionCode)));
+    };
+
+    if (channel) {
+        channel.onmessage = (event) => notify(event.data.sessionCode);
+    }
+
+    const invitesOf = (state, sessionCode) => Object.entries(state.invites[sessionCode] || {}).map(([token, invite]) => ({ token, ...invite }));
+
+    // Applies `change` to the stored state and tells this tab's and other tabs' listeners about it.
+    // Writes are synchronous underneath but resolve like Firestore's so callers can treat both alike.
+    const write = async (sessionCode, change) => {
+        const state = load();
+        const result = change(state);
+        storage.setItem(storageKey, JSON.stringify(state));
+        notify(sessionCode);
+        channel?.postMessage({ sessionCode });
+        return result;
+    };
+
+    const requireSession = (state, sessionCode) => {
+        const session = state.sessions[sessionCode];
+        if (!session) throw new Error(`No session with code ${sessionCode}.`);
+        return session;
+    };
+
+    // Like arrayUnion, adding the same option twice keeps one copy
+    const addOptionsTo = (session, options) => options.forEach(option => {
+        if (!session.options.some(existing => optionId(existing) === optionId(option))) session.options.push(option);
+    });
+
+    const close = (state, sessionCode) => {
+        const session = state.sessions[sessionCode];
+        const secretBallots = session.secretBallot ? Object.values(state.ballots[sessionCode] || {}) : undefined;
+        Object.assign(session, closingUpdate(session, secretBallots));
+    };
+
+    // What the closeVotingOnRequest function does after each ballot
+    const closeIfDue = (state, sessionCode) => {
+        const session = state.sessions[sessionCode];
+        const pendingInvites = session.access === 'invite' ? invitesOf(state, sessionCode).filter(invite => !invite.claimedBy).length : 0;
+        if (shouldAutoClose(session, now(), { pendingInvites })) close(state, sessionCode);
+    };
+
+    return {
+        subscribeSession: (sessionCode, onChange) => {
+            const listener = { sessionCode, onChange };
+            sessionListeners.add(listener);
+            onChange(load().sessions[sessionCode] ?? null, { hasPendingWrites: false });
+            return () => sessionListeners.delete(listener);
+        },
+
+        getSession: async (sessionCode) => load().sessions[sessionCode] ?? null,
+
+        createSession: (sessionCode, session) => write(sessionCode, (state) => {
+            if (state.sessions[sessionCode]) return false;
+            state.sessions[sessionCode] = {
+                ...session,
+                createdAt: new LocalTimestamp(now()),
+                opensAt: session.opensAt && LocalTimestamp.fromDate(session.opensAt),
+                closesAt: session.closesAt && LocalTimestamp.fromDate(session.closesAt),
+            };
+            return true;
+        }),
+
+        findUserSessions: async (userId) => Object.entries(load().sessions)
+            .filter(([, session]) => session.host === userId || session.participants?.[userId])
+            .map(([sessionCode, session]) => ({ sessionCode, session })),
+
+        findExistingCodes: async (sessionCodes) => {
+            const { sessions } = load();
+            return sessionCodes.filter(sessionCode => sessions[sessionCode]);
+        },
+
+        getInvite: async (sessionCode, token) => load().invites[sessionCode]?.[token] ?? null,
+
+        joinSession: (sessionCode, userId, { name, invite }) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            session.participants = { ...session.participants, [userId]: { joinedAt: new LocalTimestamp(now()), name, ...(invite && { invite }) } };
+            if (invite) state.invites[sessionCode][invite].claimedBy = userId;
+        }),
+
+        addOption: (sessionCode, option) => write(sessionCode, (state) => {
+            addOptionsTo(requireSession(state, sessionCode), [option]);
+        }),
+
+        addOptions: (sessionCode, options) => write(sessionCode, (state) => {
+            addOptionsTo(requireSession(state, sessionCode), options);
+        }),
+
+        suggestOption: (sessionCode, userId, suggestion) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            const own = { ...session.suggestions?.[userId], [suggestion.id]: { ...suggestion, suggestedAt: new LocalTimestamp(now()) } };
+            session.suggestions = { ...session.suggestions, [userId]: own };
+        }),
+
+        approveSuggestion: (sessionCode, suggestion) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            addOptionsTo(session, [suggestionToOption(suggestion)]);
+            session.suggestions[suggestion.suggestedBy][suggestion.id].status = 'approved';
+        }),
+
+        resolveSuggestion: (sessionCode, suggestion, { status, mergedInto }) => write(sessionCode, (state) => {
+            const stored = requireSession(state, sessionCode).suggestions[suggestion.suggestedBy][suggestion.id];
+            Object.assign(stored, { status, ...(mergedInto && { mergedInto }) });
+        }),
+
+        updateSession: (sessionCode, changes) => write(sessionCode, (state) => {
+            Object.assign(requireSession(state, sessionCode), changes);
+        }),
+
+        castBallot: (sessionCode, userId, ballot) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            session.votes = { ...session.votes, [userId]: ballot };
+            session.ballotUpdatedAt = { ...session.ballotUpdatedAt, [userId]: new LocalTimestamp(now()) };
+            closeIfDue(state, sessionCode);
+        }),
+
+        withdrawBallot: (sessionCode, userId) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            delete session.votes?.[userId];
+            session.ballotUpdatedAt = { ...session.ballotUpdatedAt, [userId]: new LocalTimestamp(now()) };
+        }),
+
+        removeBallot: (sessionCode, voterId) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            delete session.votes?.[voterId];
+            delete session.ballotUpdatedAt?.[voterId];
+        }),
+
+        // Kept beside the session by voter, where the server uses an id only its Cloud Function can work out;
+        // this browser is the only one that ever sees them
+        castSecretBallot: (sessionCode, userId, ballot) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            state.ballots[sessionCode] = { ...state.ballots[sessionCode], [userId]: ballot };
+            session.voted = { ...session.voted, [userId]: ballot !== null };
+            closeIfDue(state, sessionCode);
+        }),
+
+        // Counts the ballots straight away, as there is no Cloud Function to hand the request to
+        requestClose: (sessionCode, { tieBreakDecisions } = {}) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            if (session.isVotingClosed) return;
+            if (tieBreakDecisions) session.tieBreakDecisions = tieBreakDecisions;
+            close(state, sessionCode);
+        }),
+
+        reopenVoting: (sessionCode) => write(sessionCode, (state) => {
+            const session = requireSession(state, sessionCode);
+            Object.assign(session, { isVotingClosed: false, phase: 'voting', winner: null, winners: [] });
+            REOPEN_CLEARED_FIELDS.forEach(field => delete session[field]);
+        }),
+
+        deleteSession: (sessionCode) => write(sessionCode, (state) => {
+            delete state.sessions[sessionCode];
+            delete state.invites[sessionCode];
+            delete state.ballots[sessionCode];
+        }),
+
+        subscribeInvites: (sessionCode, onChange) => {
+            const listener = { sessionCode, onChange };
+            inviteListeners.add(listener);
+            onChange(invitesOf(load(), sessionCode));
+            return () => inviteListeners.delete(listener);
+        },
+
+        createInvite: (sessionCode, token, name) => write(sessionCode, (state) => {
+            state.invites[sessionCode] = { ...state.invites[sessionCode], [token]: { name, createdAt: new LocalTimestamp(now()), claimedBy: null } };
+        }),
+
+        deleteInvite: (sessionCode, token) => write(sessionCode, (state) => {
+            delete state.invites[sessionCode]?.[token];
+        }),
+    };
+};
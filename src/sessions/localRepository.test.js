@@ -0,0 +1,188 @@
+import { createLocalRepository, createMemoryStorage, LocalTimestamp } from './localRepository';
+import { createSuggestion, listSuggestions } from './suggestions';
+import { sessionPhase } from './phases';
+
+const newSession = (overrides = {}) => ({
+    title: 'Dinner',
+    method: 'irv',
+    options: ['Mexican', 'Thai'],
+    votes: {},
+    ballotUpdatedAt: {},
+    participants: {},
+    voted: {},
+    host: 'host',
+    isLocked: false,
+    isVotingClosed: false,
+    winner: null,
+    winners: [],
+    opensAt: null,
+    closesAt: null,
+    ...overrides,
+});
+
+// A stand-in BroadcastChannel pair that delivers messages to the other end only, like separate tabs
+const channelPair = () => {
+    const ends = [{}, {}];
+    ends.forEach((end, i) => {
+        end.postMessage = (data) => ends[1 - i].onmessage?.({ data });
+    });
+    return ends;
+};
+
+describe('createLocalRepository', () => {
+    test('creates a session only while its code is free', async () => {
+        const repository = createLocalRepository({ channel: null, now: () => 1000 });
+        expect(await repository.createSession('ABC234', newSession({ closesAt: new Date(5000) }))).toBe(true);
+        expect(await repository.createSession('ABC234', newSession({ title: 'Lunch' }))).toBe(false);
+
+        const session = await repository.getSession('ABC234');
+        expect(session.title).toBe('Dinner');
+        expect(session.createdAt.toMillis()).toBe(1000);
+        expect(session.closesAt).toBeInstanceOf(LocalTimestamp);
+        expect(session.closesAt.toMillis()).toBe(5000);
+    });
+
+    test('tells subscribers about every change', async () => {
+        const repository = createLocalRepository({ channel: null });
+        const seen = [];
+        const unsubscribe = repository.subscribeSession('ABC234', (session, { hasPendingWrites }) => seen.push([session?.options, hasPendingWrites]));
+        await repository.createSession('ABC234', newSession());
+        await repository.addOption('ABC234', 'Pizza');
+        unsubscribe();
+        await repository.addOption('ABC234', 'Sushi');
+
+        expect(seen).toEqual([
+            [undefined, false],
+            [['Mexican', 'Thai'], false],
+            [['Mexican', 'Thai', 'Pizza'], false],
+        ]);
+    });
+
+    test('adds a list of options at once, keeping one copy of each', async () => {
+        const repository = createLocalRepository({ channel: null });
+        await repository.createSession('ABC234', newSession({ options: [] }));
+        const keynote = { id: 'k1', name: 'Keynote' };
+        await repository.addOptions('ABC234', [keynote, { id: 'p2', name: 'Panel' }]);
+        await repository.addOptions('ABC234', [keynote]);
+
+        expect((await repository.getSession('ABC234')).options.map(option => option.id)).toEqual(['k1', 'p2']);
+    });
+
+    test('keeps sessions in storage across repositories', async () => {
+        const storage = createMemoryStorage();
+        await createLocalRepository({ storage, channel: null }).createSession('ABC234', newSession());
+        expect((await createLocalRepository({ storage, channel: null }).getSession('ABC234')).title).toBe('Dinner');
+    });
+
+    test('syncs other tabs through the channel', async () => {
+        const storage = createMemoryStorage();
+        const [first, second] = channelPair();
+        const tab = createLocalRepository({ storage, channel: first });
+        const otherTab = createLocalRepository({ storage, channel: second });
+        const seen = [];
+        otherTab.subscribeSession('ABC234', session => seen.push(session?.title));
+
+        await tab.createSession('ABC234', newSession());
+
+        expect(seen).toEqual([undefined, 'Dinner']);
+    });
+
+    test('joins, claims invites and finds the sessions a user is in', async () => {
+        const repository = createLocalRepository({ channel: null });
+        await repository.createSession('ABC234', newSession({ access: 'invite' }));
+        await repository.createInvite('ABC234', 'token-1', 'Vera');
+        await repository.joinSession('ABC234', 'voter', { name: 'Vera', invite: 'token-1' });
+
+        expect((await repository.getSession('ABC234')).participants.voter).toMatchObject({ name: 'Vera', invite: 'token-1' });
+        expect(await repository.getInvite('ABC234', 'token-1')).toMatchObject({ claimedBy: 'voter' });
+        expect((await repository.findUserSessions('voter')).map(entry => entry.sessionCode)).toEqual(['ABC234']);
+        expect(await repository.findUserSessions('stranger')).toEqual([]);
+        expect(await repository.findExistingCodes(['ABC234', 'XYZ789'])).toEqual(['ABC234']);
+    });
+
+    test('counts the ballots itself when the close is requested, and reopens', async () => {
+        const repository = createLocalRepository({ channel: null });
+        await repository.createSession('ABC234', newSession());
+        await repository.castBallot('ABC234', 'a', ['Thai', 'Mexican']);
+        await repository.castBallot('ABC234', 'b', ['Thai']);
+        await repository.castBallot('ABC234', 'c', ['Mexican']);
+        await repository.withdrawBallot('ABC234', 'c');
+        await repository.requestClose('ABC234');
+
+        let session = await repository.getSession('ABC234');
+        expect(session).toMatchObject({ isVotingClosed: true, phase: 'closed' });
+        expect(session.winners).toEqual(['Thai']);
+        expect(Object.keys(session.votes)).toEqual(['a', 'b']);
+
+        await repository.reopenVoting('ABC234');
+        session = await repository.getSession('ABC234');
+        expect(session).toMatchObject({ isVotingClosed: false, phase: 'voting', winner: null, winners: [] });
+        expect(session.rounds).toBeUndefined();
+    });
+
+    test('collects suggestions per participant and records how the host dealt with each', async () => {
+        const repository = createLocalRepository({ channel: null, now: () => 1000 });
+        await repository.createSession('ABC234', newSession({ phase: 'collecting' }));
+        await repository.suggestOption('ABC234', 'vera', createSuggestion({ name: 'Sushi' }, 's1'));
+        await repository.suggestOption('ABC234', 'vera', createSuggestion({ name: 'Tacos' }, 's2'));
+        await repository.suggestOption('ABC234', 'otto', createSuggestion({ name: 'sushi' }, 's3'));
+
+        const [sushi, tacos, duplicate] = listSuggestions(await repository.getSession('ABC234'));
+        expect(sushi).toMatchObject({ id: 's1', name: 'Sushi', status: 'pending', suggestedBy: 'vera' });
+        expect(sushi.suggestedAt.toMillis()).toBe(1000);
+
+        await repository.approveSuggestion('ABC234', sushi);
+        const added = (await repository.getSession('ABC234')).options[2];
+        await repository.resolveSuggestion('ABC234', duplicate, { status: 'merged', mergedInto: added.id });
+        await repository.resolveSuggestion('ABC234', tacos, { status: 'rejected' });
+        await repository.updateSession('ABC234', { phase: 'voting' });
+
+        const session = await repository.getSession('ABC234');
+        expect(session.options).toEqual(['Mexican', 'Thai', { id: added.id, name: 'Sushi' }]);
+        expect(added.id).not.toBe('s1');
+        expect(session.suggestions.vera.s1.status).toBe('approved');
+        expect(session.suggestions.vera.s2.status).toBe('rejected');
+        expect(session.suggestions.otto.s3).toMatchObject({ status: 'merged', mergedInto: added.id });
+        expect(sessionPhase(session)).toBe('voting');
+    });
+
+    test('keeps secret ballots out of the session and closes automatically when due', async () => {
+        const repository = createLocalRepository({ channel: null });
+        await repository.createSession('ABC234', newSession({ secretBallot: true, closeAfterBallots: 2 }));
+        await repository.castSecretBallot('ABC234', 'a', ['Mexican']);
+
+        let session = await repository.getSession('ABC234');
+        expect(session.voted).toEqual({ a: true });
+        expect(session.votes).toEqual({});
+        expect(session.isVotingClosed).toBe(false);
+
+        await repository.castSecretBallot('ABC234', 'b', ['Mexican', 'Thai']);
+        session = await repository.getSession('ABC234');
+        expect(session.isVotingClosed).toBe(true);
+        expect(session.winners).toEqual(['Mexican']);
+    });
+
+    test('waits for every invitee before closing once everyone has voted', async () => {
+        const repository = createLocalRepository({ channel: null });
+        await repository.createSession('ABC234', newSession({ access: 'invite', closeWhenAllVoted: true }));
+        await repository.createInvite('ABC234', 'token-1', 'Vera');
+        await repository.createInvite('ABC234', 'token-2', 'Otto');
+        await repository.joinSession('ABC234', 'vera', { name: 'Vera', invite: 'token-1' });
+        await repository.castBallot('ABC234', 'vera', ['Thai']);
+        expect((await repository.getSession('ABC234')).isVotingClosed).toBe(false);
+
+        await repository.joinSession('ABC234', 'otto', { name: 'Otto', invite: 'token-2' });
+        await repository.castBallot('ABC234', 'otto', ['Thai']);
+        expect((await repository.getSession('ABC234')).isVotingClosed).toBe(true);
+    });
+
+    test('deletes a session with its invites', async () => {
+        const repository = createLocalRepository({ channel: null });
+        await repository.createSession('ABC234', newSession());
+        await repository.createInvite('ABC234', 'token-1', 'Vera');
+        await repository.deleteSession('ABC234');
+
+        expect(await repository.getSession('ABC234')).toBeNull();
+        expect(await repository.getInvite('ABC234', 'token-1')).toBeNull();
+    });
+});
@@ -0,0 +1,113 @@
+import { optionId } from '../tabulation';
+
+// What an option can carry besides its name. Images live in the session document itself, either as a
+// link or as a small data URL of an uploaded picture, so uploads are kept well under Firestore's 1 MB limit.
+export const MAX_OPTION_NAME_LENGTH = 80;
+export const MAX_OPTION_DESCRIPTION_LENGTH = 500;
+export const MAX_OPTION_TAGS = 5;
+export const MAX_TAG_LENGTH = 24;
+export const MAX_IMAGE_DATA_URL_LENGTH = 60000;
+export const MAX_LINK_LENGTH = 2000;
+// Room for uploaded pictures across all of a session's options, whatever its option cap
+export const MAX_TOTAL_IMAGE_DATA_LENGTH = 600000;
+
+// Option cap for sessions created before the cap was configurable, and the highest cap a host may set.
+// firestore.rules enforces the same numbers.
+export const DEFAULT_MAX_OPTIONS = 10;
+export const MAX_OPTIONS_LIMIT = 100;
+
+export const maxOptionsOf = (session) => session.maxOptions || DEFAULT_MAX_OPTIONS;
+
+export const generateOptionId = (getRandomValues = (bytes) => crypto.getRandomValues(bytes)) =>
+    Array.from(getRandomValues(new Uint8Array(6)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Every stored option as an object. Plain names from older sessions keep the name as their id, which is
+// what their ballots refer to.
+export const normalizeOption = (option) => typeof option === 'string' ? { id: option, name: option } : option;
+
+export const normalizeOptions = (options = []) => options.map(normalizeOption);
+
+// The option a ballot or result refers to. Ids that are not options any more are shown as they are.
+export const findOption = (options = [], id) => normalizeOption(options.find(option => optionId(option) === id) ?? id);
+
+// Looks up display names by option id, for tables and messages that only need the name
+export const createNameFor = (options = []) => {
+    const names = new Map(options.map(option => [optionId(option), normalizeOption(option).name]));
+    return (id) => names.get(id) ?? id;
+};
+
+// Names compared the way people would: ignoring case and extra spaces
+const comparableName = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// The option `name` duplicates, if any
+export const findDuplicateOption = (options = [], name) =>
+    options.map(normalizeOption).find(option => comparableName(option.name) === comparableName(name)) ?? null;
+
+// Every tag used by the options, in the order they first appear
+export const optionTags = (options = []) => {
+    const tags = options.flatMap(option => normalizeOption(option).tags || []);
+    return tags.filter((tag, index) => tags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index);
+};
+
+// Whether an option matches a ballot's search text (in its name, description or tags) and chosen tag
+export const matchesOptionFilter = (option, { query = '', tag = '' } = {}) => {
+    const { name, description = '', tags = [] } = normalizeOption(option);
+    const text = query.trim().toLowerCase();
+    const matchesQuery = text === '' || [name, description, ...tags].some(value => value.toLowerCase().includes(text));
+    return matchesQuery && (tag === '' || tags.some(other => other.toLowerCase() === tag.toLowerCase()));
+};
+
+// "vegan, Cheap,  vegan" → ['vegan', 'Cheap']
+export const parseTags = (text) => {
+    const tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+    return tags.filter((tag, index) => tags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index);
+};
+
+export const isWebUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+const isImageDataUrl = (value) => /^data:image\/(png|jpeg|gif|webp);base64,/.test(value);
+
+// Why an option with these fields cannot be saved, or null if it can. Links are limited to http(s) so a
+// host cannot plant a javascript: URL on everyone's ballot.
+export const validateOption = ({ name = '', description = '', imageUrl = '', link = '', tags = [] }) => {
+    if (name.trim() === '') return 'Give the choice a name.';
+    if (name.trim().length > MAX_OPTION_NAME_LENGTH) return `Names can be at most ${MAX_OPTION_NAME_LENGTH} characters.`;
+    if (description.trim().length > MAX_OPTION_DESCRIPTION_LENGTH) return `Descriptions can be at most ${MAX_OPTION_DESCRIPTION_LENGTH} characters.`;
+    if (link.trim() && !isWebUrl(link.trim())) return 'Links must start with http:// or https://.';
+    if (link.trim().length > MAX_LINK_LENGTH || (isWebUrl(imageUrl) && imageUrl.length > MAX_LINK_LENGTH)) return `Links can be at most ${MAX_LINK_LENGTH} characters.`;
+    if (imageUrl && !isWebUrl(imageUrl) && !isImageDataUrl(imageUrl)) return 'Images must be an http(s) link or an uploaded picture.';
+    if (imageUrl.length > MAX_IMAGE_DATA_URL_LENGTH) return 'That picture is too large. Try a smaller one.';
+    if (tags.length > MAX_OPTION_TAGS) return `A choice can have at most ${MAX_OPTION_TAGS} tags.`;
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) return `Tags can be at most ${MAX_TAG_LENGTH} characters.`;
+    return null;
+};
+
+// Whether saving an option with `imageUrl` in place of `replacedId`'s picture would take the session's
+// uploaded pictures past their shared room in the session document
+export const exceedsImageBudget = (options = [], imageUrl = '', replacedId = null) => {
+    if (!imageUrl.startsWith('data:')) return false;
+    const used = options.map(normalizeOption)
+        .filter(option => option.id !== replacedId && option.imageUrl?.startsWith('data:'))
+        .reduce((total, option) => total + option.imageUrl.length, 0);
+    return used + imageUrl.length > MAX_TOTAL_IMAGE_DATA_LENGTH;
+};
+
+// The fields worth storing, trimmed, with empty ones left out so plain options stay small
+const cleanFields = ({ name, description = '', imageUrl = '', link = '', tags = [] }) => ({
+    name: name.trim(),
+    ...(description.trim() && { description: description.trim() }),
+    ...(imageUrl && { imageUrl }),
+    ...(link.trim() && { link: link.trim() }),
+    ...(tags.length > 0 && { tags }),
+});
+
+export const createOption = (fields, id = generateOptionId()) => ({ id, ...cleanFields(fields) });
+
+// Replaces an option's details while keeping its id, so ballots that rank it are unaffected
+export const updateOption = (option, fields) => ({ id: optionId(option), ...cleanFields(fields) });
@@ -0,0 +1,101 @@
+import { randomFillSync } from 'crypto';
+import { generateOptionId, normalizeOptions, findOption, createNameFor, findDuplicateOption, optionTags, matchesOptionFilter, parseTags, validateOption, exceedsImageBudget, createOption, updateOption, maxOptionsOf, MAX_OPTION_NAME_LENGTH, MAX_LINK_LENGTH, MAX_TOTAL_IMAGE_DATA_LENGTH } from './options';
+
+describe('options', () => {
+    test('generates distinct hexadecimal ids', () => {
+        const ids = Array.from({ length: 20 }, () => generateOptionId(randomFillSync));
+
+        ids.forEach(id => expect(id).toMatch(/^[0-9a-f]{12}$/));
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('turns plain names from older sessions into options identified by their name', () => {
+        expect(normalizeOptions(['Thai', { id: 'x1', name: 'Pizza' }])).toEqual([
+            { id: 'Thai', name: 'Thai' },
+            { id: 'x1', name: 'Pizza' },
+        ]);
+    });
+
+    test('finds options by id, including plain names from older sessions', () => {
+        const options = [{ id: 'x1', name: 'Pizza', tags: ['cheap'] }, 'Thai'];
+
+        expect(findOption(options, 'x1')).toBe(options[0]);
+        expect(findOption(options, 'Thai')).toEqual({ id: 'Thai', name: 'Thai' });
+        expect(findOption(options, 'removed')).toEqual({ id: 'removed', name: 'removed' });
+    });
+
+    test('looks up names by id and leaves unknown ids as they are', () => {
+        const nameFor = createNameFor([{ id: 'x1', name: 'Pizza' }, 'Thai']);
+
+        expect(nameFor('x1')).toBe('Pizza');
+        expect(nameFor('Thai')).toBe('Thai');
+        expect(nameFor('removed')).toBe('removed');
+    });
+
+    test('spots duplicates regardless of case and spacing', () => {
+        const options = ['Pizza', { id: 'x1', name: 'Thai Garden' }];
+
+        expect(findDuplicateOption(options, '  thai   GARDEN ')).toEqual({ id: 'x1', name: 'Thai Garden' });
+        expect(findDuplicateOption(options, 'pizza')).toEqual({ id: 'Pizza', name: 'Pizza' });
+        expect(findDuplicateOption(options, 'Thai')).toBeNull();
+    });
+
+    test('caps sessions from before the cap was configurable at ten options', () => {
+        expect(maxOptionsOf({})).toBe(10);
+        expect(maxOptionsOf({ maxOptions: 50 })).toBe(50);
+    });
+
+    test('lists the tags in use once each', () => {
+        expect(optionTags(['Thai', { id: 'x1', name: 'Pizza', tags: ['cheap', 'vegan'] }, { id: 'x2', name: 'Salad', tags: ['Vegan', 'raw'] }]))
+            .toEqual(['cheap', 'vegan', 'raw']);
+    });
+
+    test('filters options by text in their name, description or tags, and by tag', () => {
+        const talk = { id: 't1', name: 'The future of CSS', description: 'Container queries and more', tags: ['Frontend'] };
+
+        expect(matchesOptionFilter(talk)).toBe(true);
+        expect(matchesOptionFilter(talk, { query: ' css ' })).toBe(true);
+        expect(matchesOptionFilter(talk, { query: 'container' })).toBe(true);
+        expect(matchesOptionFilter(talk, { query: 'frontend' })).toBe(true);
+        expect(matchesOptionFilter(talk, { query: 'rust' })).toBe(false);
+        expect(matchesOptionFilter(talk, { tag: 'frontend' })).toBe(true);
+        expect(matchesOptionFilter(talk, { query: 'css', tag: 'backend' })).toBe(false);
+        expect(matchesOptionFilter('Plain name', { query: 'plain' })).toBe(true);
+    });
+
+    test('keeps uploaded pictures within the room they share in the session', () => {
+        const picture = (length) => `data:image/jpeg;base64,${'A'.repeat(length)}`;
+        const options = [{ id: 'x1', name: 'Pizza', imageUrl: picture(MAX_TOTAL_IMAGE_DATA_LENGTH - 1000) }, { id: 'x2', name: 'Thai', imageUrl: 'https://example.com/thai.png' }];
+
+        expect(exceedsImageBudget(options, picture(500))).toBe(false);
+        expect(exceedsImageBudget(options, picture(2000))).toBe(true);
+        expect(exceedsImageBudget(options, picture(2000), 'x1')).toBe(false);
+        expect(exceedsImageBudget(options, 'https://example.com/big.png')).toBe(false);
+    });
+
+    test('splits tags on commas and drops blanks and repeats', () => {
+        expect(parseTags(' vegan, Cheap,, VEGAN ,')).toEqual(['vegan', 'Cheap']);
+    });
+
+    test('requires a name and keeps links to the web', () => {
+        expect(validateOption({ name: '  ' })).toMatch(/name/);
+        expect(validateOption({ name: 'x'.repeat(MAX_OPTION_NAME_LENGTH + 1) })).toMatch(/at most/);
+        const scriptUrl = ['javascript', 'alert(1)'].join(':');
+        expect(validateOption({ name: 'Pizza', link: scriptUrl })).toMatch(/http/);
+        expect(validateOption({ name: 'Pizza', imageUrl: scriptUrl })).toMatch(/http/);
+        expect(validateOption({ name: 'Pizza', link: 'https://example.com/pizza', imageUrl: 'data:image/png;base64,AAAA' })).toBeNull();
+        expect(validateOption({ name: 'Pizza', imageUrl: `https://example.com/${'x'.repeat(MAX_LINK_LENGTH)}` })).toMatch(/at most/);
+    });
+
+    test('stores trimmed fields and leaves out empty ones', () => {
+        expect(createOption({ name: ' Pizza ', description: '  ', link: ' https://example.com ', tags: [] }, 'x1')).toEqual({
+            id: 'x1',
+            name: 'Pizza',
+            link: 'https://example.com',
+        });
+    });
+
+    test('keeps the id when an option is edited', () => {
+        expect(updateOption('Pizza', { name: 'Pizza Palace', tags: ['cheap'] })).toEqual({ id: 'Pizza', name: 'Pizza Palace', tags: ['cheap'] });
+    });
+});
@@ -0,0 +1,20 @@
+// A session first collects suggested choices (when the host asks for suggestions), then takes ballots,
+// then is closed. The phase is stored on the session as `phase`; sessions from before phases existed
+// have none and were open for voting from the start. `isVotingClosed` stays the authority on closing,
+// since only the tallying Cloud Function writes it.
+export const SESSION_PHASES = {
+    collecting: { label: 'Collecting suggestions', description: 'Everyone can suggest choices. Voting starts when the host is ready.' },
+    voting: { label: 'Voting', description: 'The choices are set and ballots are open.' },
+    closed: { label: 'Closed', description: 'Voting has ended and the results are in.' },
+};
+
+export const sessionPhase = (session) => {
+    if (session.isVotingClosed) return 'closed';
+    return session.phase === 'collecting' ? 'collecting' : 'voting';
+};
+
+// Whether the host may send a session back to collecting suggestions: only while nobody has voted,
+// since new choices would be missing from the ballots already cast
+export const canReturnToCollecting = (session) => sessionPhase(session) === 'voting'
+    && Object.keys(session.votes || {}).length === 0
+    && Object.keys(session.voted || {}).length === 0;
@@ -0,0 +1,22 @@
+import { sessionPhase, canReturnToCollecting } from './phases';
+
+describe('phases', () => {
+    test('reads the stored phase, treating sessions from before phases as open for voting', () => {
+        expect(sessionPhase({ phase: 'collecting', isVotingClosed: false })).toBe('collecting');
+        expect(sessionPhase({ phase: 'voting', isVotingClosed: false })).toBe('voting');
+        expect(sessionPhase({ isVotingClosed: false })).toBe('voting');
+    });
+
+    test('a closed session is closed whatever its stored phase says', () => {
+        expect(sessionPhase({ isVotingClosed: true })).toBe('closed');
+        expect(sessionPhase({ phase: 'voting', isVotingClosed: true })).toBe('closed');
+    });
+
+    test('only goes back to collecting suggestions before anyone has voted', () => {
+        expect(canReturnToCollecting({ phase: 'voting', votes: {}, voted: {} })).toBe(true);
+        expect(canReturnToCollecting({ phase: 'voting', votes: { u1: ['A'] } })).toBe(false);
+        expect(canReturnToCollecting({ phase: 'voting', votes: {}, voted: { u1: false } })).toBe(false);
+        expect(canReturnToCollecting({ phase: 'collecting', votes: {} })).toBe(false);
+        expect(canReturnToCollecting({ isVotingClosed: true, votes: {} })).toBe(false);
+    });
+});
@@ -0,0 +1,47 @@
+import { createOption, generateOptionId, findDuplicateOption, validateOption, isWebUrl } from './options';
+import { sessionPhase } from './phases';
+
+// Choices participants propose while a session collects suggestions. They are kept per participant as
+// `suggestions.{uid}.{id}`, so firestore.rules can let each person add only their own, and stay there
+// with the host's decision: approved (added as a new choice), merged into an existing choice, or rejected.
+export const MAX_SUGGESTIONS_PER_PARTICIPANT = 5;
+
+export const SUGGESTION_STATUSES = {
+    pending: 'Waiting for the host',
+    approved: 'Added as a choice',
+    merged: 'Merged with an existing choice',
+    rejected: 'Not added',
+};
+
+// Every suggestion of a session with who made it, oldest first. Suggestions whose server timestamp has
+// not come back yet sort last.
+export const listSuggestions = (session) => Object.entries(session.suggestions || {})
+    .flatMap(([suggestedBy, suggestions]) => Object.values(suggestions).map(suggestion => ({ ...suggestion, suggestedBy })))
+    .sort((a, b) => (a.suggestedAt?.toMillis() ?? Infinity) - (b.suggestedAt?.toMillis() ?? Infinity));
+
+export const pendingSuggestions = (session) => listSuggestions(session).filter(suggestion => suggestion.status === 'pending');
+
+// Why `userId` cannot suggest a choice with these fields, or null if they can. Suggestions take picture
+// links but no uploads, which could push a busy session past Firestore's document size limit.
+export const validateSuggestion = (session, userId, fields) => {
+    if (sessionPhase(session) !== 'collecting') return 'The host is not collecting suggestions right now.';
+    if (Object.keys(session.suggestions?.[userId] || {}).length >= MAX_SUGGESTIONS_PER_PARTICIPANT) {
+        return `You can suggest at most ${MAX_SUGGESTIONS_PER_PARTICIPANT} choices.`;
+    }
+    if (fields.imageUrl && !isWebUrl(fields.imageUrl)) return 'Suggestions can only link to a picture, not upload one.';
+    const invalid = validateOption(fields);
+    if (invalid) return invalid;
+    const duplicate = findDuplicateOption(session.options, fields.name);
+    if (duplicate) return `${duplicate.name} is already a choice.`;
+    return null;
+};
+
+// A participant's suggestions are numbered in the order they make them, after their uid, so
+// firestore.rules can tell which entry a write adds and check it
+export const nextSuggestionId = (session, userId) => `${userId}-${Object.keys(session.suggestions?.[userId] || {}).length + 1}`;
+
+export const createSuggestion = (fields, id) => ({ ...createOption(fields, id), status: 'pending' });
+
+// The choice an approved suggestion becomes. It gets an id of its own rather than the one the participant
+// chose, which could clash with an existing choice.
+export const suggestionToOption = ({ id, suggestedBy, suggestedAt, status, mergedInto, ...fields }, optionId = generateOptionId()) => ({ id: optionId, ...fields });
@@ -0,0 +1,53 @@
+import { LocalTimestamp } from './localRepository';
+import { listSuggestions, pendingSuggestions, validateSuggestion, nextSuggestionId, createSuggestion, suggestionToOption, MAX_SUGGESTIONS_PER_PARTICIPANT } from './suggestions';
+
+const collecting = (overrides = {}) => ({ phase: 'collecting', isVotingClosed: false, options: [{ id: 'x1', name: 'Thai Garden' }], ...overrides });
+
+describe('suggestions', () => {
+    test('lists every participant\'s suggestions oldest first, with who made them', () => {
+        const session = collecting({
+            suggestions: {
+                vera: { s2: { id: 's2', name: 'Sushi', status: 'pending', suggestedAt: new LocalTimestamp(300) } },
+                otto: {
+                    s1: { id: 's1', name: 'Tacos', status: 'rejected', suggestedAt: new LocalTimestamp(100) },
+                    s3: { id: 's3', name: 'Ramen', status: 'pending', suggestedAt: null },
+                },
+            },
+        });
+
+        expect(listSuggestions(session).map(({ id, suggestedBy }) => [id, suggestedBy])).toEqual([['s1', 'otto'], ['s2', 'vera'], ['s3', 'otto']]);
+        expect(pendingSuggestions(session).map(suggestion => suggestion.id)).toEqual(['s2', 's3']);
+        expect(listSuggestions({})).toEqual([]);
+    });
+
+    test('accepts suggestions only while collecting, up to the per-participant limit', () => {
+        expect(validateSuggestion(collecting(), 'vera', { name: 'Sushi' })).toBeNull();
+        expect(validateSuggestion(collecting({ phase: 'voting' }), 'vera', { name: 'Sushi' })).toMatch(/not collecting/);
+        expect(validateSuggestion(collecting({ phase: undefined }), 'vera', { name: 'Sushi' })).toMatch(/not collecting/);
+
+        const own = Object.fromEntries(Array.from({ length: MAX_SUGGESTIONS_PER_PARTICIPANT }, (_, i) => [`s${i}`, { id: `s${i}`, name: `Idea ${i}` }]));
+        expect(validateSuggestion(collecting({ suggestions: { vera: own } }), 'vera', { name: 'Sushi' })).toMatch(/at most/);
+        expect(validateSuggestion(collecting({ suggestions: { vera: own } }), 'otto', { name: 'Sushi' })).toBeNull();
+    });
+
+    test('rejects invalid fields, uploaded pictures and names that are already choices', () => {
+        expect(validateSuggestion(collecting(), 'vera', { name: ' ' })).toMatch(/name/);
+        expect(validateSuggestion(collecting(), 'vera', { name: 'Sushi', imageUrl: 'data:image/png;base64,AAAA' })).toMatch(/picture/);
+        expect(validateSuggestion(collecting(), 'vera', { name: 'Sushi', imageUrl: 'https://example.com/sushi.png' })).toBeNull();
+        expect(validateSuggestion(collecting(), 'vera', { name: 'thai garden' })).toBe('Thai Garden is already a choice.');
+    });
+
+    test('numbers each participant\'s suggestions after their uid', () => {
+        expect(nextSuggestionId(collecting(), 'vera')).toBe('vera-1');
+        expect(nextSuggestionId(collecting({ suggestions: { vera: { 'vera-1': {} }, otto: { 'otto-1': {}, 'otto-2': {} } } }), 'vera')).toBe('vera-2');
+    });
+
+    test('creates pending suggestions that become choices under an id of their own', () => {
+        const suggestion = createSuggestion({ name: ' Sushi ', description: 'Fresh', tags: [] }, 'vera-1');
+        expect(suggestion).toEqual({ id: 'vera-1', name: 'Sushi', description: 'Fresh', status: 'pending' });
+
+        const listed = { ...suggestion, suggestedBy: 'vera', suggestedAt: new LocalTimestamp(100) };
+        expect(suggestionToOption(listed, 'x9')).toEqual({ id: 'x9', name: 'Sushi', description: 'Fresh' });
+        expect(suggestionToOption(listed).id).toMatch(/^[0-9a-f]{12}$/);
+    });
+});
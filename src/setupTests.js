@@ -3,3 +3,37 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+
+// jsdom lacks Web Crypto, which session codes, invite tokens and local user ids are drawn from, and the
+// TextEncoder the QR code library needs
+if (!global.crypto) {
+    Object.defineProperty(global, 'crypto', { value: webcrypto });
+}
+if (!global.TextEncoder) {
+    global.TextEncoder = TextEncoder;
+}
+
+// jsdom has no BroadcastChannel either. This stand-in delivers each message to the other channels of the
+// same name, so a test can play a second tab by writing through a second local repository.
+if (!global.BroadcastChannel) {
+    const openChannels = new Set();
+    global.BroadcastChannel = class {
+        constructor(name) {
+            this.name = name;
+            this.onmessage = null;
+            openChannels.add(this);
+        }
+
+        postMessage(data) {
+            openChannels.forEach(channel => {
+                if (channel !== this && channel.name === this.name) setTimeout(() => channel.onmessage?.({ data }));
+            });
+        }
+
+        close() {
+            openChannels.delete(this);
+        }
+    };
+}
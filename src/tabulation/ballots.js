@@ -0,0 +1,9 @@
+// Whether a stored ballot has the shape its ballot type is counted from: a list of choices for ranked and
+// approval ballots, an option → score map for score ballots. Ballots come straight from the session
+// document, and one of any other shape would stop every count that reads it.
+export const isWellFormedBallot = (ballotType, ballot) => ballotType === 'score'
+    ? typeof ballot === 'object' && ballot !== null && !Array.isArray(ballot)
+    : Array.isArray(ballot);
+
+// The ballots that can be counted, leaving out withdrawn (null) and malformed ones
+export const wellFormedBallots = (ballotType, ballots) => ballots.filter(ballot => isWellFormedBallot(ballotType, ballot));
@@ -0,0 +1,20 @@
+import { isWellFormedBallot, wellFormedBallots } from './ballots';
+
+describe('isWellFormedBallot', () => {
+    test('takes lists for ranked and approval ballots and maps for score ballots', () => {
+        expect(isWellFormedBallot('ranked', ['A', 'B'])).toBe(true);
+        expect(isWellFormedBallot('approval', [])).toBe(true);
+        expect(isWellFormedBallot('score', { A: 3 })).toBe(true);
+
+        expect(isWellFormedBallot('ranked', 'A')).toBe(false);
+        expect(isWellFormedBallot('ranked', { 0: 'A' })).toBe(false);
+        expect(isWellFormedBallot('score', ['A'])).toBe(false);
+        expect(isWellFormedBallot('score', null)).toBe(false);
+    });
+});
+
+describe('wellFormedBallots', () => {
+    test('leaves out withdrawn and malformed ballots', () => {
+        expect(wellFormedBallots('ranked', [['A'], null, 7, ['B', 'A']])).toEqual([['A'], ['B', 'A']]);
+    });
+});
@@ -0,0 +1,73 @@
+import { tabulate, getMethod } from './index.js';
+import { optionIds } from './options.js';
+import { wellFormedBallots } from './ballots.js';
+
+// How a session closes, shared by the tallying Cloud Functions (which get a copy of this folder) and the
+// app's local backend, so both publish the same results.
+
+const isPastDeadline = (session, now) => !!session.closesAt && session.closesAt.toMillis() <= now;
+
+// Field updates that close a session with this result
+const closedUpdate = ({ winner, winners, rounds, tally, tieBreaks }) => ({
+    isVotingClosed: true,
+    phase: 'closed',
+    winner,
+    winners,
+    rounds,
+    tally,
+    tieBreaks,
+    closeRequestedAt: null,
+    closeError: null,
+    pendingTie: null,
+});
+
+// Field updates that close a session, computed from its ballots with the shared tabulation code.
+// Secret-ballot sessions pass in the ballots read from their `ballots` subcollection, where withdrawn
+// ballots are kept as null. Malformed ballots are left out, so one cannot fail every retry of the close.
+// When the host still has to decide a tie, voting stays open and the tie is published as `pendingTie`.
+// Without ballots a session only closes once its deadline has passed, with no winner.
+export const closingUpdate = (session, allBallots = Object.values(session.votes || {}), now = Date.now()) => {
+    const ballots = wellFormedBallots(getMethod(session.method).ballot, allBallots);
+    if (ballots.length === 0) {
+        if (!isPastDeadline(session, now)) {
+            return { closeRequestedAt: null, closeError: 'Cannot close voting with no votes.' };
+        }
+        return closedUpdate({ winner: null, winners: [], rounds: [], tally: {}, tieBreaks: [] });
+    }
+
+    const { winner, winners, rounds, tieBreaks, pendingTie, ...tally } = tabulate(session.method, optionIds(session.options), ballots, {
+        seats: session.seats || 1,
+        tieBreak: session.tieBreak,
+        tieBreakSeed: session.tieBreakSeed,
+        tieBreakDecisions: session.tieBreakDecisions || [],
+    });
+    if (pendingTie) {
+        return { closeRequestedAt: null, closeError: null, pendingTie };
+    }
+
+    return closedUpdate({ winner, winners, rounds, tally, tieBreaks });
+};
+
+// Uids of everyone with a ballot in. Secret-ballot sessions only keep a `voted` flag per participant.
+const votersOf = (session) => session.secretBallot
+    ? Object.keys(session.voted || {}).filter(uid => session.voted[uid])
+    : Object.keys(session.votes || {});
+
+// Whether an open session has reached one of the automatic close conditions the creator chose:
+// its deadline, a number of ballots, or a ballot from everyone taking part. In invite-only sessions
+// `pendingInvites` counts the invites nobody has claimed yet, whose invitees have not voted either.
+// Sessions waiting on the host to settle a tie are left for the host. A deadline closes a session even
+// without ballots, so it does not stay open (and keep being found by the deadline check) for ever.
+export const shouldAutoClose = (session, now = Date.now(), { pendingInvites = 0 } = {}) => {
+    if (!session || session.isVotingClosed || session.pendingTie) return false;
+    if (isPastDeadline(session, now)) return true;
+    const voters = votersOf(session);
+    if (voters.length === 0) return false;
+
+    if (session.closeAfterBallots && voters.length >= session.closeAfterBallots) return true;
+    if (session.closeWhenAllVoted) {
+        const participants = Object.keys(session.participants || {});
+        return participants.length > 0 && pendingInvites === 0 && participants.every(uid => voters.includes(uid));
+    }
+    return false;
+};
@@ -0,0 +1,126 @@
+import { createTieBreaker } from './tieBreak.js';
+import { breakTopTie } from './scores.js';
+
+// Pairwise counts: pairwise[a][b] is the number of ballots ranking a above b.
+// An option that is ranked beats every option the ballot leaves out.
+export const pairwisePreferences = (options, ballots) => {
+    const pairwise = {};
+    options.forEach(a => {
+        pairwise[a] = {};
+        options.forEach(b => {
+            if (a !== b) pairwise[a][b] = 0;
+        });
+    });
+
+    ballots.forEach(ballot => {
+        const position = new Map(ballot.filter(choice => options.includes(choice)).map((choice, i) => [choice, i]));
+        options.forEach(a => {
+            if (!position.has(a)) return;
+            options.forEach(b => {
+                if (a !== b && (!position.has(b) || position.get(a) < position.get(b))) {
+                    pairwise[a][b]++;
+                }
+            });
+        });
+    });
+    return pairwise;
+};
+
+// The option that beats every other option head-to-head, or null if there is none
+export const findCondorcetWinner = (options, pairwise) =>
+    options.find(a => options.every(b => a === b || pairwise[a][b] > pairwise[b][a])) ?? null;
+
+// Schulze method: rank options by the strength of their strongest beatpaths
+export const schulze = (options, ballots, { tieBreaker = createTieBreaker({ ballots }) } = {}) => {
+    const pairwise = pairwisePreferences(options, ballots);
+    const strongestPaths = {};
+    options.forEach(a => {
+        strongestPaths[a] = {};
+        options.forEach(b => {
+            if (a !== b) strongestPaths[a][b] = pairwise[a][b] > pairwise[b][a] ? pairwise[a][b] : 0;
+        });
+    });
+
+    options.forEach(i => {
+        options.forEach(j => {
+            if (i === j) return;
+            options.forEach(k => {
+                if (k === i || k === j) return;
+                strongestPaths[j][k] = Math.max(strongestPaths[j][k], Math.min(strongestPaths[j][i], strongestPaths[i][k]));
+            });
+        });
+    });
+
+    const wins = Object.fromEntries(options.map(a => [
+        a,
+        options.filter(b => a !== b && strongestPaths[a][b] > strongestPaths[b][a]).length,
+    ]));
+    const ranking = breakTopTie([...options].sort((a, b) => wins[b] - wins[a]), wins, tieBreaker);
+
+    return {
+        winner: ranking[0] ?? null,
+        rounds: [],
+        pairwise,
+        strongestPaths,
+        ranking,
+        condorcetWinner: findCondorcetWinner(options, pairwise),
+    };
+};
+
+// Ranked pairs (Tideman): lock in head-to-head victories from the largest margin down,
+// skipping any that would create a cycle, and rank options by the resulting graph
+export const rankedPairs = (options, ballots, { tieBreaker = createTieBreaker({ ballots }) } = {}) => {
+    const pairwise = pairwisePreferences(options, ballots);
+    const pairs = [];
+    options.forEach(a => options.forEach(b => {
+        if (a !== b && pairwise[a][b] > pairwise[b][a]) {
+            pairs.push({ winner: a, loser: b, margin: pairwise[a][b] - pairwise[b][a] });
+        }
+    }));
+    pairs.sort((x, y) => y.margin - x.margin || pairwise[y.winner][y.loser] - pairwise[x.winner][x.loser]);
+
+    const edges = new Map(options.map(option => [option, new Set()]));
+    const reaches = (from, to) => {
+        const stack = [from];
+        const seen = new Set();
+        while (stack.length) {
+            const current = stack.pop();
+            if (current === to) return true;
+            if (seen.has(current)) continue;
+            seen.add(current);
+            edges.get(current).forEach(next => stack.push(next));
+        }
+        return false;
+    };
+
+    const lockedPairs = [];
+    pairs.forEach(pair => {
+        if (!reaches(pair.loser, pair.winner)) {
+            edges.get(pair.winner).add(pair.loser);
+            lockedPairs.push(pair);
+        }
+    });
+
+    // Topological order of the locked graph. Several unbeaten options at the top are a tie for the win;
+    // further down the original option order is kept.
+    const ranking = [];
+    const remaining = [...options];
+    const isSource = (option) => !remaining.some(other => edges.get(other).has(option));
+    while (remaining.length) {
+        const sources = remaining.filter(isSource);
+        const source = ranking.length === 0 && sources.length > 1
+            ? tieBreaker.breakTie({ tied: sources, round: 1, eliminate: false })
+            : sources[0];
+        ranking.push(source);
+        remaining.splice(remaining.indexOf(source), 1);
+    }
+
+    return {
+        winner: ranking[0] ?? null,
+        rounds: [],
+        pairwise,
+        lockedPairs,
+        ranking,
+        condorcetWinner: findCondorcetWinner(options, pairwise),
+    };
+};
@@ -0,0 +1,60 @@
+import { pairwisePreferences, findCondorcetWinner, schulze, rankedPairs } from './condorcet';
+
+const expand = (groups) => groups.flatMap(([times, ballot]) => Array.from({ length: times }, () => ballot.split('')));
+
+describe('pairwisePreferences', () => {
+    test('treats ranked options as preferred over unranked ones', () => {
+        const pairwise = pairwisePreferences(['A', 'B', 'C'], [['B'], ['A', 'C']]);
+
+        expect(pairwise.A).toEqual({ B: 1, C: 1 });
+        expect(pairwise.B).toEqual({ A: 1, C: 1 });
+        expect(pairwise.C).toEqual({ A: 0, B: 1 });
+    });
+});
+
+describe('schulze', () => {
+    // The worked example from Schulze's paper: E wins although there is no Condorcet winner
+    const options = ['A', 'B', 'C', 'D', 'E'];
+    const ballots = expand([
+        [5, 'ACBED'], [5, 'ADECB'], [8, 'BEDAC'], [3, 'CABED'],
+        [7, 'CAEBD'], [2, 'CBADE'], [7, 'DCEBA'], [8, 'EBADC'],
+    ]);
+
+    test('resolves a cycle using the strongest paths', () => {
+        const result = schulze(options, ballots);
+
+        expect(result.condorcetWinner).toBeNull();
+        expect(result.winner).toBe('E');
+        expect(result.ranking).toEqual(['E', 'A', 'C', 'B', 'D']);
+        expect(result.strongestPaths.E.A).toBe(25);
+        expect(result.strongestPaths.A.E).toBe(24);
+    });
+
+    test('elects the Condorcet winner when there is one', () => {
+        const result = schulze(['A', 'B', 'C'], expand([[2, 'ABC'], [2, 'BAC'], [1, 'CAB']]));
+
+        expect(result.condorcetWinner).toBe('A');
+        expect(result.winner).toBe('A');
+    });
+});
+
+describe('rankedPairs', () => {
+    test('elects the Condorcet winner in the Tennessee capital example', () => {
+        const options = ['M', 'N', 'C', 'K'];
+        const ballots = expand([[42, 'MNCK'], [26, 'NCKM'], [15, 'CKNM'], [17, 'KCNM']]);
+        const result = rankedPairs(options, ballots);
+
+        expect(findCondorcetWinner(options, result.pairwise)).toBe('N');
+        expect(result.winner).toBe('N');
+        expect(result.ranking).toEqual(['N', 'C', 'K', 'M']);
+    });
+
+    test('skips the weakest pair of a cycle', () => {
+        const result = rankedPairs(['A', 'B', 'C'], expand([[3, 'ABC'], [2, 'BCA'], [2, 'CAB']]));
+
+        expect(result.condorcetWinner).toBeNull();
+        expect(result.lockedPairs.map(({ winner, loser }) => `${winner}>${loser}`)).toEqual(['A>B', 'B>C']);
+        expect(result.winner).toBe('A');
+        expect(result.ranking).toEqual(['A', 'B', 'C']);
+    });
+});
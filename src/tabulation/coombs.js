@@ -0,0 +1,25 @@
+import { runEliminationCount } from './runoff.js';
+import { createTieBreaker } from './tieBreak.js';
+
+// Coombs' method: like instant runoff, but each round drops the option ranked last by the most voters
+export const coombs = (options, ballots, { tieBreaker = createTieBreaker({ ballots }) } = {}) =>
+    runEliminationCount(options, ballots, ({ currentOptions, ballots, rounds }) => {
+        const lastPlaceVotes = {};
+        currentOptions.forEach(option => lastPlaceVotes[option] = 0);
+        ballots.forEach(ballot => {
+            const lastChoice = [...ballot].reverse().find(choice => currentOptions.includes(choice));
+            if (lastChoice) {
+                lastPlaceVotes[lastChoice]++;
+            }
+        });
+
+        const highestLastPlaceCount = Math.max(...Object.values(lastPlaceVotes));
+        const tied = currentOptions.filter(option => lastPlaceVotes[option] === highestLastPlaceCount);
+        const eliminated = tied.length === 1 ? tied[0] : tieBreaker.breakTie({
+            tied,
+            round: rounds.length,
+            eliminate: true,
+            history: rounds.slice(0, -1).map(round => round.counts),
+        });
+        return { eliminated: [eliminated], lastPlaceVotes };
+    });
@@ -0,0 +1,40 @@
+import { coombs } from './coombs';
+import { createTieBreaker } from './tieBreak';
+
+const repeat = (ballot, times) => Array.from({ length: times }, () => [...ballot]);
+
+describe('coombs', () => {
+    test('eliminates the option ranked last by the most voters', () => {
+        const ballots = [
+            ...repeat(['A', 'B', 'C'], 4),
+            ...repeat(['B', 'C', 'A'], 3),
+            ...repeat(['C', 'B', 'A'], 2),
+        ];
+        const result = coombs(['A', 'B', 'C'], ballots);
+
+        expect(result.winner).toBe('B');
+        expect(result.rounds[0]).toMatchObject({
+            eliminated: ['A'],
+            lastPlaceVotes: { A: 5, B: 0, C: 4 },
+            transfers: [{ from: 'A', to: 'B', count: 4 }],
+        });
+        expect(result.rounds[1].counts).toEqual({ B: 7, C: 2 });
+    });
+
+    test('stops as soon as an option has a majority of first preferences', () => {
+        const ballots = [...repeat(['A', 'B', 'C'], 3), ['B', 'C', 'A'], ['C', 'B', 'A']];
+        const result = coombs(['A', 'B', 'C'], ballots);
+
+        expect(result.winner).toBe('A');
+        expect(result.rounds).toHaveLength(1);
+    });
+
+    test('only looks back at earlier rounds to break a tie', () => {
+        // A and B are both ranked last twice in the first round, which has no earlier round to look at
+        const ballots = [...repeat(['A', 'C', 'B'], 2), ['B', 'C', 'A'], ['C', 'B', 'A']];
+        const tieBreaker = createTieBreaker({ policy: 'backwards', seed: 'seed-1' });
+        coombs(['A', 'B', 'C'], ballots, { tieBreaker });
+
+        expect(tieBreaker.records[0]).toMatchObject({ round: 1, tied: ['A', 'B'], reason: 'Still tied, so drawn at random with seed "seed-1".' });
+    });
+});
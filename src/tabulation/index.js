@@ -0,0 +1,89 @@
+import { instantRunoff } from './irv.js';
+import { coombs } from './coombs.js';
+import { bordaCount, approvalVoting, scoreVoting, MAX_SCORE } from './scores.js';
+import { schulze, rankedPairs } from './condorcet.js';
+import { singleTransferableVote } from './stv.js';
+import { createTieBreaker, PendingTieError } from './tieBreak.js';
+
+export { instantRunoff, coombs, bordaCount, approvalVoting, scoreVoting, MAX_SCORE, schulze, rankedPairs, singleTransferableVote };
+export { pairwisePreferences, findCondorcetWinner } from './condorcet.js';
+export { droopQuota } from './stv.js';
+export { currentStandings } from './standings.js';
+export { optionId, optionIds } from './options.js';
+export { isWellFormedBallot, wellFormedBallots } from './ballots.js';
+export { TIE_BREAK_POLICIES, DEFAULT_TIE_BREAK, PendingTieError, createTieBreaker, generateTieBreakSeed, seededRandom } from './tieBreak.js';
+
+// Every counting rule a session can use. `ballot` tells the voting page which kind of ballot to collect:
+// an ordered list of options ('ranked'), a list of approved options ('approval') or an option → score map ('score').
+// Only `multiWinner` methods use the session's number of seats.
+export const TABULATION_METHODS = {
+    irv: {
+        label: 'Instant Runoff',
+        description: 'The option with the fewest first choices is eliminated each round until one has a majority.',
+        ballot: 'ranked',
+        tabulate: instantRunoff,
+    },
+    borda: {
+        label: 'Borda Count',
+        description: 'Options earn points for every position they are ranked above the bottom.',
+        ballot: 'ranked',
+        tabulate: bordaCount,
+    },
+    schulze: {
+        label: 'Condorcet (Schulze)',
+        description: 'Compares every pair of options head-to-head and resolves cycles with the strongest beatpaths.',
+        ballot: 'ranked',
+        tabulate: schulze,
+    },
+    rankedPairs: {
+        label: 'Condorcet (Ranked Pairs)',
+        description: 'Locks in head-to-head wins from the largest margin down, skipping any that would form a cycle.',
+        ballot: 'ranked',
+        tabulate: rankedPairs,
+    },
+    coombs: {
+        label: "Coombs' Method",
+        description: 'The option ranked last by the most voters is eliminated each round until one has a majority.',
+        ballot: 'ranked',
+        tabulate: coombs,
+    },
+    stv: {
+        label: 'Single Transferable Vote',
+        description: 'Elects several options: any option reaching the quota wins a seat and its surplus votes transfer on.',
+        ballot: 'ranked',
+        multiWinner: true,
+        tabulate: singleTransferableVote,
+    },
+    approval: {
+        label: 'Approval Voting',
+        description: 'Voters tick every option they are happy with; the most approved option wins.',
+        ballot: 'approval',
+        tabulate: approvalVoting,
+    },
+    score: {
+        label: 'Score Voting',
+        description: `Voters score each option from 0 to ${MAX_SCORE}; the highest total wins.`,
+        ballot: 'score',
+        tabulate: scoreVoting,
+    },
+};
+
+export const DEFAULT_METHOD = 'irv';
+
+// Looks up a method, falling back to instant runoff for sessions created before methods were selectable
+export const getMethod = (method) => TABULATION_METHODS[method] || TABULATION_METHODS[DEFAULT_METHOD];
+
+// Runs the session's counting method. Every result has an ordered `winners` array, single-winner methods included,
+// and a `tieBreaks` log. When the host has to decide a tie the count stops and `pendingTie` describes the tie.
+export const tabulate = (method, options, ballots, { tieBreak, tieBreakSeed, tieBreakDecisions, ...settings } = {}) => {
+    const tieBreaker = createTieBreaker({ policy: tieBreak, seed: tieBreakSeed, decisions: tieBreakDecisions, ballots });
+    try {
+        const result = getMethod(method).tabulate(options, ballots, { ...settings, tieBreaker });
+        return { winners: result.winner === null ? [] : [result.winner], ...result, tieBreaks: tieBreaker.records };
+    } catch (e) {
+        if (e instanceof PendingTieError) {
+            return { winner: null, winners: [], rounds: [], tieBreaks: tieBreaker.records, pendingTie: e.tie };
+        }
+        throw e;
+    }
+};
@@ -0,0 +1,43 @@
+import { TABULATION_METHODS, DEFAULT_METHOD, getMethod, tabulate } from './index';
+
+describe('tabulate', () => {
+    test('dispatches to the selected method', () => {
+        const ballots = [['A', 'B', 'C'], ['B', 'C', 'A'], ['C', 'B', 'A']];
+
+        expect(tabulate('borda', ['A', 'B', 'C'], ballots).scores).toEqual({ A: 2, B: 4, C: 3 });
+        expect(tabulate('schulze', ['A', 'B', 'C'], ballots).pairwise).toBeDefined();
+    });
+
+    test('falls back to instant runoff for sessions without a method', () => {
+        expect(getMethod(undefined)).toBe(TABULATION_METHODS[DEFAULT_METHOD]);
+        expect(tabulate(undefined, ['A', 'B'], [['A', 'B']]).rounds).toHaveLength(1);
+    });
+
+    test('always returns an ordered list of winners', () => {
+        const ballots = [['A', 'B', 'C'], ['A', 'B', 'C'], ['B', 'A', 'C'], ['C', 'B', 'A']];
+
+        expect(tabulate('irv', ['A', 'B', 'C'], ballots).winners).toEqual(['A']);
+        expect(tabulate('stv', ['A', 'B', 'C'], ballots, { seats: 2 }).winners).toHaveLength(2);
+    });
+
+    test('stops at a tie the host has not decided yet and resumes with the decision', () => {
+        const ballots = [['A'], ['B'], ['C', 'A']];
+        const settings = { tieBreak: 'host', tieBreakSeed: 'seed' };
+
+        const paused = tabulate('irv', ['A', 'B', 'C'], ballots, settings);
+        expect(paused.pendingTie).toEqual({ round: 1, tied: ['A', 'B', 'C'], eliminate: true });
+        expect(paused.winners).toEqual([]);
+
+        const decided = tabulate('irv', ['A', 'B', 'C'], ballots, { ...settings, tieBreakDecisions: ['C'] });
+        expect(decided.pendingTie).toBeUndefined();
+        expect(decided.winner).toBe('A');
+        expect(decided.tieBreaks).toEqual([expect.objectContaining({ chosen: 'C', reason: 'Chosen by the host.' })]);
+    });
+
+    test('every method declares a label and a ballot type', () => {
+        Object.values(TABULATION_METHODS).forEach(method => {
+            expect(method.label).toEqual(expect.any(String));
+            expect(['ranked', 'approval', 'score']).toContain(method.ballot);
+        });
+    });
+});
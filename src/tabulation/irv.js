@@ -0,0 +1,16 @@
+import { runEliminationCount } from './runoff.js';
+import { createTieBreaker } from './tieBreak.js';
+
+// Instant runoff: each round drops the option with the fewest first preferences
+export const instantRunoff = (options, ballots, { tieBreaker = createTieBreaker({ ballots }) } = {}) =>
+    runEliminationCount(options, ballots, ({ counts, rounds }) => {
+        const lowestVoteCount = Math.min(...Object.values(counts));
+        const tied = Object.keys(counts).filter(option => counts[option] === lowestVoteCount);
+        const eliminated = tied.length === 1 ? tied[0] : tieBreaker.breakTie({
+            tied,
+            round: rounds.length,
+            eliminate: true,
+            history: rounds.slice(0, -1).map(round => round.counts),
+        });
+        return { eliminated: [eliminated] };
+    });
@@ -0,0 +1,124 @@
+import { instantRunoff } from './irv';
+import { createTieBreaker } from './tieBreak';
+
+const repeat = (ballot, times) => Array.from({ length: times }, () => [...ballot]);
+
+describe('instantRunoff', () => {
+    test('elects an option with a first-round majority without eliminating anyone', () => {
+        const ballots = [...repeat(['A', 'B'], 3), ...repeat(['B', 'A'], 2)];
+        const result = instantRunoff(['A', 'B'], ballots);
+
+        expect(result.winner).toBe('A');
+        expect(result.rounds).toHaveLength(1);
+        expect(result.rounds[0].counts).toEqual({ A: 3, B: 2 });
+    });
+
+    test('eliminates the weakest option and records where its ballots went', () => {
+        const ballots = [
+            ...repeat(['A', 'B', 'C'], 4),
+            ...repeat(['B', 'C', 'A'], 3),
+            ...repeat(['C', 'B', 'A'], 2),
+        ];
+        const result = instantRunoff(['A', 'B', 'C'], ballots);
+
+        expect(result.winner).toBe('B');
+        expect(result.rounds).toHaveLength(2);
+        expect(result.rounds[0]).toMatchObject({
+            counts: { A: 4, B: 3, C: 2 },
+            eliminated: ['C'],
+            transfers: [{ from: 'C', to: 'B', count: 2 }],
+            exhausted: 0,
+        });
+        expect(result.rounds[1].counts).toEqual({ A: 4, B: 5 });
+    });
+
+    test('keeps eliminating until transferred ballots give someone a majority', () => {
+        const ballots = [
+            ...repeat(['A'], 5),
+            ...repeat(['B', 'A'], 4),
+            ...repeat(['C', 'B'], 3),
+            ...repeat(['D', 'C'], 2),
+        ];
+        const result = instantRunoff(['A', 'B', 'C', 'D'], ballots);
+
+        expect(result.rounds.map(round => round.eliminated)).toEqual([['D'], ['B'], []]);
+        expect(result.rounds[0].transfers).toEqual([{ from: 'D', to: 'C', count: 2 }]);
+        expect(result.rounds[1]).toMatchObject({ counts: { A: 5, B: 4, C: 5 }, transfers: [{ from: 'B', to: 'A', count: 4 }] });
+        expect(result.rounds[2].counts).toEqual({ A: 9, C: 5 });
+        expect(result.winner).toBe('A');
+    });
+
+    test('counts ballots without any continuing choice as exhausted', () => {
+        const ballots = [['A'], ['A'], ['B'], ['B'], ['C']];
+        const result = instantRunoff(['A', 'B', 'C'], ballots);
+
+        expect(result.rounds[0].transfers).toEqual([{ from: 'C', to: null, count: 1 }]);
+        expect(result.rounds[1].exhausted).toBe(1);
+    });
+
+    test('exhausts ballots once every option they rank has been eliminated', () => {
+        const ballots = [...repeat(['A'], 5), ...repeat(['D'], 4), ...repeat(['B'], 2), ['C', 'B']];
+        const result = instantRunoff(['A', 'B', 'C', 'D'], ballots);
+
+        expect(result.rounds[0].transfers).toEqual([{ from: 'C', to: 'B', count: 1 }]);
+        expect(result.rounds[1].transfers).toEqual([{ from: 'B', to: null, count: 3 }]);
+        expect(result.rounds[2]).toMatchObject({ counts: { A: 5, D: 4 }, exhausted: 3, threshold: 4.5 });
+        expect(result.winner).toBe('A');
+    });
+
+    test('counts options added after voting began and skips choices that are no longer options', () => {
+        const ballots = [...repeat(['A', 'B'], 2), ...repeat(['B', 'A'], 2), ['Removed', 'B'], ['Removed']];
+        const result = instantRunoff(['A', 'B', 'Late'], ballots);
+
+        expect(result.rounds[0]).toMatchObject({ counts: { A: 2, B: 3, Late: 0 }, exhausted: 1 });
+        expect(result.winner).toBe('B');
+    });
+
+    test('eliminates an option nobody has ranked yet before any ranked one', () => {
+        const ballots = [['A', 'B'], ['B', 'A'], ['C', 'A']];
+        const result = instantRunoff(['A', 'B', 'C', 'Late'], ballots);
+
+        expect(result.rounds[0].eliminated).toEqual(['Late']);
+        expect(result.rounds[0].transfers).toEqual([]);
+    });
+
+    test('measures the majority against continuing ballots once truncated ballots exhaust', () => {
+        const ballots = [...repeat(['A', 'B'], 4), ...repeat(['B', 'A'], 3), ...repeat(['C'], 2)];
+        const result = instantRunoff(['A', 'B', 'C'], ballots);
+
+        expect(result.rounds).toHaveLength(2);
+        expect(result.rounds[0].threshold).toBe(4.5);
+        expect(result.rounds[1]).toMatchObject({ counts: { A: 4, B: 3 }, exhausted: 2, threshold: 3.5 });
+        expect(result.winner).toBe('A');
+    });
+
+    test('uses the tie breaker when several options share the lowest count', () => {
+        const ballots = [...repeat(['A'], 3), ...repeat(['B', 'A'], 2), ...repeat(['C', 'B'], 2)];
+        const tieBreaker = createTieBreaker({ policy: 'mentions', ballots });
+        const result = instantRunoff(['A', 'B', 'C'], ballots, { tieBreaker });
+
+        expect(result.rounds[0].eliminated).toEqual(['C']);
+        expect(tieBreaker.records[0]).toMatchObject({ round: 1, tied: ['B', 'C'], chosen: 'C', action: 'eliminated' });
+        expect(result.winner).toBe('B');
+    });
+
+    test('never eliminates every option when all are tied', () => {
+        const result = instantRunoff(['A', 'B', 'C'], [['A'], ['B'], ['C']]);
+
+        expect(result.rounds.map(round => round.eliminated.length)).toEqual([1, 1, 0]);
+        expect(result.tieBreaks).toBeUndefined();
+        expect(['A', 'B', 'C']).toContain(result.winner);
+    });
+
+    test('returns no winner when there are no ballots', () => {
+        expect(instantRunoff(['A', 'B'], [])).toEqual({ winner: null, rounds: [] });
+    });
+
+    test('returns no winner when there are no options', () => {
+        const result = instantRunoff([], [['A', 'B'], ['B']]);
+
+        expect(result.winner).toBeNull();
+        expect(result.rounds).toHaveLength(1);
+        expect(result.rounds[0]).toMatchObject({ counts: {}, exhausted: 2, eliminated: [] });
+    });
+});
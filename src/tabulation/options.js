@@ -0,0 +1,6 @@
+// Session options are objects with a stable `id` that ballots refer to. Sessions from before options had
+// ids stored plain names, which ballots referred to directly, so a plain name is its own id.
+export const optionId = (option) => typeof option === 'string' ? option : option.id;
+
+// The ids a session's ballots are counted against, in the session's option order
+export const optionIds = (options = []) => options.map(optionId);
@@ -0,0 +1,84 @@
+import fc from 'fast-check';
+import { instantRunoff, coombs, schulze, rankedPairs, singleTransferableVote, pairwisePreferences, findCondorcetWinner, tabulate, TABULATION_METHODS } from './index';
+
+// Properties every count must satisfy, checked against randomly generated elections
+
+const OPTION_NAMES = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// Options plus ranked ballots over them; ballots may be truncated but always rank at least one option
+const election = fc.integer({ min: 2, max: OPTION_NAMES.length }).chain(optionCount => {
+    const options = OPTION_NAMES.slice(0, optionCount);
+    return fc.record({
+        options: fc.constant(options),
+        ballots: fc.array(fc.shuffledSubarray(options, { minLength: 1 }), { minLength: 1, maxLength: 30 }),
+    });
+});
+
+// An election where `favourite` is the first choice on more than half the ballots
+const electionWithMajority = election.chain(({ options, ballots }) => fc.record({
+    options: fc.constant(options),
+    favourite: fc.constantFrom(...options),
+    ballots: fc.constant(ballots),
+})).map(({ options, favourite, ballots }) => {
+    const withFavourite = ballots.map(ballot => [favourite, ...ballot.filter(option => option !== favourite)]);
+    return { options, favourite, ballots: [...withFavourite, ...ballots.slice(0, ballots.length - 1)] };
+});
+
+const SINGLE_WINNER_RANKED = { instantRunoff, coombs, schulze, rankedPairs };
+
+describe('tabulation properties', () => {
+    test.each(Object.entries(SINGLE_WINNER_RANKED))('%s elects an option that is first on a majority of ballots', (name, count) => {
+        fc.assert(fc.property(electionWithMajority, ({ options, favourite, ballots }) => {
+            expect(count(options, ballots).winner).toBe(favourite);
+        }));
+    });
+
+    test.each([['schulze', schulze], ['rankedPairs', rankedPairs]])('%s elects the Condorcet winner whenever there is one', (name, count) => {
+        fc.assert(fc.property(election, ({ options, ballots }) => {
+            const condorcetWinner = findCondorcetWinner(options, pairwisePreferences(options, ballots));
+            fc.pre(condorcetWinner !== null);
+            expect(count(options, ballots).winner).toBe(condorcetWinner);
+        }));
+    });
+
+    test('instant runoff accounts for every ballot in every round', () => {
+        fc.assert(fc.property(election, ({ options, ballots }) => {
+            const result = instantRunoff(options, ballots);
+
+            expect(options).toContain(result.winner);
+            result.rounds.forEach(round => {
+                const counted = Object.values(round.counts).reduce((sum, votes) => sum + votes, 0);
+                expect(counted + round.exhausted).toBe(ballots.length);
+            });
+        }));
+    });
+
+    test('instant runoff eliminates exactly one option per round until the last', () => {
+        fc.assert(fc.property(election, ({ options, ballots }) => {
+            const { rounds } = instantRunoff(options, ballots);
+            const eliminated = rounds.flatMap(round => round.eliminated);
+
+            expect(rounds.slice(0, -1).every(round => round.eliminated.length === 1)).toBe(true);
+            expect(new Set(eliminated).size).toBe(eliminated.length);
+        }));
+    });
+
+    test('single transferable vote fills at most the available seats with distinct options', () => {
+        fc.assert(fc.property(election, fc.integer({ min: 1, max: 4 }), ({ options, ballots }, seats) => {
+            const { winners } = singleTransferableVote(options, ballots, { seats });
+
+            expect(winners.length).toBeLessThanOrEqual(seats);
+            expect(new Set(winners).size).toBe(winners.length);
+            winners.forEach(winner => expect(options).toContain(winner));
+        }));
+    });
+
+    test('every ranked method gives the same result when counted twice with the same seed', () => {
+        const rankedMethods = Object.keys(TABULATION_METHODS).filter(method => TABULATION_METHODS[method].ballot === 'ranked');
+        fc.assert(fc.property(election, fc.constantFrom(...rankedMethods), fc.string(), ({ options, ballots }, method, seed) => {
+            const settings = { tieBreak: 'random', tieBreakSeed: seed, seats: 2 };
+
+            expect(tabulate(method, options, ballots, settings)).toEqual(tabulate(method, options, ballots, settings));
+        }));
+    });
+});
@@ -0,0 +1,75 @@
+// Shared round-by-round elimination count used by instant runoff and Coombs.
+// `chooseEliminated` is called once per round with the continuing options, their first-preference
+// counts, the ballots and the rounds so far, and returns `{ eliminated, ...extra }`; anything extra is kept on the round.
+// The option each ballot is currently counting towards, or null once it is exhausted
+const allocate = (ballots, remaining) => ballots.map(ballot => ballot.find(choice => remaining.includes(choice)) || null);
+
+const countFirstPreferences = (options, allocation) => {
+    const counts = {};
+    options.forEach(option => counts[option] = 0);
+    allocation.forEach(choice => {
+        if (choice) {
+            counts[choice]++;
+        }
+    });
+    return counts;
+};
+
+// Where the ballots of the eliminated options move to (null means exhausted)
+const findTransfers = (eliminated, allocation, nextAllocation) => eliminated.flatMap(from => {
+    const destinations = new Map();
+    allocation.forEach((choice, i) => {
+        if (choice === from) {
+            destinations.set(nextAllocation[i], (destinations.get(nextAllocation[i]) || 0) + 1);
+        }
+    });
+    return [...destinations].map(([to, count]) => ({ from, to, count }));
+});
+
+export const runEliminationCount = (options, ballots, chooseEliminated) => {
+    if (ballots.length === 0) return { winner: null, rounds: [] };
+
+    let currentOptions = [...options];
+    const rounds = [];
+    let allocation = allocate(ballots, currentOptions);
+
+    while (true) {
+        const firstPlaceVotes = countFirstPreferences(currentOptions, allocation);
+
+        // A majority is taken over the ballots still counting, so exhausted ballots do not raise the bar
+        const exhausted = allocation.filter(choice => choice === null).length;
+        const majorityThreshold = (ballots.length - exhausted) / 2;
+        const round = {
+            round: rounds.length + 1,
+            counts: firstPlaceVotes,
+            exhausted,
+            threshold: majorityThreshold,
+            eliminated: [],
+            transfers: [],
+        };
+        rounds.push(round);
+
+        // Every ballot is exhausted when there is nothing to vote for
+        if (currentOptions.length === 0) {
+            return { winner: null, rounds };
+        }
+
+        if (currentOptions.length === 1) {
+            return { winner: currentOptions[0], rounds };
+        }
+
+        const winner = currentOptions.find(option => firstPlaceVotes[option] > majorityThreshold);
+        if (winner) {
+            return { winner, rounds };
+        }
+
+        const { eliminated, ...extra } = chooseEliminated({ currentOptions, counts: firstPlaceVotes, ballots, rounds });
+        Object.assign(round, extra);
+        round.eliminated = eliminated;
+        currentOptions = currentOptions.filter(option => !eliminated.includes(option));
+
+        const nextAllocation = allocate(ballots, currentOptions);
+        round.transfers = findTransfers(eliminated, allocation, nextAllocation);
+        allocation = nextAllocation;
+    }
+};
@@ -0,0 +1,59 @@
+import { createTieBreaker } from './tieBreak.js';
+
+// Orders options from highest to lowest score, keeping the original option order for equal scores
+export const rankByScore = (options, scores) => [...options].sort((a, b) => scores[b] - scores[a]);
+
+// Moves the option chosen by the tie breaker to the front when several options share the top score
+export const breakTopTie = (ranking, scores, tieBreaker) => {
+    const tied = ranking.filter(option => scores[option] === scores[ranking[0]]);
+    if (tied.length < 2) return ranking;
+    const chosen = tieBreaker.breakTie({ tied, round: 1, eliminate: false });
+    return [chosen, ...ranking.filter(option => option !== chosen)];
+};
+
+const pointsResult = (options, scores, tieBreaker) => {
+    const ranking = breakTopTie(rankByScore(options, scores), scores, tieBreaker);
+    return { winner: ranking[0] ?? null, rounds: [], scores, ranking };
+};
+
+const emptyScores = (options) => Object.fromEntries(options.map(option => [option, 0]));
+
+// Borda count: with N options a ballot gives N-1 points to its first choice, N-2 to its second, and so on.
+// A choice repeated on a ballot only counts where it first appears.
+export const bordaCount = (options, ballots, { tieBreaker = createTieBreaker({ ballots }) } = {}) => {
+    const scores = emptyScores(options);
+    ballots.forEach(ballot => {
+        [...new Set(ballot)].filter(choice => options.includes(choice)).forEach((choice, position) => {
+            scores[choice] += options.length - 1 - position;
+        });
+    });
+    return pointsResult(options, scores, tieBreaker);
+};
+
+// Approval voting: each ballot is the list of options the voter approves of
+export const approvalVoting = (options, ballots, { tieBreaker = createTieBreaker({ ballots }) } = {}) => {
+    const scores = emptyScores(options);
+    ballots.forEach(ballot => {
+        new Set(ballot).forEach(choice => {
+            if (options.includes(choice)) {
+                scores[choice]++;
+            }
+        });
+    });
+    return pointsResult(options, scores, tieBreaker);
+};
+
+export const MAX_SCORE = 5;
+
+// Score voting: each ballot maps options to a score between 0 and MAX_SCORE
+export const scoreVoting = (options, ballots, { tieBreaker = createTieBreaker({ ballots }) } = {}) => {
+    const scores = emptyScores(options);
+    ballots.forEach(ballot => {
+        Object.entries(ballot).forEach(([choice, score]) => {
+            if (options.includes(choice)) {
+                scores[choice] += Math.min(Math.max(Number(score) || 0, 0), MAX_SCORE);
+            }
+        });
+    });
+    return pointsResult(options, scores, tieBreaker);
+};
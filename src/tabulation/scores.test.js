@@ -0,0 +1,48 @@
+import { bordaCount, approvalVoting, scoreVoting, MAX_SCORE } from './scores';
+
+describe('bordaCount', () => {
+    test('awards N-1 points for a first choice down to 0 for a last choice', () => {
+        const ballots = [
+            ...Array.from({ length: 4 }, () => ['A', 'B', 'C']),
+            ...Array.from({ length: 3 }, () => ['B', 'C', 'A']),
+            ...Array.from({ length: 2 }, () => ['C', 'B', 'A']),
+        ];
+        const result = bordaCount(['A', 'B', 'C'], ballots);
+
+        expect(result.scores).toEqual({ A: 8, B: 12, C: 7 });
+        expect(result.ranking).toEqual(['B', 'A', 'C']);
+        expect(result.winner).toBe('B');
+    });
+
+    test('ignores choices that are not options of the session', () => {
+        const result = bordaCount(['A', 'B'], [['Z', 'B', 'A']]);
+        expect(result.scores).toEqual({ A: 0, B: 1 });
+    });
+
+    test('counts a repeated choice once, at its highest position', () => {
+        const result = bordaCount(['A', 'B', 'C'], [['A', 'A', 'A', 'A', 'B', 'C']]);
+        expect(result.scores).toEqual({ A: 2, B: 1, C: 0 });
+    });
+});
+
+describe('approvalVoting', () => {
+    test('counts each approval once per ballot', () => {
+        const result = approvalVoting(['A', 'B', 'C'], [['A', 'B'], ['B', 'B'], ['C']]);
+
+        expect(result.scores).toEqual({ A: 1, B: 2, C: 1 });
+        expect(result.winner).toBe('B');
+    });
+});
+
+describe('scoreVoting', () => {
+    test('sums scores and clamps them to the allowed range', () => {
+        const result = scoreVoting(['A', 'B'], [{ A: 3, B: 4 }, { A: MAX_SCORE + 10, B: -2 }]);
+
+        expect(result.scores).toEqual({ A: 3 + MAX_SCORE, B: 4 });
+        expect(result.winner).toBe('A');
+    });
+
+    test('keeps option order when scores are equal', () => {
+        expect(scoreVoting(['A', 'B'], [{ A: 2, B: 2 }]).ranking).toEqual(['A', 'B']);
+    });
+});
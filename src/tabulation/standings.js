@@ -0,0 +1,25 @@
+import { MAX_SCORE } from './scores.js';
+
+// What each option has so far, for showing a count in progress: first preferences for ranked ballots,
+// approvals for approval ballots and total points for score ballots. Highest first; equal totals keep
+// the session's option order.
+export const currentStandings = (options, ballots, ballotType) => {
+    const totals = Object.fromEntries(options.map(option => [option, 0]));
+    ballots.forEach(ballot => {
+        if (ballotType === 'ranked') {
+            const firstChoice = ballot.find(choice => options.includes(choice));
+            if (firstChoice) totals[firstChoice]++;
+        } else if (ballotType === 'approval') {
+            new Set(ballot).forEach(choice => {
+                if (options.includes(choice)) totals[choice]++;
+            });
+        } else {
+            Object.entries(ballot).forEach(([choice, score]) => {
+                if (options.includes(choice)) totals[choice] += Math.min(Math.max(Number(score) || 0, 0), MAX_SCORE);
+            });
+        }
+    });
+    return [...options]
+        .sort((a, b) => totals[b] - totals[a])
+        .map(option => ({ option, votes: totals[option] }));
+};
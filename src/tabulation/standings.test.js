@@ -0,0 +1,42 @@
+import { currentStandings } from './standings';
+
+describe('currentStandings', () => {
+    test('counts the first preference of ranked ballots, highest first', () => {
+        const ballots = [['B', 'A'], ['A', 'B'], ['B', 'C'], ['C']];
+        expect(currentStandings(['A', 'B', 'C'], ballots, 'ranked')).toEqual([
+            { option: 'B', votes: 2 },
+            { option: 'A', votes: 1 },
+            { option: 'C', votes: 1 },
+        ]);
+    });
+
+    test('skips ranked choices that are no longer options', () => {
+        expect(currentStandings(['A', 'B'], [['Z', 'B']], 'ranked')).toEqual([
+            { option: 'B', votes: 1 },
+            { option: 'A', votes: 0 },
+        ]);
+    });
+
+    test('counts every approval once', () => {
+        const ballots = [['A', 'B'], ['B', 'B'], []];
+        expect(currentStandings(['A', 'B'], ballots, 'approval')).toEqual([
+            { option: 'B', votes: 2 },
+            { option: 'A', votes: 1 },
+        ]);
+    });
+
+    test('totals clamped scores', () => {
+        const ballots = [{ A: 3, B: 99 }, { A: -2, B: 1 }];
+        expect(currentStandings(['A', 'B'], ballots, 'score')).toEqual([
+            { option: 'B', votes: 6 },
+            { option: 'A', votes: 3 },
+        ]);
+    });
+
+    test('lists every option at zero before any ballots are in', () => {
+        expect(currentStandings(['A', 'B'], [], 'ranked')).toEqual([
+            { option: 'A', votes: 0 },
+            { option: 'B', votes: 0 },
+        ]);
+    });
+});
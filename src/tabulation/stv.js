@@ -0,0 +1,114 @@
+import { createTieBreaker } from './tieBreak.js';
+
+// Droop quota: the smallest number of votes that only `seats` options can reach at the same time
+export const droopQuota = (validVotes, seats) => Math.floor(validVotes / (seats + 1)) + 1;
+
+// Rounds fractional vote totals for storage and display
+const roundVotes = (votes) => Math.round(votes * 10000) / 10000;
+
+// The option each paper is currently counting towards, or null once it is exhausted
+const allocate = (papers, continuing) => papers.map(paper => paper.ballot.find(choice => continuing.includes(choice)) || null);
+
+// Up to `seats` of `candidates`, most votes first. The tie breaker, not the order of the list, decides
+// between options with equal votes, both for the last seat and for which of them is elected first.
+const chooseElected = (candidates, counts, seats, tieBreaker, round, history) => {
+    const remaining = [...candidates];
+    const elected = [];
+    while (elected.length < seats && remaining.length > 0) {
+        const highestVoteCount = Math.max(...remaining.map(option => counts[option]));
+        const tied = remaining.filter(option => counts[option] === highestVoteCount);
+        const chosen = tied.length === 1 ? tied[0] : tieBreaker.breakTie({ tied, round, eliminate: false, history });
+        elected.push(chosen);
+        remaining.splice(remaining.indexOf(chosen), 1);
+    }
+    return elected;
+};
+
+// Single transferable vote with Droop quota and fractional (Gregory) surplus transfers.
+// Elects `seats` options in the order they reach the quota.
+export const singleTransferableVote = (options, ballots, { seats = 1, tieBreaker = createTieBreaker({ ballots }) } = {}) => {
+    if (ballots.length === 0) return { winner: null, winners: [], rounds: [] };
+
+    const seatCount = Math.min(seats, options.length);
+    const quota = droopQuota(ballots.length, seatCount);
+    // Every ballot starts with a weight of one that shrinks each time it helps elect an option with a surplus
+    const papers = ballots.map(ballot => ({ ballot, weight: 1 }));
+    const winners = [];
+    const rounds = [];
+    let continuing = [...options];
+
+    while (winners.length < seatCount) {
+        const allocation = allocate(papers, continuing);
+        const counts = {};
+        continuing.forEach(option => counts[option] = 0);
+        let exhausted = 0;
+        allocation.forEach((choice, i) => {
+            if (choice) {
+                counts[choice] += papers[i].weight;
+            } else {
+                exhausted += papers[i].weight;
+            }
+        });
+
+        const round = {
+            round: rounds.length + 1,
+            counts: Object.fromEntries(continuing.map(option => [option, roundVotes(counts[option])])),
+            exhausted: roundVotes(exhausted),
+            quota,
+            elected: [],
+            eliminated: [],
+            transfers: [],
+        };
+        rounds.push(round);
+
+        const history = rounds.slice(0, -1).map(earlier => earlier.counts);
+        const openSeats = seatCount - winners.length;
+        if (continuing.length <= openSeats) {
+            round.elected = chooseElected(continuing, counts, openSeats, tieBreaker, round.round, history);
+            winners.push(...round.elected);
+            break;
+        }
+
+        const reachedQuota = continuing.filter(option => counts[option] >= quota);
+        let moving;
+        if (reachedQuota.length > 0) {
+            moving = chooseElected(reachedQuota, counts, openSeats, tieBreaker, round.round, history);
+            moving.forEach(option => {
+                const transferValue = (counts[option] - quota) / counts[option];
+                allocation.forEach((choice, i) => {
+                    if (choice === option) {
+                        papers[i].weight *= transferValue;
+                    }
+                });
+            });
+            round.elected = moving;
+            winners.push(...moving);
+            if (winners.length === seatCount) break;
+        } else {
+            const lowestVoteCount = Math.min(...Object.values(counts));
+            const tied = continuing.filter(option => counts[option] === lowestVoteCount);
+            moving = [tied.length === 1 ? tied[0] : tieBreaker.breakTie({
+                tied,
+                round: round.round,
+                eliminate: true,
+                history,
+            })];
+            round.eliminated = moving;
+        }
+        continuing = continuing.filter(option => !moving.includes(option));
+
+        // Record where the ballots of elected (surplus) and eliminated options move to (null means exhausted)
+        const nextAllocation = allocate(papers, continuing);
+        round.transfers = moving.flatMap(from => {
+            const destinations = new Map();
+            allocation.forEach((choice, i) => {
+                if (choice === from && papers[i].weight > 0) {
+                    destinations.set(nextAllocation[i], (destinations.get(nextAllocation[i]) || 0) + papers[i].weight);
+                }
+            });
+            return [...destinations].map(([to, count]) => ({ from, to, count: roundVotes(count) }));
+        });
+    }
+
+    return { winner: winners[0] ?? null, winners, rounds, quota };
+};
@@ -0,0 +1,69 @@
+import { droopQuota, singleTransferableVote } from './stv';
+import { createTieBreaker } from './tieBreak';
+
+const expand = (groups) => groups.flatMap(([times, ballot]) => Array.from({ length: times }, () => ballot.split('')));
+
+describe('droopQuota', () => {
+    test('is one more than the votes divided by seats plus one, rounded down', () => {
+        expect(droopQuota(100, 1)).toBe(51);
+        expect(droopQuota(100, 3)).toBe(26);
+        expect(droopQuota(20, 3)).toBe(6);
+    });
+});
+
+describe('singleTransferableVote', () => {
+    test('transfers surpluses at a fractional value', () => {
+        // Quota is 6 for 15 ballots and 2 seats; A's surplus of 4 moves at 0.4 per ballot
+        const ballots = expand([[10, 'AB'], [3, 'C'], [2, 'D']]);
+        const result = singleTransferableVote(['A', 'B', 'C', 'D'], ballots, { seats: 2 });
+
+        expect(result.quota).toBe(6);
+        expect(result.rounds[0]).toMatchObject({
+            elected: ['A'],
+            transfers: [{ from: 'A', to: 'B', count: 4 }],
+        });
+        expect(result.rounds[1].counts).toEqual({ B: 4, C: 3, D: 2 });
+        expect(result.winners).toEqual(['A', 'B']);
+    });
+
+    test('eliminates the weakest option when nobody reaches the quota', () => {
+        const ballots = expand([[4, 'ABC'], [3, 'BCA'], [2, 'CBA'], [1, 'DBC']]);
+        const result = singleTransferableVote(['A', 'B', 'C', 'D'], ballots, { seats: 2 });
+
+        expect(result.quota).toBe(4);
+        expect(result.rounds[0].elected).toEqual(['A']);
+        expect(result.rounds[0].transfers).toEqual([]);
+        expect(result.rounds[1]).toMatchObject({ eliminated: ['D'], transfers: [{ from: 'D', to: 'B', count: 1 }] });
+        expect(result.rounds[2].counts).toEqual({ B: 4, C: 2 });
+        expect(result.winners).toEqual(['A', 'B']);
+    });
+
+    test('elects winners in the order they reach the quota', () => {
+        const ballots = expand([[5, 'BAC'], [4, 'ABC'], [3, 'CAB']]);
+        const result = singleTransferableVote(['A', 'B', 'C'], ballots, { seats: 3 });
+
+        expect(result.winners).toEqual(['B', 'A', 'C']);
+    });
+
+    test('elects the remaining options once they fill the open seats', () => {
+        const ballots = expand([[3, 'AB'], [2, 'BA'], [1, 'CA']]);
+        const result = singleTransferableVote(['A', 'B', 'C'], ballots, { seats: 3 });
+
+        expect(result.rounds).toHaveLength(1);
+        expect(result.rounds[0].elected).toEqual(['A', 'B', 'C']);
+    });
+
+    test('leaves the order of options with equal votes to the tie breaker', () => {
+        const ballots = expand([[3, 'AB'], [2, 'BA'], [2, 'CA']]);
+        const tieBreaker = createTieBreaker({ policy: 'host', decisions: ['C'] });
+        const result = singleTransferableVote(['A', 'B', 'C'], ballots, { seats: 3, tieBreaker });
+
+        expect(result.winners).toEqual(['A', 'C', 'B']);
+        expect(tieBreaker.records).toEqual([expect.objectContaining({ round: 1, tied: ['B', 'C'], chosen: 'C', action: 'elected' })]);
+    });
+
+    test('behaves like instant runoff for a single seat', () => {
+        const ballots = expand([[4, 'ABC'], [3, 'BCA'], [2, 'CBA']]);
+        expect(singleTransferableVote(['A', 'B', 'C'], ballots).winners).toEqual(['B']);
+    });
+});
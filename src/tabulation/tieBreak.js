@@ -0,0 +1,107 @@
+// Ways of resolving a tie between options that must be separated to continue the count
+export const TIE_BREAK_POLICIES = {
+    backwards: {
+        label: 'Look back at earlier rounds',
+        description: 'The tied option that did worst in the most recent round where they differed loses. Falls back to a random draw.',
+    },
+    mentions: {
+        label: 'Fewest total mentions',
+        description: 'The tied option that appears on the fewest ballots loses. Falls back to a random draw.',
+    },
+    random: {
+        label: 'Seeded random draw',
+        description: 'A reproducible random draw from a seed recorded on the session.',
+    },
+    host: {
+        label: 'Host decides',
+        description: 'Counting pauses at each tie until the host chooses.',
+    },
+};
+
+export const DEFAULT_TIE_BREAK = 'backwards';
+
+// Thrown when the host has to decide a tie before the count can go on
+export class PendingTieError extends Error {
+    constructor(tie) {
+        super(`Tie in round ${tie.round} needs a decision from the host.`);
+        this.name = 'PendingTieError';
+        this.tie = tie;
+    }
+}
+
+export const generateTieBreakSeed = () => Math.random().toString(36).substring(2, 10);
+
+// Deterministic pseudo-random numbers in [0, 1) from a string seed (mulberry32)
+export const seededRandom = (seed) => {
+    let state = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 3432918353);
+        state = (state << 13) | (state >>> 19);
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Builds the tie breaker a count uses. `breakTie` picks one option out of `tied` to be eliminated
+// (or elected, when `eliminate` is false) and records how the tie was resolved in `records`. Records
+// refer to options by id, as `tied` and `chosen`; the `reason` sentence never names one, so the
+// results page can show it beside the option's name.
+// `history` holds the vote counts of earlier rounds for the backwards policy, oldest first.
+export const createTieBreaker = ({ policy = DEFAULT_TIE_BREAK, seed = '', decisions = [], ballots = [] } = {}) => {
+    const random = seededRandom(seed);
+    const records = [];
+    let decisionIndex = 0;
+
+    const mentions = (option) => ballots.filter(ballot => Array.isArray(ballot) ? ballot.includes(option) : ballot[option] > 0).length;
+
+    // Keeps the tied options that do worst (when eliminating) or best (when electing) by `score`
+    const narrow = (tied, score, eliminate) => {
+        const values = tied.map(score);
+        const target = eliminate ? Math.min(...values) : Math.max(...values);
+        return tied.filter((_, i) => values[i] === target);
+    };
+
+    const resolve = ({ tied, round, eliminate, history }) => {
+        if (policy === 'host') {
+            const decision = decisions[decisionIndex];
+            if (!tied.includes(decision)) {
+                throw new PendingTieError({ round, tied, eliminate });
+            }
+            decisionIndex++;
+            return { chosen: decision, reason: 'Chosen by the host.' };
+        }
+
+        let remaining = tied;
+        if (policy === 'backwards') {
+            for (let i = history.length - 1; i >= 0 && remaining.length > 1; i--) {
+                const counts = history[i];
+                remaining = narrow(remaining, option => counts[option] ?? 0, eliminate);
+                if (remaining.length === 1) {
+                    return { chosen: remaining[0], reason: `It had ${eliminate ? 'the fewest' : 'the most'} votes in round ${i + 1}.` };
+                }
+            }
+        }
+        if (policy === 'mentions') {
+            remaining = narrow(remaining, mentions, eliminate);
+            if (remaining.length === 1) {
+                const count = mentions(remaining[0]);
+                return { chosen: remaining[0], reason: `It was ranked on ${count} ballot${count === 1 ? '' : 's'}, ${eliminate ? 'fewer' : 'more'} than the others.` };
+            }
+        }
+
+        const chosen = remaining[Math.floor(random() * remaining.length)];
+        return { chosen, reason: `${policy === 'random' ? 'D' : 'Still tied, so d'}rawn at random with seed "${seed}".` };
+    };
+
+    const breakTie = ({ tied, round, eliminate, history = [] }) => {
+        const { chosen, reason } = resolve({ tied, round, eliminate, history });
+        records.push({ round, tied, chosen, action: eliminate ? 'eliminated' : 'elected', policy, reason });
+        return chosen;
+    };
+
+    return { breakTie, records };
+};
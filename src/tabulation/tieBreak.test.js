@@ -0,0 +1,70 @@
+import { createTieBreaker, seededRandom, PendingTieError } from './tieBreak';
+
+describe('seededRandom', () => {
+    test('produces the same sequence for the same seed', () => {
+        const first = seededRandom('abc');
+        const second = seededRandom('abc');
+        const other = seededRandom('xyz');
+        const sequence = [first(), first(), first()];
+
+        expect([second(), second(), second()]).toEqual(sequence);
+        expect(other()).not.toBe(sequence[0]);
+        sequence.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+});
+
+describe('createTieBreaker', () => {
+    test('backwards eliminates the option that did worst in the latest earlier round', () => {
+        const tieBreaker = createTieBreaker({ policy: 'backwards' });
+        const chosen = tieBreaker.breakTie({
+            tied: ['A', 'B'],
+            round: 3,
+            eliminate: true,
+            history: [{ A: 1, B: 3 }, { A: 4, B: 2 }],
+        });
+
+        expect(chosen).toBe('B');
+        expect(tieBreaker.records).toEqual([{
+            round: 3,
+            tied: ['A', 'B'],
+            chosen: 'B',
+            action: 'eliminated',
+            policy: 'backwards',
+            reason: 'It had the fewest votes in round 2.',
+        }]);
+    });
+
+    test('mentions eliminates the option on the fewest ballots and elects the one on the most', () => {
+        const ballots = [['A', 'B'], ['A'], ['C', 'A', 'B'], ['C']];
+
+        expect(createTieBreaker({ policy: 'mentions', ballots }).breakTie({ tied: ['A', 'B'], round: 1, eliminate: true })).toBe('B');
+        expect(createTieBreaker({ policy: 'mentions', ballots }).breakTie({ tied: ['B', 'A'], round: 1, eliminate: false })).toBe('A');
+    });
+
+    test('reasons never name an option, since options are recorded by id', () => {
+        const ballots = [['o1', 'o2'], ['o1']];
+        const tieBreaker = createTieBreaker({ policy: 'mentions', ballots });
+        tieBreaker.breakTie({ tied: ['o1', 'o2'], round: 1, eliminate: true });
+
+        expect(tieBreaker.records[0]).toMatchObject({ chosen: 'o2', reason: 'It was ranked on 1 ballot, fewer than the others.' });
+    });
+
+    test('falls back to a reproducible random draw when the policy cannot separate the options', () => {
+        const draw = () => createTieBreaker({ policy: 'backwards', seed: 'seed-1' }).breakTie({ tied: ['A', 'B', 'C'], round: 1, eliminate: true });
+        const tieBreaker = createTieBreaker({ policy: 'backwards', seed: 'seed-1' });
+        tieBreaker.breakTie({ tied: ['A', 'B', 'C'], round: 1, eliminate: true });
+
+        expect(draw()).toBe(draw());
+        expect(tieBreaker.records[0].reason).toBe('Still tied, so drawn at random with seed "seed-1".');
+    });
+
+    test('host decisions are applied in order and a missing decision pauses the count', () => {
+        const tieBreaker = createTieBreaker({ policy: 'host', decisions: ['B'] });
+
+        expect(tieBreaker.breakTie({ tied: ['A', 'B'], round: 1, eliminate: true })).toBe('B');
+        expect(() => tieBreaker.breakTie({ tied: ['C', 'D'], round: 2, eliminate: true })).toThrow(PendingTieError);
+    });
+});